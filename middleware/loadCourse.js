@@ -0,0 +1,21 @@
+// backend/middleware/loadCourse.js
+import { DEFAULT_COURSE_ID, getCourse } from '../services/courseService.js';
+
+/**
+ * Set req.course for course-scoped public routes. Uses :courseId when the
+ * route has one, otherwise the default course (the original single-course
+ * routes). Unknown or inactive courses get a 404.
+ */
+export default async function loadCourse(req, res, next) {
+  try {
+    const courseId = req.params.courseId || DEFAULT_COURSE_ID;
+    const course = await getCourse(courseId, { activeOnly: true });
+    if (!course) {
+      return res.status(404).json({ message: 'Course not found' });
+    }
+    req.course = course;
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
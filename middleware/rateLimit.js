@@ -0,0 +1,94 @@
+// backend/middleware/rateLimit.js
+//
+// Rate limits for the public routes, keyed by client IP or by the submitted
+// email. Over the limit the request gets
+//   429 { message, retryAfterSeconds } with a Retry-After header.
+// If Mongo can't be reached the request is let through (logged), so an
+// outage of the counters never takes registration down with it.
+//
+// req.ip is only the real client address behind a proxy when TRUST_PROXY
+// is set (see server.js).
+import dotenv from 'dotenv';
+import { consumeRateLimit } from '../services/rateLimitService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('rateLimit');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Schedule lookups (availability, booked dates) per IP per minute
+const READ_PER_MINUTE = Number(process.env.RATE_LIMIT_READ_PER_MINUTE || 60);
+// Registrations + waitlist joins per IP per hour
+const SUBMIT_PER_IP_HOUR = Number(process.env.RATE_LIMIT_SUBMIT_PER_IP_HOUR || 20);
+// Registrations + waitlist joins per email per hour
+const SUBMIT_PER_EMAIL_HOUR = Number(process.env.RATE_LIMIT_SUBMIT_PER_EMAIL_HOUR || 5);
+
+const KEYS = {
+  ip: (req) => req.ip,
+  // Runs after validate(), so the email is already normalized
+  email: (req) => (typeof req.body?.email === 'string' ? req.body.email : null),
+};
+
+/**
+ * Build a rate-limiting middleware.
+ *
+ * @param {Object} options
+ * @param {string} options.name     - limits with the same name share counters
+ * @param {"ip"|"email"} options.keyBy
+ * @param {number} options.limit    - requests allowed per window
+ * @param {number} options.windowMs
+ */
+export function rateLimit({ name, keyBy, limit, windowMs }) {
+  const bucket = `${name}:${keyBy}`;
+  return async (req, res, next) => {
+    const key = KEYS[keyBy](req);
+    if (!key) return next();
+
+    try {
+      const { allowed, count, retryAfterSeconds } = await consumeRateLimit(bucket, key, {
+        limit,
+        windowMs,
+      });
+      if (allowed) return next();
+
+      // The key itself (IP / email) stays out of the logs
+      log.warn('Rate limit exceeded', { bucket, path: req.path, count, limit });
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        message: 'Too many requests, please try again later',
+        retryAfterSeconds,
+      });
+    } catch (e) {
+      log.error('Rate limit check failed, letting the request through', e);
+      next();
+    }
+  };
+}
+
+/** Per-IP limit for the schedule lookups */
+export const readRateLimit = rateLimit({
+  name: 'read',
+  keyBy: 'ip',
+  limit: READ_PER_MINUTE,
+  windowMs: MINUTE_MS,
+});
+
+/** Per-IP limit for registrations / waitlist joins (put before validate()) */
+export const submitRateLimitByIp = rateLimit({
+  name: 'submit',
+  keyBy: 'ip',
+  limit: SUBMIT_PER_IP_HOUR,
+  windowMs: HOUR_MS,
+});
+
+/** Per-email limit for registrations / waitlist joins (put after validate()) */
+export const submitRateLimitByEmail = rateLimit({
+  name: 'submit',
+  keyBy: 'email',
+  limit: SUBMIT_PER_EMAIL_HOUR,
+  windowMs: HOUR_MS,
+});
@@ -0,0 +1,39 @@
+// backend/middleware/requestContext.js
+import {
+  createLogger,
+  runWithCorrelationId,
+  toCorrelationId,
+} from '../utils/logger.js';
+
+const log = createLogger('http');
+
+// Calendar feed / waitlist offer tokens are long hex path segments
+const SECRET_SEGMENT = /\/[0-9a-f]{32,}(?=[/.]|$)/gi;
+
+/**
+ * Give every request a correlation id (the caller's X-Request-Id when it is
+ * a UUID, otherwise a new one), echo it back in X-Request-Id and log one
+ * line per request when the response is sent. Mount after the body parsers:
+ * they resume requests outside of the async context.
+ */
+export default function requestContext(req, res, next) {
+  const correlationId = toCorrelationId(req.get('X-Request-Id'));
+  req.correlationId = correlationId;
+  res.set('X-Request-Id', correlationId);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const fields = {
+      correlationId,
+      method: req.method,
+      // no query string: tokens and emails travel there
+      path: req.path.replace(SECRET_SEGMENT, '/[redacted]'),
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+    };
+    if (res.statusCode >= 500) log.error('Request failed', fields);
+    else log.info('Request handled', fields);
+  });
+
+  runWithCorrelationId(correlationId, next);
+}
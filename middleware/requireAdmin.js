@@ -0,0 +1,89 @@
+// backend/middleware/requireAdmin.js
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import jwt from 'jsonwebtoken';
+import { createLogger } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('requireAdmin');
+
+// Two ways in, both as `Authorization: Bearer <credential>`:
+//   - ADMIN_API_KEY: a shared key that always has the "admin" role
+//   - a JWT signed (HS256) with ADMIN_JWT_SECRET carrying
+//     `roles: ["admin" | "staff" | "instructor", ...]` (instructors also
+//     carry their Instructor.instructorId as `instructorId`)
+const { ADMIN_API_KEY, ADMIN_JWT_SECRET } = process.env;
+
+if (!ADMIN_API_KEY && !ADMIN_JWT_SECRET) {
+  log.warn(
+    'Neither ADMIN_API_KEY nor ADMIN_JWT_SECRET is set. Admin routes will reject every request.'
+  );
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Work out who is calling. Returns null for missing / invalid credentials.
+ *
+ * @returns {{ subject: string, roles: string[], instructorId?: string }|null}
+ */
+function authenticate(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, credential] = header.split(' ');
+  if (scheme !== 'Bearer' || !credential) return null;
+
+  if (ADMIN_API_KEY && safeEqual(credential, ADMIN_API_KEY)) {
+    return { subject: 'api-key', roles: ['admin'] };
+  }
+
+  if (ADMIN_JWT_SECRET) {
+    try {
+      const claims = jwt.verify(credential, ADMIN_JWT_SECRET, {
+        algorithms: ['HS256'],
+      });
+      const roles = [].concat(claims.roles || claims.role || []);
+      return {
+        subject: claims.sub || claims.email || 'jwt',
+        roles,
+        ...(claims.instructorId && { instructorId: String(claims.instructorId) }),
+      };
+    } catch (e) {
+      log.warn('Rejected JWT', e);
+    }
+  }
+  return null;
+}
+
+/**
+ * Express middleware allowing callers with any of the given roles.
+ * Sets `req.admin = { subject, roles, instructorId? }`.
+ *
+ * @param {...string} allowed - e.g. requireRole('admin', 'staff')
+ */
+export function requireRole(...allowed) {
+  return (req, res, next) => {
+    const identity = authenticate(req);
+    if (!identity) {
+      log.warn('Rejected admin request', { path: req.path });
+      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+    if (!identity.roles.some((role) => allowed.includes(role))) {
+      return res.status(403).json({ ok: false, error: 'Forbidden' });
+    }
+    req.admin = identity;
+    next();
+  };
+}
+
+/**
+ * Express middleware guarding admin-only routes.
+ */
+const requireAdmin = requireRole('admin');
+
+export default requireAdmin;
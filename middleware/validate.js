@@ -0,0 +1,166 @@
+// backend/middleware/validate.js
+//
+// Small declarative validator for request bodies.
+//
+// A schema is { fields, checks }:
+//   fields: { <name>: [rule, rule, ...] } — each rule is
+//           async (value, body, context) => ({ value }) | ({ error })
+//           and may return a normalized value for the next rule.
+//   checks: [async (body, errors, context) => void] — cross-field rules that
+//           run after every field, on the normalized body, and add to `errors`.
+//
+// `context` carries request state the rules may need, e.g. { course }
+// (set by the loadCourse middleware).
+//
+// On failure the request gets a 400 with field-level messages:
+//   { message: 'Validation failed', errors: { email: '...', classDate2: '...' } }
+// On success req.body is replaced with the normalized values.
+import moment from 'moment';
+import { isValidTimeZone } from '../utils/timeZone.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('validate');
+
+// Sentinel: optional() returns this to skip the remaining rules
+const SKIP = Symbol('skip');
+
+/**
+ * Build the middleware for a schema.
+ *
+ * @param {{ fields: Object<string, Function[]>, checks?: Function[] }} schema
+ */
+export default function validate(schema) {
+  return async (req, res, next) => {
+    try {
+      const { value, errors } = await runSchema(schema, req.body || {}, {
+        course: req.course,
+      });
+      if (Object.keys(errors).length) {
+        // Field names only, never the submitted values
+        log.info('Validation failed', { path: req.path, fields: Object.keys(errors) });
+        return res.status(400).json({ message: 'Validation failed', errors });
+      }
+      req.body = value;
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+/**
+ * Validate `input` against `schema` without Express (used by other services).
+ *
+ * @param {Object} schema
+ * @param {Object} input
+ * @param {Object} [context] - passed to every rule and check, e.g. { course }
+ * @returns {Promise<{ value: Object, errors: Object<string, string> }>}
+ */
+export async function runSchema({ fields, checks = [] }, input, context = {}) {
+  const value = { ...input };
+  const errors = {};
+
+  for (const [name, fieldRules] of Object.entries(fields)) {
+    let current = input[name];
+    for (const rule of fieldRules) {
+      const result = await rule(current, input, context);
+      if (result === SKIP) {
+        current = null;
+        break;
+      }
+      if (result?.error) {
+        errors[name] = result.error;
+        break;
+      }
+      if (result && 'value' in result) current = result.value;
+    }
+    if (!errors[name]) value[name] = current;
+  }
+
+  for (const check of checks) {
+    await check(value, errors, context);
+  }
+  return { value, errors };
+}
+
+// ------------------------------------------------------
+// Rules
+// ------------------------------------------------------
+const isEmpty = (v) => v === undefined || v === null || v === '';
+
+export const rules = {
+  /** Fails on undefined / null / "" */
+  required: (message = 'is required') => (v) =>
+    isEmpty(v) ? { error: message } : undefined,
+
+  /** Empty values skip the rest of the field's rules (and become null) */
+  optional: () => (v) => (isEmpty(v) ? SKIP : undefined),
+
+  /** Trimmed string with an optional max length */
+  string: ({ max } = {}) => (v) => {
+    if (typeof v !== 'string') return { error: 'must be a string' };
+    const trimmed = v.trim();
+    if (max && trimmed.length > max) {
+      return { error: `must be at most ${max} characters` };
+    }
+    return { value: trimmed };
+  },
+
+  /** Trimmed, lower-cased email address */
+  email: () => (v) => {
+    const normalized = String(v).trim().toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(normalized)
+      ? { value: normalized }
+      : { error: 'must be a valid email address' };
+  },
+
+  /**
+   * Phone number normalized to E.164. Bare 10-digit numbers are treated
+   * as US/Canada (+1).
+   */
+  phone: () => (v) => {
+    const raw = String(v).trim();
+    const digits = raw.replace(/\D/g, '');
+    if (!raw.startsWith('+') && digits.length === 10) {
+      return { value: `+1${digits}` };
+    }
+    if (!raw.startsWith('+') && digits.length === 11 && digits.startsWith('1')) {
+      return { value: `+${digits}` };
+    }
+    if (raw.startsWith('+') && digits.length >= 8 && digits.length <= 15) {
+      return { value: `+${digits}` };
+    }
+    return { error: 'must be a valid phone number' };
+  },
+
+  /**
+   * Calendar date at least `minLeadDays` days from today (server time).
+   * Accepts "YYYY-MM-DD", "MM/DD/YYYY" or a full ISO string and
+   * normalizes to "YYYY-MM-DD".
+   */
+  futureDate: ({ minLeadDays = 0 } = {}) => (v) => {
+    if (typeof v !== 'string') return { error: 'must be a date (YYYY-MM-DD)' };
+    const day = /^\d{4}-\d{2}-\d{2}T/.test(v) ? v.slice(0, 10) : v;
+    const m = moment(day, ['YYYY-MM-DD', 'MM/DD/YYYY'], true);
+    if (!m.isValid()) return { error: 'must be a date (YYYY-MM-DD)' };
+
+    const earliest = moment().startOf('day').add(minLeadDays, 'days');
+    if (m.isBefore(earliest)) {
+      return {
+        error:
+          minLeadDays > 0
+            ? `must be at least ${minLeadDays} day(s) from today`
+            : 'must not be in the past',
+      };
+    }
+    return { value: m.format('YYYY-MM-DD') };
+  },
+
+  /** IANA time zone name, e.g. "America/Denver" */
+  timeZone: () => (v) =>
+    isValidTimeZone(v) ? { value: v } : { error: 'must be a time zone such as America/Chicago' },
+
+  /** Use another field's value when this one is empty (e.g. legacy names) */
+  fallbackTo: (other) => (v, body) =>
+    isEmpty(v) ? { value: body[other] } : undefined,
+};
@@ -0,0 +1,37 @@
+// backend/models/blackout.models.js
+import mongoose from 'mongoose';
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates we don't teach (holidays, breaks). A range blocks every slot unless
+// `slotIds` narrows it down.
+const blackoutSchema = new mongoose.Schema({
+  startDate: {
+    // "YYYY-MM-DD", inclusive (this format sorts and compares as a string)
+    type: String,
+    required: true,
+    match: DAY,
+  },
+  endDate: {
+    // "YYYY-MM-DD", inclusive
+    type: String,
+    required: true,
+    match: DAY,
+  },
+  slotIds: {
+    // empty = all slots
+    type: [String],
+    default: [],
+  },
+  reason: {
+    // shown to students, e.g. "Thanksgiving"
+    type: String,
+    default: '',
+  },
+}, { timestamps: true });
+
+blackoutSchema.index({ startDate: 1, endDate: 1 });
+
+const Blackout = mongoose.model('Blackout', blackoutSchema);
+
+export default Blackout;
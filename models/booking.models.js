@@ -2,22 +2,92 @@
 import mongoose from 'mongoose';
 
 const bookingSchema = new mongoose.Schema({
+  courseId: {
+    // Course.courseId, e.g. "intro-to-ai"
+    type: String,
+    index: true,
+  },
   email: {
     type: String,
     required: true,
   },
   date: {
-    // stored as "MM/DD/YYYY"
+    // class day in the slot's zone, "MM/DD/YYYY" (what seats are counted by)
     type: String,
     required: true,
   },
+  start: {
+    // when the session starts / ends, from date + slot in the slot's time
+    // zone (slotService.getSessionTimes); date range queries use these
+    type: Date,
+    index: true,
+  },
+  end: Date,
+  slotId: {
+    // Slot.slotId, e.g. "afternoon"
+    type: String,
+    index: true,
+  },
   timeSlot: {
-    // e.g. "9am-12pm EST/8am-11pm CST"
+    // slot label at booking time, e.g. "2pm-5pm EST/1pm-4pm CST"
     type: String,
     required: true,
   },
+  status: {
+    type: String,
+    enum: ['booked', 'cancelled'],
+    default: 'booked',
+  },
+  cancelledAt: Date,
+  rescheduledAt: Date, // last move to another session (reminders count from it)
+  cancelReason: String,
+  sessionNumber: {
+    // which of the form's three picks this is (1–3); maps to HubSpot properties
+    type: Number,
+    min: 1,
+    max: 3,
+  },
+  studentName: String,
+  company: String,
+  phone: String,
+  // IANA zone the student registered from; their emails show times in it
+  studentTimeZone: String,
+  instructorId: {
+    // Instructor.instructorId the student was assigned to
+    type: String,
+    index: true,
+  },
+  hubspotContactId: String,
+  enrollmentId: {
+    // Enrollment this booking came from (bulk company enrollment)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enrollment',
+    index: true,
+  },
+  outlookEventId: {
+    // shared by every student of a bulk enrollment in the same session
+    type: String,
+    index: true,
+  },
+  outlookMailbox: String, // calendar the Outlook event was created on
+  attendeeResponse: {
+    // the student's answer to the Outlook invite, kept in sync by the
+    // Graph webhook (declining does not give the seat up by itself)
+    type: String,
+    enum: ['none', 'notResponded', 'accepted', 'tentativelyAccepted', 'declined'],
+    default: 'none',
+  },
 }, { timestamps: true });
 
+// A student can hold at most one active seat in a given session
+bookingSchema.index(
+  { email: 1, date: 1, slotId: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked' } }
+);
+
+// Active sessions in a date range (booked dates, seat counts, reminders)
+bookingSchema.index({ status: 1, start: 1 });
+
 const Booking = mongoose.model('Booking', bookingSchema);
 
 export default Booking;
@@ -0,0 +1,31 @@
+// backend/models/bookingAudit.models.js
+import mongoose from 'mongoose';
+
+// What happened to a booking outside our own API (e.g. the instructor
+// deleted the Outlook event), and what we did about it.
+const bookingAuditSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    index: true,
+  },
+  source: {
+    // where the change came from, e.g. "outlook"
+    type: String,
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: ['cancelled', 'declined', 'response_changed', 'moved', 'move_rejected'],
+    required: true,
+  },
+  outlookEventId: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  note: String,
+}, { timestamps: true });
+
+const BookingAudit = mongoose.model('BookingAudit', bookingAuditSchema);
+
+export default BookingAudit;
@@ -0,0 +1,34 @@
+// backend/models/calendarFeed.models.js
+import mongoose from 'mongoose';
+
+// A secret, subscribable .ics feed URL for one student (by email) or for
+// everyone registered under one company.
+const calendarFeedSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  kind: {
+    type: String,
+    enum: ['student', 'company'],
+    required: true,
+  },
+  email: {
+    // set when kind === "student" (lower-case)
+    type: String,
+  },
+  company: {
+    // set when kind === "company"
+    type: String,
+  },
+  revokedAt: Date,
+  lastFetchedAt: Date,
+}, { timestamps: true });
+
+calendarFeedSchema.index({ kind: 1, email: 1 });
+calendarFeedSchema.index({ kind: 1, company: 1 });
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+export default CalendarFeed;
@@ -0,0 +1,40 @@
+// backend/models/classSession.models.js
+import mongoose from 'mongoose';
+
+// Seat counter for one instructor's section of a class session (date +
+// slot + instructor). `booked` is only ever changed inside the same
+// transaction that creates/removes the Booking, and the unique index makes
+// this document the database-level over-booking guard.
+const classSessionSchema = new mongoose.Schema({
+  date: {
+    // stored as "MM/DD/YYYY"
+    type: String,
+    required: true,
+  },
+  slotId: {
+    // Slot.slotId
+    type: String,
+    required: true,
+  },
+  instructorId: {
+    // Instructor.instructorId teaching this section
+    type: String,
+    required: true,
+  },
+  courseId: {
+    // course the section is running; only changes while it is empty
+    type: String,
+  },
+  booked: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0,
+  },
+}, { timestamps: true });
+
+classSessionSchema.index({ date: 1, slotId: 1, instructorId: 1 }, { unique: true });
+
+const ClassSession = mongoose.model('ClassSession', classSessionSchema);
+
+export default ClassSession;
@@ -0,0 +1,74 @@
+// backend/models/course.models.js
+import mongoose from 'mongoose';
+
+// Per-session HubSpot contact properties (a student picks up to 3 sessions)
+const sessionPropertySchema = new mongoose.Schema({
+  sessionNumber: {
+    type: Number,
+    enum: [1, 2, 3],
+    required: true,
+  },
+  dateProperty: {
+    // HubSpot date property, e.g. "intro_to_ai_program_date"
+    type: String,
+    required: true,
+  },
+  timeProperty: {
+    // HubSpot text property holding the slot label, e.g. "program_session"
+    type: String,
+    required: true,
+  },
+  startProperty: {
+    // optional HubSpot datetime property for the exact session start
+    type: String,
+  },
+}, { _id: false });
+
+const courseSchema = new mongoose.Schema({
+  courseId: {
+    // stable id used in URLs and on bookings, e.g. "intro-to-ai"
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true,
+    match: /^[a-z0-9-]+$/,
+  },
+  name: {
+    // shown to students, e.g. "Intro to AI"
+    type: String,
+    required: true,
+  },
+  slotIds: {
+    // Slot.slotId values this course is taught in
+    type: [String],
+    default: [],
+  },
+  // Outlook / .ics event text. Placeholders: {{course}}, {{company}},
+  // {{studentName}}, {{studentEmail}}, {{date}}, {{time}}
+  eventSubjectTemplate: {
+    type: String,
+    default: '{{course}} Class - {{company}}',
+  },
+  eventBodyTemplate: {
+    type: String,
+    default: [
+      '<p><strong>Company:</strong> {{company}}</p>',
+      '<p><strong>Student:</strong> {{studentName}}</p>',
+      '<p><strong>Email:</strong> {{studentEmail}}</p>',
+      '<p><strong>Date:</strong> {{date}}</p>',
+      '<p><strong>Time:</strong> {{time}}</p>',
+    ].join('\n'),
+  },
+  hubspotSessionProperties: {
+    type: [sessionPropertySchema],
+    default: [],
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+const Course = mongoose.model('Course', courseSchema);
+
+export default Course;
@@ -0,0 +1,20 @@
+// backend/models/enrollment.models.js
+import mongoose from 'mongoose';
+
+// One committed bulk (company) enrollment from a CSV upload. Its bookings
+// carry enrollmentId; students in the same session share one Outlook event.
+const enrollmentSchema = new mongoose.Schema({
+  courseId: {
+    type: String,
+    required: true,
+  },
+  company: String,
+  fileName: String,
+  uploadedBy: String, // admin subject (see middleware/requireAdmin.js)
+  studentCount: Number,
+  bookingIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }],
+}, { timestamps: true });
+
+const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
+
+export default Enrollment;
@@ -0,0 +1,42 @@
+// backend/models/graphSubscription.models.js
+import mongoose from 'mongoose';
+
+// A Microsoft Graph change-notification subscription on one instructor's
+// calendar. Graph caps event subscriptions at ~3 days, so these are renewed
+// by services/outlookSyncService.js well before expiresAt.
+const graphSubscriptionSchema = new mongoose.Schema({
+  subscriptionId: {
+    // Graph's id for the subscription
+    type: String,
+    required: true,
+    unique: true,
+  },
+  resource: {
+    // e.g. "/users/instructor@kableacademy.com/events"
+    type: String,
+    required: true,
+  },
+  mailbox: String, // calendar owner the resource points at
+  changeType: String,
+  notificationUrl: String,
+  clientState: {
+    // secret Graph echoes back on every notification
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'removed'],
+    default: 'active',
+  },
+  lastRenewedAt: Date,
+  lastNotificationAt: Date,
+}, { timestamps: true });
+
+const GraphSubscription = mongoose.model('GraphSubscription', graphSubscriptionSchema);
+
+export default GraphSubscription;
@@ -0,0 +1,54 @@
+// backend/models/instructor.models.js
+import mongoose from 'mongoose';
+
+// Someone who teaches classes. Each instructor runs their own section of a
+// session (date + slot), with its own Outlook calendar and seat limit, so
+// several sections of the same session can run side by side.
+const instructorSchema = new mongoose.Schema({
+  instructorId: {
+    // stable id bookings refer to, e.g. "jane-doe"
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true,
+    match: /^[a-z0-9-]+$/,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  mailbox: {
+    // Microsoft 365 mailbox whose calendar holds this instructor's class
+    // events and busy time; no mailbox = no Outlook events / busy checks
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  courseIds: {
+    // Course.courseId values this instructor teaches; empty = every course
+    type: [String],
+    default: [],
+  },
+  capacity: {
+    // seats in each section this instructor teaches; null = the seat
+    // capacity rules (SeatCapacity / DEFAULT_SEAT_CAPACITY)
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  lastAssignedAt: {
+    // when a booking was last given to this instructor (round-robin order)
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+instructorSchema.index({ mailbox: 1 }, { unique: true, sparse: true });
+
+const Instructor = mongoose.model('Instructor', instructorSchema);
+
+export default Instructor;
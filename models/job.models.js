@@ -0,0 +1,49 @@
+// backend/models/job.models.js
+import mongoose from 'mongoose';
+
+// One external side effect (HubSpot call, Outlook event, ...) waiting to be
+// run — or retried — by the background worker in services/jobQueue.js.
+const jobSchema = new mongoose.Schema({
+  type: {
+    // handler name, e.g. "outlook.createEvent"
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'succeeded', 'failed'],
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8,
+  },
+  runAt: {
+    // earliest time the next attempt may start
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: Date,
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  correlationId: {
+    // id of the request that queued it (utils/logger.js), for tracing
+    type: String,
+    index: true,
+  },
+}, { timestamps: true });
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
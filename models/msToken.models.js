@@ -1,10 +1,15 @@
-const mongoose = require('mongoose');
+// backend/models/msToken.models.js
+import mongoose from 'mongoose';
 
-const MsTokenSchema = new mongoose.Schema({
+// Legacy plaintext Microsoft tokens. Only read by migrateLegacyTokens()
+// (services/tokenStore.js), which moves them into OAuthToken encrypted.
+const msTokenSchema = new mongoose.Schema({
   accessToken: String,
   refreshToken: String,
-  expiresAt: Number,   // Date.now() + expiresIn*1000
-  accountId: String,   // optional: oid/sub from id token
+  expiresAt: Number, // Date.now() + expiresIn*1000
+  accountId: String, // optional: oid/sub from id token
 }, { timestamps: true });
 
-module.exports = mongoose.model('MsToken', MsTokenSchema);
+const MsToken = mongoose.model('MsToken', msTokenSchema);
+
+export default MsToken;
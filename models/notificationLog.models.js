@@ -0,0 +1,30 @@
+// backend/models/notificationLog.models.js
+import mongoose from 'mongoose';
+
+// One row per email we have decided to send. The unique `key` is what stops
+// restarts / overlapping scheduler runs from sending the same email twice.
+const notificationLogSchema = new mongoose.Schema({
+  key: {
+    // e.g. "confirmation:<bookingId>", "reminder:24h:<bookingId>"
+    type: String,
+    required: true,
+    unique: true,
+  },
+  kind: {
+    type: String,
+    enum: ['confirmation', 'reminder', 'cancellation', 'waitlistOffer'],
+    required: true,
+  },
+  bookingIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }],
+  email: String,
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'skipped'],
+    default: 'queued',
+  },
+  sentAt: Date,
+}, { timestamps: true });
+
+const NotificationLog = mongoose.model('NotificationLog', notificationLogSchema);
+
+export default NotificationLog;
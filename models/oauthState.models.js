@@ -0,0 +1,27 @@
+// backend/models/oauthState.models.js
+import mongoose from 'mongoose';
+
+// One-time OAuth "state" values. Each document is consumed by the callback
+// and Mongo drops anything left over once `expiresAt` has passed.
+const oauthStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  provider: {
+    // e.g. "hubspot"
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, { timestamps: true });
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+
+export default OAuthState;
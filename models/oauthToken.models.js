@@ -0,0 +1,52 @@
+// backend/models/oauthToken.models.js
+import mongoose from 'mongoose';
+
+// OAuth tokens for one connected account (a HubSpot portal, a Microsoft
+// account). accessToken / refreshToken are only ever stored encrypted
+// (utils/secretBox.js); read and write them through services/tokenStore.js.
+const oauthTokenSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['hubspot', 'microsoft'],
+    required: true,
+  },
+  accountId: {
+    // HubSpot hub_id / Microsoft oid, as a string
+    type: String,
+    required: true,
+  },
+  accountName: String, // e.g. the HubSpot hub domain
+  accessToken: {
+    type: String,
+    required: true,
+  },
+  refreshToken: String,
+  keyId: {
+    // encryption key the secrets are encrypted with
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  scopes: [String],
+  needsReauth: {
+    // set when the provider rejects the refresh token; cleared on re-install
+    type: Boolean,
+    default: false,
+  },
+  lastRefreshError: String,
+  lastRefreshedAt: Date,
+  refreshLockedUntil: {
+    // lease held by whichever instance is refreshing right now
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+oauthTokenSchema.index({ provider: 1, accountId: 1 }, { unique: true });
+
+const OAuthToken = mongoose.model('OAuthToken', oauthTokenSchema);
+
+export default OAuthToken;
@@ -0,0 +1,36 @@
+// backend/models/rateLimitCounter.models.js
+import mongoose from 'mongoose';
+
+// Requests seen from one key (an IP or an email) in one fixed window.
+// Shared by every app instance; Mongo drops a counter once its window is over.
+const rateLimitCounterSchema = new mongoose.Schema({
+  bucket: {
+    // which limit, e.g. "read:ip", "submit:email"
+    type: String,
+    required: true,
+  },
+  keyHash: {
+    // sha256 of the IP / email, so the raw value is never stored
+    type: String,
+    required: true,
+  },
+  windowStart: {
+    type: Date,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitCounterSchema.index({ bucket: 1, keyHash: 1, windowStart: 1 }, { unique: true });
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+export default RateLimitCounter;
@@ -0,0 +1,28 @@
+// backend/models/seatCapacity.models.js
+import mongoose from 'mongoose';
+
+// Seat limits for a class slot. A document without `date` is the default
+// for that slot; one with `date` overrides it for that single session.
+const seatCapacitySchema = new mongoose.Schema({
+  slotId: {
+    // Slot.slotId, e.g. "afternoon"
+    type: String,
+    required: true,
+  },
+  date: {
+    // stored as "MM/DD/YYYY"; null for the slot-wide default
+    type: String,
+    default: null,
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { timestamps: true });
+
+seatCapacitySchema.index({ slotId: 1, date: 1 }, { unique: true });
+
+const SeatCapacity = mongoose.model('SeatCapacity', seatCapacitySchema);
+
+export default SeatCapacity;
@@ -0,0 +1,75 @@
+// backend/models/slot.models.js
+import mongoose from 'mongoose';
+import { isValidTimeZone } from '../utils/timeZone.js';
+
+const slotSchema = new mongoose.Schema({
+  slotId: {
+    // stable id the form and bookings refer to, e.g. "afternoon"
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true,
+    match: /^[a-z0-9-]+$/,
+  },
+  label: {
+    // shown on the form, e.g. "2pm-5pm EST/1pm-4pm CST"
+    type: String,
+    required: true,
+  },
+  startTime: {
+    // "HH:mm" (24h) in `timeZone`
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+  },
+  timeZone: {
+    // IANA zone the start/end times are in; sessions are instants in this
+    // zone, so DST is applied per date
+    type: String,
+    required: true,
+    default: 'America/New_York',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Unknown time zone "{VALUE}"',
+    },
+  },
+  legacyLabels: {
+    // old label strings still accepted from older clients / stored bookings
+    type: [String],
+    default: [],
+  },
+  weekdays: {
+    // days of the week this slot runs, 0 = Sunday … 6 = Saturday
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [0, 1, 2, 3, 4, 5, 6],
+  },
+  minNoticeHours: {
+    // overrides BOOKING_MIN_NOTICE_HOURS for this slot
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  maxAdvanceDays: {
+    // overrides BOOKING_MAX_ADVANCE_DAYS for this slot
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+}, { timestamps: true });
+
+const Slot = mongoose.model('Slot', slotSchema);
+
+export default Slot;
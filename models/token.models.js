@@ -1,6 +1,8 @@
 // backend/models/token.models.js
 import mongoose from 'mongoose';
 
+// Legacy plaintext HubSpot tokens. Only read by migrateLegacyTokens()
+// (services/tokenStore.js), which moves them into OAuthToken encrypted.
 const tokenSchema = new mongoose.Schema({
   accessToken: {
     type: String,
@@ -14,6 +16,19 @@ const tokenSchema = new mongoose.Schema({
     type: Number,
     required: true, // store as timestamp (Date.now())
   },
+  portalId: {
+    // HubSpot hub_id the tokens were issued for
+    type: Number,
+    index: true,
+  },
+  hubDomain: String,
+  scopes: [String],
+  needsReauth: {
+    // set when HubSpot rejects the refresh token; cleared by /auth/callback
+    type: Boolean,
+    default: false,
+  },
+  lastRefreshError: String,
 }, { timestamps: true });
 
 const Token = mongoose.model('Token', tokenSchema);
@@ -0,0 +1,67 @@
+// backend/models/waitlistEntry.models.js
+import mongoose from 'mongoose';
+
+// A student waiting for a seat in one full class session (date + slot).
+// Entries are served oldest first. When a seat opens the next entry is
+// "offered": a Booking is created for them and they have until
+// offerExpiresAt to confirm it, or the seat moves on to the next person.
+const waitlistEntrySchema = new mongoose.Schema({
+  courseId: {
+    // Course.courseId the seat is for
+    type: String,
+  },
+  date: {
+    // stored as "MM/DD/YYYY", like Booking.date
+    type: String,
+    required: true,
+  },
+  slotId: {
+    // Slot.slotId
+    type: String,
+    required: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  studentName: String,
+  firstName: String,
+  lastName: String,
+  company: String,
+  phone: String,
+  sessionNumber: {
+    // which of the student's (up to 3) sessions this seat is for; its
+    // HubSpot properties are written once the offer is confirmed
+    type: Number,
+    enum: [1, 2, 3],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'confirmed', 'expired', 'declined', 'left'],
+    default: 'waiting',
+  },
+  offerToken: String, // secret used in the confirm / decline links
+  offeredAt: Date,
+  offerExpiresAt: Date,
+  confirmedAt: Date,
+  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+}, { timestamps: true });
+
+// One open entry per student per session
+waitlistEntrySchema.index(
+  { date: 1, slotId: 1, email: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ['waiting', 'offered'] } },
+  }
+);
+waitlistEntrySchema.index({ date: 1, slotId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ offerToken: 1 }, { unique: true, sparse: true });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+export default WaitlistEntry;
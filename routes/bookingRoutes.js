@@ -0,0 +1,181 @@
+// routes/bookingRoutes.js
+import express from 'express';
+import mongoose from 'mongoose';
+import moment from 'moment';
+import requireAdmin, { requireRole } from '../middleware/requireAdmin.js';
+import { toBookingDate } from '../services/capacityService.js';
+import { resolveSlot, getSlot } from '../services/slotService.js';
+import {
+  searchBookings,
+  getSessionRoster,
+} from '../services/bookingSearchService.js';
+import { toCsv } from '../utils/csv.js';
+import BookingAudit from '../models/bookingAudit.models.js';
+import {
+  cancelBooking,
+  rescheduleBooking,
+  SessionConflictError,
+} from '../services/bookingService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const log = createLogger('bookingRoutes');
+
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(404).json({ ok: false, error: 'Booking not found' });
+  }
+  next();
+});
+
+/**
+ * Search bookings.
+ * query: ?from=2025-12-01&to=2025-12-31&slotId=afternoon&company=acme
+ *        &email=@acme.com&status=booked&sort=-createdAt&page=1&pageSize=50
+ */
+router.get(
+  '/api/admin/bookings',
+  requireRole('admin', 'staff'),
+  async (req, res) => {
+    try {
+      const result = await searchBookings(req.query);
+      res.json({ ok: true, ...result });
+    } catch (e) {
+      log.error('Search failed', e);
+      res.status(500).json({ ok: false, error: 'Server error' });
+    }
+  }
+);
+
+/**
+ * CSV roster of one session for instructors. Instructors (without an
+ * admin / staff role) only get the students of their own section.
+ * query: ?date=2025-12-01&slotId=afternoon
+ */
+router.get(
+  '/api/admin/bookings/roster.csv',
+  requireRole('admin', 'staff', 'instructor'),
+  async (req, res) => {
+    const { date, slotId } = req.query;
+    if (!toBookingDate(date) || typeof slotId !== 'string') {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'date (YYYY-MM-DD) and slotId are required' });
+    }
+    const { roles, instructorId } = req.admin;
+    const ownSectionOnly = !roles.includes('admin') && !roles.includes('staff');
+    if (ownSectionOnly && !instructorId) {
+      return res.status(403).json({ ok: false, error: 'Token has no instructorId' });
+    }
+
+    try {
+      const slot = await getSlot(slotId);
+      if (!slot) {
+        return res.status(404).json({ ok: false, error: 'Unknown slotId' });
+      }
+
+      const roster = await getSessionRoster(date, slotId, {
+        instructorId: ownSectionOnly ? instructorId : undefined,
+      });
+      const csv = toCsv(roster, [
+        { key: 'studentName', header: 'Student' },
+        { key: 'email', header: 'Email' },
+        { key: 'phone', header: 'Phone' },
+        { key: 'company', header: 'Company' },
+        { key: 'createdAt', header: 'Registered At' },
+      ]);
+
+      const fileDate = moment(toBookingDate(date), 'MM/DD/YYYY').format('YYYY-MM-DD');
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="roster-${fileDate}-${slot.slotId}.csv"`
+      );
+      res.send(csv);
+    } catch (e) {
+      log.error('Roster export failed', e);
+      res.status(500).json({ ok: false, error: 'Server error' });
+    }
+  }
+);
+
+// Changes made to a booking from outside the API (e.g. in Outlook)
+router.get(
+  '/api/admin/bookings/:id/audit',
+  requireRole('admin', 'staff'),
+  async (req, res) => {
+    try {
+      const entries = await BookingAudit.find({ bookingId: req.params.id }).sort({
+        createdAt: 1,
+      });
+      res.json({ ok: true, entries });
+    } catch (e) {
+      log.error('Audit lookup failed', e);
+      res.status(500).json({ ok: false, error: 'Server error' });
+    }
+  }
+);
+
+/**
+ * Cancel a booking.
+ * body (optional): { "reason": "Moved to the January cohort" }
+ */
+router.post('/api/admin/bookings/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const result = await cancelBooking(req.params.id, {
+      reason: req.body?.reason || '',
+    });
+    if (!result) {
+      return res
+        .status(404)
+        .json({ ok: false, error: 'No active booking with that id' });
+    }
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    log.error('Cancel failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * Move a booking to another session.
+ * body: { "classDate": "2025-12-08", "slotId": "afternoon" }
+ */
+router.post('/api/admin/bookings/:id/reschedule', requireAdmin, async (req, res) => {
+  const date = toBookingDate(req.body?.classDate);
+  if (!date || !(req.body?.slotId || req.body?.time)) {
+    return res.status(400).json({
+      ok: false,
+      error: 'classDate (YYYY-MM-DD) and slotId are required',
+    });
+  }
+
+  try {
+    const slot = await resolveSlot(req.body.slotId || req.body.time);
+    if (!slot) {
+      return res.status(400).json({ ok: false, error: 'Unknown slotId' });
+    }
+
+    const result = await rescheduleBooking(req.params.id, { date, slot });
+    if (!result) {
+      return res
+        .status(404)
+        .json({ ok: false, error: 'No active booking with that id' });
+    }
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    if (e instanceof SessionConflictError) {
+      return res.status(409).json({
+        ok: false,
+        error: e.message,
+        conflicts: [
+          { date: e.date, slotId: e.slotId, timeSlot: e.timeSlot, reason: e.reason },
+        ],
+      });
+    }
+    log.error('Reschedule failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+export default router;
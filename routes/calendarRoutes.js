@@ -0,0 +1,141 @@
+// routes/calendarRoutes.js
+import express from 'express';
+import mongoose from 'mongoose';
+import requireAdmin, { requireRole } from '../middleware/requireAdmin.js';
+import CalendarFeed from '../models/calendarFeed.models.js';
+import {
+  findFeed,
+  getFeedBookings,
+  getOrCreateFeed,
+  buildCalendar,
+  feedUrl,
+} from '../services/icsService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const log = createLogger('calendarRoutes');
+
+function sendIcs(res, ics, filename) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  res.send(ics);
+}
+
+// ---------------------------------------------------------
+// Public (the token in the URL is the credential)
+// ---------------------------------------------------------
+
+// Subscribable feed: every booking for the student / company
+router.get('/api/calendar/:token.ics', async (req, res) => {
+  try {
+    const feed = await findFeed(req.params.token);
+    if (!feed) return res.status(404).send('Calendar not found');
+
+    const bookings = await getFeedBookings(feed);
+    const name =
+      feed.kind === 'company'
+        ? `${feed.company} – Kable Academy Classes`
+        : 'Kable Academy Classes';
+    const ics = await buildCalendar(bookings, { name });
+
+    CalendarFeed.updateOne({ _id: feed._id }, { lastFetchedAt: new Date() }).catch(
+      () => {}
+    );
+    sendIcs(res, ics, 'kable-academy-classes.ics');
+  } catch (e) {
+    log.error('Feed failed', e);
+    res.status(500).send('Server error');
+  }
+});
+
+// Single booking download (must belong to the feed)
+router.get('/api/calendar/:token/bookings/:bookingId.ics', async (req, res) => {
+  try {
+    const feed = await findFeed(req.params.token);
+    if (!feed || !mongoose.isValidObjectId(req.params.bookingId)) {
+      return res.status(404).send('Calendar not found');
+    }
+
+    const bookings = await getFeedBookings(feed);
+    const booking = bookings.find((b) => String(b._id) === req.params.bookingId);
+    if (!booking) return res.status(404).send('Booking not found');
+
+    const ics = await buildCalendar([booking]);
+    sendIcs(res, ics, `class-${booking._id}.ics`);
+  } catch (e) {
+    log.error('Booking download failed', e);
+    res.status(500).send('Server error');
+  }
+});
+
+// ---------------------------------------------------------
+// Admin: issue / list / revoke feed URLs
+// ---------------------------------------------------------
+
+/**
+ * Get (or create) the feed URL for a student or a company.
+ * body: { "email": "student@acme.com" }  or  { "company": "ACME" }
+ */
+router.post(
+  '/api/admin/calendar-feeds',
+  requireRole('admin', 'staff'),
+  async (req, res) => {
+    const { email, company } = req.body || {};
+    if (typeof email !== 'string' && typeof company !== 'string') {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'email or company is required' });
+    }
+
+    try {
+      const feed = await getOrCreateFeed(
+        typeof email === 'string' ? { email } : { company }
+      );
+      res.json({ ok: true, feed, url: feedUrl(feed) });
+    } catch (e) {
+      log.error('Feed create failed', e);
+      res.status(500).json({ ok: false, error: 'Server error' });
+    }
+  }
+);
+
+router.get(
+  '/api/admin/calendar-feeds',
+  requireRole('admin', 'staff'),
+  async (_req, res) => {
+    try {
+      const feeds = await CalendarFeed.find({ revokedAt: null }).sort({
+        createdAt: -1,
+      });
+      res.json({
+        ok: true,
+        feeds: feeds.map((feed) => ({ ...feed.toObject(), url: feedUrl(feed) })),
+      });
+    } catch (e) {
+      log.error('Feed list failed', e);
+      res.status(500).json({ ok: false, error: 'Server error' });
+    }
+  }
+);
+
+// Revoke a leaked URL; the next getOrCreateFeed() issues a new token
+router.delete('/api/admin/calendar-feeds/:id', requireAdmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ ok: false, error: 'Feed not found' });
+  }
+  try {
+    const feed = await CalendarFeed.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!feed) return res.status(404).json({ ok: false, error: 'Feed not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    log.error('Feed revoke failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+// routes/capacityRoutes.js
+import express from 'express';
+import requireAdmin from '../middleware/requireAdmin.js';
+import SeatCapacity from '../models/seatCapacity.models.js';
+import { toBookingDate } from '../services/capacityService.js';
+import { getSlot } from '../services/slotService.js';
+import {
+  queueWaitlistPromotion,
+  queueWaitlistPromotionForSlot,
+} from '../services/waitlistService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const log = createLogger('capacityRoutes');
+
+router.use('/api/admin/seat-capacity', requireAdmin);
+
+// List every slot default and per-date override
+router.get('/api/admin/seat-capacity', async (_req, res) => {
+  try {
+    const rules = await SeatCapacity.find().sort({ slotId: 1, date: 1 });
+    res.json({ ok: true, rules });
+  } catch (e) {
+    log.error('List failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * Create or replace a capacity rule.
+ * body: { "slotId": "afternoon", "capacity": 12, "date": "2025-12-01" }
+ * Omit `date` to set the default for every session of that slot.
+ */
+router.put('/api/admin/seat-capacity', async (req, res) => {
+  const { slotId, capacity } = req.body || {};
+  const date = req.body?.date ? toBookingDate(req.body.date) : null;
+
+  if (!slotId || !Number.isInteger(capacity) || capacity < 0) {
+    return res.status(400).json({
+      ok: false,
+      error: 'slotId and a non-negative integer capacity are required',
+    });
+  }
+  if (req.body?.date && !date) {
+    return res
+      .status(400)
+      .json({ ok: false, error: 'date must be YYYY-MM-DD or MM/DD/YYYY' });
+  }
+
+  try {
+    if (!(await getSlot(slotId))) {
+      return res.status(404).json({ ok: false, error: `Unknown slotId "${slotId}"` });
+    }
+
+    const rule = await SeatCapacity.findOneAndUpdate(
+      { slotId, date },
+      { slotId, date, capacity },
+      { upsert: true, new: true, runValidators: true }
+    );
+    log.info('Saved seat capacity rule', { slotId, date, capacity });
+
+    // More seats may mean waitlisted students can be offered one
+    await (date
+      ? queueWaitlistPromotion(date, slotId)
+      : queueWaitlistPromotionForSlot(slotId)
+    ).catch((e) =>
+      log.warn('Could not queue waitlist promotion', e)
+    );
+    res.json({ ok: true, rule });
+  } catch (e) {
+    log.error('Save failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+router.delete('/api/admin/seat-capacity/:id', async (req, res) => {
+  try {
+    const rule = await SeatCapacity.findByIdAndDelete(req.params.id);
+    if (!rule) return res.status(404).json({ ok: false, error: 'Not found' });
+
+    // Falling back to a broader rule can also raise capacity
+    await (rule.date
+      ? queueWaitlistPromotion(rule.date, rule.slotId)
+      : queueWaitlistPromotionForSlot(rule.slotId)
+    ).catch((e) =>
+      log.warn('Could not queue waitlist promotion', e)
+    );
+    res.json({ ok: true });
+  } catch (e) {
+    log.error('Delete failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+export default router;
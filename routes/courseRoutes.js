@@ -0,0 +1,138 @@
+// routes/courseRoutes.js
+import express from 'express';
+import requireAdmin from '../middleware/requireAdmin.js';
+import Course from '../models/course.models.js';
+import Slot from '../models/slot.models.js';
+import { listCourses } from '../services/courseService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const log = createLogger('courseRoutes');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'slotIds',
+  'eventSubjectTemplate',
+  'eventBodyTemplate',
+  'hubspotSessionProperties',
+  'active',
+];
+
+function pickEditable(body = {}) {
+  const update = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) update[field] = body[field];
+  });
+  return update;
+}
+
+// slotIds must name slots that exist (inactive ones are fine)
+async function unknownSlotIds(slotIds) {
+  if (!Array.isArray(slotIds)) return [];
+  const known = await Slot.distinct('slotId', { slotId: { $in: slotIds } });
+  return slotIds.filter((id) => !known.includes(id));
+}
+
+function validationError(res, e) {
+  return res.status(400).json({ ok: false, error: e.message });
+}
+
+// ---------------------------------------------------------
+// Public: courses students can register for
+// ---------------------------------------------------------
+router.get('/api/courses', async (_req, res) => {
+  try {
+    const courses = await listCourses();
+    res.json(courses.map(({ courseId, name, slotIds }) => ({ courseId, name, slotIds })));
+  } catch (e) {
+    log.error('List failed', e);
+    res.status(500).json({ message: 'Error fetching courses' });
+  }
+});
+
+// ---------------------------------------------------------
+// Admin CRUD
+// ---------------------------------------------------------
+router.use('/api/admin/courses', requireAdmin);
+
+router.get('/api/admin/courses', async (_req, res) => {
+  try {
+    const courses = await listCourses({ includeInactive: true });
+    res.json({ ok: true, courses });
+  } catch (e) {
+    log.error('Admin list failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * body: { "courseId": "ai-for-managers", "name": "AI for Managers",
+ *         "slotIds": ["morning"],
+ *         "hubspotSessionProperties": [
+ *           { "sessionNumber": 1, "dateProperty": "ai_managers_date",
+ *             "timeProperty": "ai_managers_time" } ] }
+ */
+router.post('/api/admin/courses', async (req, res) => {
+  const data = { courseId: req.body?.courseId, ...pickEditable(req.body) };
+  try {
+    const unknown = await unknownSlotIds(data.slotIds);
+    if (unknown.length) {
+      return res.status(400).json({ ok: false, error: `Unknown slotIds: ${unknown.join(', ')}` });
+    }
+
+    const course = await Course.create(data);
+    log.info('Created course', { courseId: course.courseId });
+    res.status(201).json({ ok: true, course });
+  } catch (e) {
+    if (e.code === 11000) {
+      return res
+        .status(409)
+        .json({ ok: false, error: `courseId "${data.courseId}" already exists` });
+    }
+    if (e.name === 'ValidationError') return validationError(res, e);
+    log.error('Create failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// courseId itself can't be changed — bookings refer to it
+router.patch('/api/admin/courses/:courseId', async (req, res) => {
+  const update = pickEditable(req.body);
+  try {
+    const unknown = await unknownSlotIds(update.slotIds);
+    if (unknown.length) {
+      return res.status(400).json({ ok: false, error: `Unknown slotIds: ${unknown.join(', ')}` });
+    }
+
+    const course = await Course.findOne({ courseId: req.params.courseId });
+    if (!course) return res.status(404).json({ ok: false, error: 'Course not found' });
+
+    course.set(update);
+    await course.save();
+    log.info('Updated course', { courseId: course.courseId });
+    res.json({ ok: true, course });
+  } catch (e) {
+    if (e.name === 'ValidationError') return validationError(res, e);
+    log.error('Update failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Deactivates rather than deletes so existing bookings keep their event text
+router.delete('/api/admin/courses/:courseId', async (req, res) => {
+  try {
+    const course = await Course.findOneAndUpdate(
+      { courseId: req.params.courseId },
+      { active: false },
+      { new: true }
+    );
+    if (!course) return res.status(404).json({ ok: false, error: 'Course not found' });
+    log.info('Deactivated course', { courseId: course.courseId });
+    res.json({ ok: true, course });
+  } catch (e) {
+    log.error('Deactivate failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,158 @@
+// routes/enrollmentRoutes.js
+import express from 'express';
+import multer from 'multer';
+import { requireRole } from '../middleware/requireAdmin.js';
+import Enrollment from '../models/enrollment.models.js';
+import { DEFAULT_COURSE_ID, getCourse } from '../services/courseService.js';
+import {
+  previewEnrollment,
+  commitEnrollment,
+  EnrollmentFileError,
+} from '../services/enrollmentService.js';
+import { SessionConflictError } from '../services/bookingService.js';
+import { toDateISO } from '../services/capacityService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const log = createLogger('enrollmentRoutes');
+
+// A few hundred rows of contact details fit easily
+const MAX_UPLOAD_BYTES = 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+router.use('/api/admin/enrollments', requireRole('admin', 'staff'));
+
+/**
+ * Read the multipart upload: `file` (the CSV) plus optional `courseId`
+ * (default course) and `company` (for rows without a company column).
+ * Sets req.course and req.csvText.
+ */
+function readUpload(req, res, next) {
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      const error =
+        err.code === 'LIMIT_FILE_SIZE' ? 'The file is larger than 1 MB' : err.message;
+      return res.status(400).json({ ok: false, error });
+    }
+    if (!req.file) {
+      return res.status(400).json({ ok: false, error: 'Upload a CSV file as "file"' });
+    }
+    try {
+      req.course = await getCourse(req.body.courseId || DEFAULT_COURSE_ID, { activeOnly: true });
+      if (!req.course) {
+        return res.status(404).json({ ok: false, error: 'Course not found' });
+      }
+      req.csvText = req.file.buffer.toString('utf8');
+      next();
+    } catch (e) {
+      next(e);
+    }
+  });
+}
+
+// What the preview shows for a row (the normalized values stay server-side)
+function rowView({ line, email, studentName, sessions, errors }) {
+  return {
+    line,
+    email,
+    studentName,
+    sessions: sessions.map(({ date, slotId, sessionNumber }) => ({
+      date: toDateISO(date),
+      slotId,
+      sessionNumber,
+    })),
+    errors,
+  };
+}
+
+function previewView(preview) {
+  const rows = preview.rows.map(rowView);
+  return {
+    valid: preview.valid,
+    students: rows.length,
+    invalid: rows.filter((r) => Object.keys(r.errors).length).length,
+    rows,
+  };
+}
+
+/**
+ * Check an upload without booking anything.
+ * multipart: file, courseId?, company?
+ */
+router.post('/api/admin/enrollments/preview', readUpload, async (req, res) => {
+  try {
+    const preview = await previewEnrollment({
+      course: req.course,
+      csvText: req.csvText,
+      company: req.body.company,
+    });
+    res.json({ ok: true, courseId: req.course.courseId, ...previewView(preview) });
+  } catch (e) {
+    if (e instanceof EnrollmentFileError) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    log.error('Preview failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * Enroll everyone in an upload. Nothing is booked unless every row is
+ * valid (422 with the same per-row preview otherwise).
+ * multipart: file, courseId?, company?
+ */
+router.post('/api/admin/enrollments', readUpload, async (req, res) => {
+  try {
+    const { enrollment, preview } = await commitEnrollment({
+      course: req.course,
+      csvText: req.csvText,
+      company: req.body.company,
+      fileName: req.file.originalname,
+      uploadedBy: req.admin.subject,
+    });
+    if (!enrollment) {
+      return res.status(422).json({
+        ok: false,
+        error: 'Some rows have errors; nothing was booked',
+        ...previewView(preview),
+      });
+    }
+    res.status(201).json({ ok: true, enrollment, ...previewView(preview) });
+  } catch (e) {
+    if (e instanceof EnrollmentFileError) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    if (e instanceof SessionConflictError) {
+      return res.status(409).json({
+        ok: false,
+        error: `${e.message}; nothing was booked`,
+        conflict: { date: e.date, slotId: e.slotId, reason: e.reason },
+      });
+    }
+    log.error('Enrollment failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * Recent enrollments, newest first. query: ?courseId=&limit=50
+ */
+router.get('/api/admin/enrollments', async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const filter = {};
+  if (typeof req.query.courseId === 'string') filter.courseId = req.query.courseId;
+
+  try {
+    const enrollments = await Enrollment.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json({ ok: true, enrollments });
+  } catch (e) {
+    log.error('List failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,30 @@
+// routes/healthRoutes.js
+import express from 'express';
+import { getLiveness, getReadiness } from '../services/healthService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const log = createLogger('healthRoutes');
+
+// Liveness: 200 while the process can serve requests
+router.get('/api/health/live', (_req, res) => {
+  res.json(getLiveness());
+});
+
+/**
+ * Readiness: Mongo, HubSpot (a usable access token) and Graph (a token and
+ * a reachable organizer mailbox), each with status and latency. 503 only
+ * when a critical dependency (Mongo) is down; HubSpot / Graph problems
+ * show as status "degraded". ?fresh=true skips the 15s result cache.
+ */
+router.get('/api/health/ready', async (req, res) => {
+  try {
+    const readiness = await getReadiness({ fresh: req.query.fresh === 'true' });
+    res.status(readiness.ready ? 200 : 503).json(readiness);
+  } catch (e) {
+    log.error('Readiness check failed', e);
+    res.status(503).json({ ready: false, status: 'down' });
+  }
+});
+
+export default router;
@@ -0,0 +1,127 @@
+// routes/hubspotRoutes.js
+import express from 'express';
+import {
+  INSTALL_PATH,
+  createAuthorizeRequest,
+  consumeAuthorizeState,
+  completeAuthorization,
+  verifyWebhookSignature,
+} from '../services/hubspotService.js';
+import { handleHubSpotEvents } from '../services/hubspotSyncService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const log = createLogger('hubspotRoutes');
+
+const STATE_COOKIE = 'hs_oauth_state';
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+/**
+ * Start the HubSpot OAuth install. Redirects to HubSpot's consent screen
+ * and pins the state to this browser with a short-lived cookie.
+ *
+ * Public on purpose: it is opened in a browser, which can't send an admin
+ * header, and the callback only stores tokens for HUBSPOT_PORTAL_ID, so
+ * consenting with any other HubSpot account changes nothing.
+ */
+router.get(INSTALL_PATH, async (_req, res) => {
+  try {
+    const { state, url, ttlMs } = await createAuthorizeRequest();
+    res.cookie(STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: ttlMs,
+    });
+    log.info('Redirecting to HubSpot authorize URL');
+    res.redirect(url);
+  } catch (e) {
+    log.error('Could not start install', e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+/**
+ * HubSpot redirects here with ?code=&state= (this is REDIRECT_URI).
+ */
+router.get('/auth/callback', async (req, res) => {
+  const { code, state, error, error_description: errorDescription } = req.query;
+  const cookieState = readCookie(req, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE);
+
+  if (error) {
+    log.error('HubSpot authorization denied', { error, errorDescription });
+    return res
+      .status(400)
+      .json({ ok: false, error: errorDescription || error });
+  }
+
+  // CSRF: state must match this browser's cookie AND be a live, unused value
+  if (!state || state !== cookieState || !(await consumeAuthorizeState(state))) {
+    log.warn('Rejected OAuth callback with invalid state');
+    return res
+      .status(403)
+      .json({ ok: false, error: 'Invalid or expired OAuth state. Start again.' });
+  }
+
+  if (!code) {
+    return res.status(400).json({ ok: false, error: 'Missing authorization code' });
+  }
+
+  try {
+    const token = await completeAuthorization(code);
+    res.json({
+      ok: true,
+      message: 'HubSpot connected',
+      portalId: token.portalId,
+      hubDomain: token.hubDomain,
+      scopes: token.scopes,
+    });
+  } catch (e) {
+    log.error('Token exchange failed', e);
+    res
+      .status(502)
+      .json({ ok: false, error: e.response?.data?.message || e.message });
+  }
+});
+
+/**
+ * HubSpot webhook (contact.propertyChange on the class date / time
+ * properties). Requests must carry a valid v3 signature; the events are
+ * queued and applied to bookings by services/hubspotSyncService.js.
+ */
+router.post('/api/hubspot/webhook', async (req, res) => {
+  const baseUrl = process.env.PUBLIC_BASE_URL || 'http://localhost:5000';
+  const valid = verifyWebhookSignature({
+    method: req.method,
+    // the URL HubSpot called, as configured on the app
+    url: `${baseUrl}${req.originalUrl}`,
+    rawBody: req.rawBody?.toString('utf8') ?? '',
+    timestamp: req.get('X-HubSpot-Request-Timestamp'),
+    signature: req.get('X-HubSpot-Signature-v3'),
+  });
+  if (!valid) {
+    log.warn('Rejected webhook with a bad or stale signature');
+    return res.sendStatus(401);
+  }
+
+  try {
+    const queued = await handleHubSpotEvents(req.body);
+    log.info('Webhook handled', { queued });
+    res.sendStatus(204);
+  } catch (e) {
+    log.error('Webhook handling failed', e);
+    // 5xx makes HubSpot retry the delivery
+    res.sendStatus(500);
+  }
+});
+
+export default router;
@@ -0,0 +1,178 @@
+// routes/instructorRoutes.js
+import express from 'express';
+import moment from 'moment';
+import requireAdmin from '../middleware/requireAdmin.js';
+import Instructor from '../models/instructor.models.js';
+import Course from '../models/course.models.js';
+import Booking from '../models/booking.models.js';
+import { listInstructors } from '../services/instructorService.js';
+import { clearBusyCache } from '../services/busyTimeService.js';
+import { ensureGraphSubscription } from '../services/outlookSyncService.js';
+import { toDateISO } from '../services/capacityService.js';
+import {
+  queueAllWaitlistPromotions,
+  queueWaitlistPromotion,
+} from '../services/waitlistService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const log = createLogger('instructorRoutes');
+
+const EDITABLE_FIELDS = ['name', 'mailbox', 'courseIds', 'capacity', 'active'];
+const MAILBOX_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function pickEditable(body = {}) {
+  const update = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) update[field] = body[field];
+  });
+  return update;
+}
+
+// courseIds must name courses that exist (inactive ones are fine)
+async function unknownCourseIds(courseIds) {
+  if (!Array.isArray(courseIds)) return [];
+  const known = await Course.distinct('courseId', { courseId: { $in: courseIds } });
+  return courseIds.filter((id) => !known.includes(id));
+}
+
+async function checkFields(data) {
+  if (data.mailbox && !MAILBOX_PATTERN.test(String(data.mailbox).trim())) {
+    return 'mailbox must be an email address';
+  }
+  const unknown = await unknownCourseIds(data.courseIds);
+  if (unknown.length) return `Unknown courseIds: ${unknown.join(', ')}`;
+  return null;
+}
+
+function validationError(res, e) {
+  return res.status(400).json({ ok: false, error: e.message });
+}
+
+// A new or changed instructor changes who is free when: drop cached busy
+// time, offer seats to waitlisted students and watch the new calendar
+async function afterChange(instructor) {
+  clearBusyCache();
+  await queueAllWaitlistPromotions().catch((e) =>
+    log.warn('Could not queue waitlist promotions', e)
+  );
+  if (instructor.active && instructor.mailbox) {
+    ensureGraphSubscription(instructor.mailbox).catch((e) =>
+      log.warn('Could not subscribe to instructor calendar', {
+        instructorId: instructor.instructorId,
+        err: e,
+      })
+    );
+  }
+}
+
+// Upcoming sessions (date + slot) an instructor has students in
+async function upcomingSessions(instructorId) {
+  const bookings = await Booking.find({ instructorId, status: { $ne: 'cancelled' } })
+    .select('date slotId')
+    .lean();
+  const today = moment().format('YYYY-MM-DD');
+  const sessions = new Map();
+  bookings.forEach(({ date, slotId }) => {
+    if (toDateISO(date) >= today) sessions.set(`${date}|${slotId}`, { date, slotId });
+  });
+  return [...sessions.values()];
+}
+
+// ---------------------------------------------------------
+// Admin CRUD
+// ---------------------------------------------------------
+router.use('/api/admin/instructors', requireAdmin);
+
+router.get('/api/admin/instructors', async (_req, res) => {
+  try {
+    const instructors = await listInstructors({ includeInactive: true });
+    res.json({ ok: true, instructors });
+  } catch (e) {
+    log.error('Admin list failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * body: { "instructorId": "jane-doe", "name": "Jane Doe",
+ *         "mailbox": "jane@example.com", "courseIds": ["intro-to-ai"],
+ *         "capacity": 12 }
+ */
+router.post('/api/admin/instructors', async (req, res) => {
+  const data = { instructorId: req.body?.instructorId, ...pickEditable(req.body) };
+  try {
+    const invalid = await checkFields(data);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    const instructor = await Instructor.create(data);
+    log.info('Created instructor', { instructorId: instructor.instructorId });
+    await afterChange(instructor);
+    res.status(201).json({ ok: true, instructor });
+  } catch (e) {
+    if (e.code === 11000) {
+      return res
+        .status(409)
+        .json({ ok: false, error: 'An instructor with this instructorId or mailbox already exists' });
+    }
+    if (e.name === 'ValidationError') return validationError(res, e);
+    log.error('Create failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// instructorId itself can't be changed — bookings refer to it. Changing the
+// mailbox only affects new events; existing ones stay on the old calendar.
+router.patch('/api/admin/instructors/:instructorId', async (req, res) => {
+  const update = pickEditable(req.body);
+  try {
+    const invalid = await checkFields(update);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+
+    const instructor = await Instructor.findOne({ instructorId: req.params.instructorId });
+    if (!instructor) return res.status(404).json({ ok: false, error: 'Instructor not found' });
+
+    instructor.set(update);
+    await instructor.save();
+    log.info('Updated instructor', { instructorId: instructor.instructorId });
+    await afterChange(instructor);
+    res.json({ ok: true, instructor });
+  } catch (e) {
+    if (e.code === 11000) {
+      return res
+        .status(409)
+        .json({ ok: false, error: 'Another instructor already uses this mailbox' });
+    }
+    if (e.name === 'ValidationError') return validationError(res, e);
+    log.error('Update failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Deactivates rather than deletes: their existing bookings stay with them,
+// they just stop getting new ones. Each session they teach gets a
+// promotion run, as when a booking is cancelled, so its waitlist is
+// weighed against the sections that are left.
+router.delete('/api/admin/instructors/:instructorId', async (req, res) => {
+  try {
+    const instructor = await Instructor.findOneAndUpdate(
+      { instructorId: req.params.instructorId },
+      { active: false },
+      { new: true }
+    );
+    if (!instructor) return res.status(404).json({ ok: false, error: 'Instructor not found' });
+    clearBusyCache();
+    log.info('Deactivated instructor', { instructorId: instructor.instructorId });
+    for (const { date, slotId } of await upcomingSessions(instructor.instructorId)) {
+      await queueWaitlistPromotion(date, slotId).catch((e) =>
+        log.warn('Could not queue waitlist promotion', e)
+      );
+    }
+    res.json({ ok: true, instructor });
+  } catch (e) {
+    log.error('Deactivate failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+export default router;
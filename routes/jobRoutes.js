@@ -0,0 +1,76 @@
+// routes/jobRoutes.js
+import express from 'express';
+import mongoose from 'mongoose';
+import requireAdmin from '../middleware/requireAdmin.js';
+import Job from '../models/job.models.js';
+import { replayJob } from '../services/jobQueue.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const log = createLogger('jobRoutes');
+
+router.use('/api/admin/jobs', requireAdmin);
+
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(404).json({ ok: false, error: 'Job not found' });
+  }
+  next();
+});
+
+/**
+ * List jobs, newest first.
+ * query: ?status=failed&type=outlook.createEvent&limit=50
+ *        ?correlationId=<X-Request-Id of a submission> for its side effects
+ */
+router.get('/api/admin/jobs', async (req, res) => {
+  const { status, type, correlationId } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const filter = {};
+  if (typeof status === 'string') filter.status = status;
+  if (typeof type === 'string') filter.type = type;
+  if (typeof correlationId === 'string') filter.correlationId = correlationId;
+
+  try {
+    const jobs = await Job.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json({ ok: true, jobs });
+  } catch (e) {
+    log.error('List failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Replay every failed job (optionally only one type: ?type=...)
+router.post('/api/admin/jobs/replay-failed', async (req, res) => {
+  const filter = { status: 'failed' };
+  if (typeof req.query.type === 'string') filter.type = req.query.type;
+
+  try {
+    const failed = await Job.find(filter).select('_id');
+    for (const { _id } of failed) {
+      await replayJob(_id);
+    }
+    res.json({ ok: true, replayed: failed.length });
+  } catch (e) {
+    log.error('Bulk replay failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+router.post('/api/admin/jobs/:id/replay', async (req, res) => {
+  try {
+    const job = await replayJob(req.params.id);
+    if (!job) {
+      return res.status(409).json({
+        ok: false,
+        error: 'Job not found, or it is running / already succeeded',
+      });
+    }
+    res.json({ ok: true, job });
+  } catch (e) {
+    log.error('Replay failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+export default router;
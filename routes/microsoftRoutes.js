@@ -1,21 +1,87 @@
 // routes/microsoftRoutes.js
 import express from 'express';
+import requireAdmin from '../middleware/requireAdmin.js';
+import GraphSubscription from '../models/graphSubscription.models.js';
+import {
+  handleGraphNotifications,
+  ensureGraphSubscriptions,
+} from '../services/outlookSyncService.js';
+import { getDependencyHealth } from '../services/healthService.js';
+import { createLogger } from '../utils/logger.js';
 
 const router = express.Router();
+const log = createLogger('microsoftRoutes');
 
 /**
- * This route is ONLY for debugging and letting you test
- * that your Microsoft Graph integration is loaded properly.
- *
- * It does NOT perform OAuth because we are using the
- * Client Credentials flow (no redirects, no login needed).
+ * Graph connectivity: MSAL can get a token and the organizer mailbox's
+ * calendar is reachable. 503 when it isn't (see also /api/health/ready).
  */
-router.get('/api/ms-health', (req, res) => {
-  res.json({
-    ok: true,
+router.get('/api/ms-health', async (_req, res) => {
+  const graph = await getDependencyHealth('graph');
+  res.status(graph.status === 'up' ? 200 : 503).json({
+    ok: graph.status === 'up',
     route: '/api/ms-health',
-    message: 'Microsoft Graph integration is active (no OAuth routes needed).',
+    ...graph,
   });
 });
 
+/**
+ * Microsoft Graph change notifications for the organizer calendar.
+ * Graph first POSTs ?validationToken=... and expects it echoed back as
+ * text/plain; after that each POST carries a batch of notifications, which
+ * are checked against our clientState and queued (see outlookSyncService).
+ */
+router.post('/api/graph/notifications', async (req, res) => {
+  const { validationToken } = req.query;
+  if (typeof validationToken === 'string') {
+    return res.status(200).type('text/plain').send(validationToken);
+  }
+
+  try {
+    const { accepted, rejected } = await handleGraphNotifications(req.body);
+    if (!accepted && rejected) return res.sendStatus(403);
+    res.sendStatus(202);
+  } catch (e) {
+    log.error('Notification handling failed', e);
+    // 5xx makes Graph retry the delivery
+    res.sendStatus(500);
+  }
+});
+
+// Admin: inspect / repair the instructor calendar subscriptions
+router.get('/api/admin/graph-subscriptions', requireAdmin, async (_req, res) => {
+  try {
+    const subscriptions = await GraphSubscription.find()
+      .select('-clientState')
+      .sort({ createdAt: -1 });
+    res.json({ ok: true, subscriptions });
+  } catch (e) {
+    log.error('Subscription list failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+router.post('/api/admin/graph-subscriptions/ensure', requireAdmin, async (_req, res) => {
+  try {
+    const subscriptions = await ensureGraphSubscriptions();
+    if (!subscriptions.length) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Outlook, GRAPH_NOTIFICATION_URL (https) or instructor mailboxes are not configured',
+      });
+    }
+    res.json({
+      ok: true,
+      subscriptions: subscriptions.map((s) => {
+        const safe = s.toObject();
+        delete safe.clientState;
+        return safe;
+      }),
+    });
+  } catch (e) {
+    log.error('Subscription ensure failed', e);
+    res.status(502).json({ ok: false, error: e.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,41 @@
+// routes/sandboxRoutes.js
+import express from 'express';
+import requireAdmin from '../middleware/requireAdmin.js';
+import {
+  SANDBOX_MODE,
+  listSandboxCalls,
+  resetSandbox,
+} from '../services/sandboxService.js';
+
+const router = express.Router();
+
+router.use('/api/admin/sandbox', requireAdmin, (_req, res, next) => {
+  if (!SANDBOX_MODE) {
+    return res.status(404).json({ ok: false, error: 'Sandbox mode is off' });
+  }
+  next();
+});
+
+/**
+ * Calls the fakes received, oldest first.
+ * query: ?service=hubspot|graph|recaptcha
+ *        ?correlationId=<X-Request-Id of a submission> for its calls
+ *        ?sinceId=<last id seen> to poll for new ones
+ */
+router.get('/api/admin/sandbox/calls', (req, res) => {
+  const { service, correlationId } = req.query;
+  const calls = listSandboxCalls({
+    service: typeof service === 'string' ? service : undefined,
+    correlationId: typeof correlationId === 'string' ? correlationId : undefined,
+    sinceId: Number(req.query.sinceId) || undefined,
+  });
+  res.json({ ok: true, calls });
+});
+
+// Start a test from a clean slate (recorded calls, fake contacts and events)
+router.delete('/api/admin/sandbox/calls', (_req, res) => {
+  resetSandbox();
+  res.json({ ok: true });
+});
+
+export default router;
@@ -0,0 +1,143 @@
+// routes/scheduleRoutes.js
+import express from 'express';
+import mongoose from 'mongoose';
+import moment from 'moment';
+import requireAdmin, { requireRole } from '../middleware/requireAdmin.js';
+import loadCourse from '../middleware/loadCourse.js';
+import { readRateLimit } from '../middleware/rateLimit.js';
+import Blackout from '../models/blackout.models.js';
+import {
+  getBookableCalendar,
+  MAX_CALENDAR_DAYS,
+} from '../services/schedulingRulesService.js';
+import { createLogger } from '../utils/logger.js';
+import { requestedTimeZone } from '../utils/timeZone.js';
+
+const router = express.Router();
+const log = createLogger('scheduleRoutes');
+
+function parseDay(value) {
+  if (typeof value !== 'string') return null;
+  const m = moment(value, 'YYYY-MM-DD', true);
+  return m.isValid() ? m : null;
+}
+
+// ---------------------------------------------------------
+// Public: bookable calendar
+// ---------------------------------------------------------
+
+/**
+ * Sessions that can be booked, already filtered by the scheduling rules.
+ * query: ?from=2025-12-01&to=2025-12-31 (defaults: today, +30 days)
+ *        &tz=America/Denver (render session times in this zone too)
+ * The un-prefixed path is the default course.
+ */
+router.get(
+  ['/api/availability', '/api/courses/:courseId/availability'],
+  readRateLimit,
+  loadCourse,
+  async (req, res) => {
+    const from = req.query.from ? parseDay(req.query.from) : moment().startOf('day');
+    const to = req.query.to ? parseDay(req.query.to) : from?.clone().add(30, 'days');
+    if (!from || !to) {
+      return res.status(400).json({ message: 'from and to must be YYYY-MM-DD' });
+    }
+    if (to.isBefore(from)) {
+      return res.status(400).json({ message: 'to must not be before from' });
+    }
+    if (to.diff(from, 'days') > MAX_CALENDAR_DAYS) {
+      return res
+        .status(400)
+        .json({ message: `Ask for at most ${MAX_CALENDAR_DAYS} days at a time` });
+    }
+    const { timeZone, error } = requestedTimeZone(req);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+      const days = await getBookableCalendar(
+        req.course,
+        from.format('YYYY-MM-DD'),
+        to.format('YYYY-MM-DD'),
+        { timeZone }
+      );
+      res.json({
+        courseId: req.course.courseId,
+        from: from.format('YYYY-MM-DD'),
+        to: to.format('YYYY-MM-DD'),
+        days,
+      });
+    } catch (e) {
+      log.error('Calendar failed', e);
+      res.status(500).json({ message: 'Error fetching availability' });
+    }
+  }
+);
+
+// ---------------------------------------------------------
+// Admin: blackout dates
+// ---------------------------------------------------------
+
+router.get(
+  '/api/admin/blackouts',
+  requireRole('admin', 'staff'),
+  async (_req, res) => {
+    try {
+      const blackouts = await Blackout.find().sort({ startDate: 1 });
+      res.json({ ok: true, blackouts });
+    } catch (e) {
+      log.error('List failed', e);
+      res.status(500).json({ ok: false, error: 'Server error' });
+    }
+  }
+);
+
+/**
+ * body: { "startDate": "2025-12-24", "endDate": "2026-01-02",
+ *         "reason": "Winter break", "slotIds": [] }
+ * endDate defaults to startDate; empty slotIds blocks every slot.
+ */
+router.post('/api/admin/blackouts', requireAdmin, async (req, res) => {
+  const start = parseDay(req.body?.startDate);
+  const end = req.body?.endDate ? parseDay(req.body.endDate) : start;
+  if (!start || !end || end.isBefore(start)) {
+    return res.status(400).json({
+      ok: false,
+      error: 'startDate (and optional endDate, not before it) must be YYYY-MM-DD',
+    });
+  }
+
+  try {
+    const blackout = await Blackout.create({
+      startDate: start.format('YYYY-MM-DD'),
+      endDate: end.format('YYYY-MM-DD'),
+      slotIds: Array.isArray(req.body.slotIds) ? req.body.slotIds.map(String) : [],
+      reason: typeof req.body.reason === 'string' ? req.body.reason.trim() : '',
+    });
+    log.info('Created blackout', { startDate: blackout.startDate, endDate: blackout.endDate });
+    res.status(201).json({ ok: true, blackout });
+  } catch (e) {
+    if (e.name === 'ValidationError') {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    log.error('Create failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Existing bookings inside a new blackout are not touched; cancel them
+// explicitly if the class really won't run.
+router.delete('/api/admin/blackouts/:id', requireAdmin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ ok: false, error: 'Blackout not found' });
+  }
+  try {
+    const blackout = await Blackout.findByIdAndDelete(req.params.id);
+    if (!blackout) return res.status(404).json({ ok: false, error: 'Blackout not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    log.error('Delete failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+export default router;
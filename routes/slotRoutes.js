@@ -0,0 +1,157 @@
+// routes/slotRoutes.js
+import express from 'express';
+import requireAdmin from '../middleware/requireAdmin.js';
+import Slot from '../models/slot.models.js';
+import loadCourse from '../middleware/loadCourse.js';
+import { listSlots, restampBookingTimes } from '../services/slotService.js';
+import { getCourseSlots } from '../services/courseService.js';
+import { isValidTimeZone } from '../utils/timeZone.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const log = createLogger('slotRoutes');
+
+const EDITABLE_FIELDS = [
+  'label',
+  'startTime',
+  'endTime',
+  'timeZone',
+  'legacyLabels',
+  'weekdays',
+  'minNoticeHours',
+  'maxAdvanceDays',
+  'active',
+  'sortOrder',
+];
+
+function pickEditable(body = {}) {
+  const update = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) update[field] = body[field];
+  });
+  return update;
+}
+
+function validationError(res, e) {
+  return res.status(400).json({ ok: false, error: e.message });
+}
+
+function publicSlot({ slotId, label, startTime, endTime, timeZone, weekdays }) {
+  return { slotId, label, startTime, endTime, timeZone, weekdays };
+}
+
+// ---------------------------------------------------------
+// Public: slots the registration form can offer
+// ---------------------------------------------------------
+router.get('/api/slots', async (_req, res) => {
+  try {
+    const slots = await listSlots();
+    res.json(slots.map(publicSlot));
+  } catch (e) {
+    log.error('List failed', e);
+    res.status(500).json({ message: 'Error fetching slots' });
+  }
+});
+
+// Only the slots one course is taught in
+router.get('/api/courses/:courseId/slots', loadCourse, async (req, res) => {
+  try {
+    const slots = await getCourseSlots(req.course);
+    res.json(slots.map(publicSlot));
+  } catch (e) {
+    log.error('Course list failed', e);
+    res.status(500).json({ message: 'Error fetching slots' });
+  }
+});
+
+// ---------------------------------------------------------
+// Admin CRUD
+// ---------------------------------------------------------
+router.use('/api/admin/slots', requireAdmin);
+
+router.get('/api/admin/slots', async (_req, res) => {
+  try {
+    const slots = await listSlots({ includeInactive: true });
+    res.json({ ok: true, slots });
+  } catch (e) {
+    log.error('Admin list failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * body: { "slotId": "evening", "label": "6pm-9pm EST/5pm-8pm CST",
+ *         "startTime": "18:00", "endTime": "21:00", "timeZone": "America/New_York",
+ *         "weekdays": [1, 2, 3, 4] }
+ */
+router.post('/api/admin/slots', async (req, res) => {
+  const data = { slotId: req.body?.slotId, ...pickEditable(req.body) };
+  if (data.timeZone && !isValidTimeZone(data.timeZone)) {
+    return res.status(400).json({ ok: false, error: `Unknown time zone "${data.timeZone}"` });
+  }
+  if (data.startTime && data.endTime && data.startTime >= data.endTime) {
+    return res.status(400).json({ ok: false, error: 'endTime must be after startTime' });
+  }
+
+  try {
+    const slot = await Slot.create(data);
+    log.info('Created slot', { slotId: slot.slotId });
+    res.status(201).json({ ok: true, slot });
+  } catch (e) {
+    if (e.code === 11000) {
+      return res
+        .status(409)
+        .json({ ok: false, error: `slotId "${data.slotId}" already exists` });
+    }
+    if (e.name === 'ValidationError') return validationError(res, e);
+    log.error('Create failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// slotId itself can't be changed — bookings refer to it. New times or a
+// new time zone move the slot's upcoming bookings with it.
+router.patch('/api/admin/slots/:slotId', async (req, res) => {
+  const update = pickEditable(req.body);
+  if (update.timeZone && !isValidTimeZone(update.timeZone)) {
+    return res.status(400).json({ ok: false, error: `Unknown time zone "${update.timeZone}"` });
+  }
+
+  try {
+    const slot = await Slot.findOne({ slotId: req.params.slotId });
+    if (!slot) return res.status(404).json({ ok: false, error: 'Slot not found' });
+
+    slot.set(update);
+    if (slot.startTime >= slot.endTime) {
+      return res.status(400).json({ ok: false, error: 'endTime must be after startTime' });
+    }
+    const timesChanged = ['startTime', 'endTime', 'timeZone'].some((f) => slot.isModified(f));
+    await slot.save();
+    log.info('Updated slot', { slotId: slot.slotId });
+    const bookingsMoved = timesChanged ? await restampBookingTimes(slot.slotId) : 0;
+    res.json({ ok: true, slot, bookingsMoved });
+  } catch (e) {
+    if (e.name === 'ValidationError') return validationError(res, e);
+    log.error('Update failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// Deactivates rather than deletes so existing bookings keep resolving
+router.delete('/api/admin/slots/:slotId', async (req, res) => {
+  try {
+    const slot = await Slot.findOneAndUpdate(
+      { slotId: req.params.slotId },
+      { active: false },
+      { new: true }
+    );
+    if (!slot) return res.status(404).json({ ok: false, error: 'Slot not found' });
+    log.info('Deactivated slot', { slotId: slot.slotId });
+    res.json({ ok: true, slot });
+  } catch (e) {
+    log.error('Deactivate failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,43 @@
+// routes/tokenRoutes.js
+import express from 'express';
+import requireAdmin from '../middleware/requireAdmin.js';
+import { listTokenStatus, reencryptTokens } from '../services/tokenStore.js';
+import { CURRENT_KEY_ID } from '../utils/secretBox.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const log = createLogger('tokenRoutes');
+
+router.use('/api/admin/tokens', requireAdmin);
+
+/**
+ * Connected accounts and their token status (never the tokens themselves).
+ */
+router.get('/api/admin/tokens', async (_req, res) => {
+  try {
+    const tokens = await listTokenStatus();
+    res.json({ ok: true, currentKeyId: CURRENT_KEY_ID, tokens });
+  } catch (e) {
+    log.error('List failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+/**
+ * Re-encrypt every account with the current key (step two of a rotation,
+ * see utils/secretBox.js).
+ */
+router.post('/api/admin/tokens/reencrypt', async (_req, res) => {
+  if (!CURRENT_KEY_ID) {
+    return res.status(409).json({ ok: false, error: 'TOKEN_ENCRYPTION_KEYS is not set' });
+  }
+  try {
+    const { reencrypted, unreadable } = await reencryptTokens();
+    res.json({ ok: true, keyId: CURRENT_KEY_ID, reencrypted, unreadable });
+  } catch (e) {
+    log.error('Re-encryption failed', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+export default router;
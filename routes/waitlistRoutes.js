@@ -0,0 +1,180 @@
+// routes/waitlistRoutes.js
+import express from 'express';
+import { requireRole } from '../middleware/requireAdmin.js';
+import validate from '../middleware/validate.js';
+import loadCourse from '../middleware/loadCourse.js';
+import {
+  submitRateLimitByIp,
+  submitRateLimitByEmail,
+} from '../middleware/rateLimit.js';
+import { waitlistSchema } from '../validation/registrationSchemas.js';
+import WaitlistEntry from '../models/waitlistEntry.models.js';
+import { toBookingDate, toDateISO } from '../services/capacityService.js';
+import {
+  joinWaitlist,
+  getOffer,
+  confirmOffer,
+  declineOffer,
+  WaitlistError,
+} from '../services/waitlistService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const log = createLogger('waitlistRoutes');
+
+// What the offer page may show (never the token or contact details)
+function offerView(entry) {
+  return {
+    status: entry.status,
+    courseId: entry.courseId,
+    date: toDateISO(entry.date),
+    slotId: entry.slotId,
+    studentName: entry.studentName,
+    offerExpiresAt: entry.offerExpiresAt,
+  };
+}
+
+// ---------------------------------------------------------
+// Public
+// ---------------------------------------------------------
+
+/**
+ * Join the waitlist for a fully booked session.
+ * body: same contact fields as registration + classDate, slotId
+ *       and optionally sessionNumber (1-3)
+ * The un-prefixed path is the default course.
+ */
+router.post(
+  ['/api/waitlist', '/api/courses/:courseId/waitlist'],
+  submitRateLimitByIp,
+  loadCourse,
+  validate(waitlistSchema),
+  submitRateLimitByEmail,
+  async (req, res) => {
+    const {
+      firstName,
+      lastName,
+      email,
+      yourCompany,
+      phoneNumber,
+      classDate,
+      slotId,
+      sessionNumber,
+    } = req.body;
+
+    try {
+      const { entry, position } = await joinWaitlist({
+        courseId: req.course.courseId,
+        date: toBookingDate(classDate),
+        slotId,
+        email,
+        details: {
+          firstName,
+          lastName,
+          company: yourCompany,
+          phone: phoneNumber,
+          sessionNumber,
+        },
+      });
+      res.status(201).send({
+        message: '✅ You are on the waitlist!',
+        waitlistId: entry._id,
+        position,
+      });
+    } catch (e) {
+      if (e instanceof WaitlistError) {
+        return res.status(409).send({ message: e.message, reason: e.reason });
+      }
+      log.error('Join failed', e);
+      res.status(500).send({ message: 'Server error' });
+    }
+  }
+);
+
+// Offer page: what was offered and whether it is still open
+router.get('/api/waitlist/offers/:token', async (req, res) => {
+  try {
+    const entry = await getOffer(req.params.token);
+    if (!entry) return res.status(404).send({ message: 'Offer not found' });
+    res.send(offerView(entry));
+  } catch (e) {
+    log.error('Offer lookup failed', e);
+    res.status(500).send({ message: 'Server error' });
+  }
+});
+
+router.post('/api/waitlist/offers/:token/confirm', async (req, res) => {
+  try {
+    const entry = await confirmOffer(req.params.token);
+    if (!entry) return res.status(404).send({ message: 'Offer not found' });
+    if (entry.status !== 'confirmed') {
+      return res
+        .status(409)
+        .send({ message: 'This offer is no longer open', ...offerView(entry) });
+    }
+    res.send({ message: '✅ Your seat is confirmed!', ...offerView(entry) });
+  } catch (e) {
+    log.error('Confirm failed', e);
+    res.status(500).send({ message: 'Server error' });
+  }
+});
+
+router.post('/api/waitlist/offers/:token/decline', async (req, res) => {
+  try {
+    const entry = await declineOffer(req.params.token);
+    if (!entry) return res.status(404).send({ message: 'Offer not found' });
+    if (entry.status !== 'declined') {
+      return res
+        .status(409)
+        .send({ message: 'This offer is no longer open', ...offerView(entry) });
+    }
+    res.send({ message: 'The seat has been released. Thank you!', ...offerView(entry) });
+  } catch (e) {
+    log.error('Decline failed', e);
+    res.status(500).send({ message: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------------
+// Admin
+// ---------------------------------------------------------
+
+/**
+ * List waitlist entries, oldest first.
+ * query: date (YYYY-MM-DD), slotId, courseId, status (default: waiting + offered)
+ */
+router.get(
+  '/api/admin/waitlist',
+  requireRole('admin', 'staff'),
+  async (req, res) => {
+    const { date, slotId, courseId, status } = req.query;
+    const filter = {
+      status:
+        typeof status === 'string' && status
+          ? status
+          : { $in: ['waiting', 'offered'] },
+    };
+    if (typeof date === 'string' && date) {
+      filter.date = toBookingDate(date);
+      if (!filter.date) {
+        return res
+          .status(400)
+          .json({ ok: false, error: 'date must be YYYY-MM-DD or MM/DD/YYYY' });
+      }
+    }
+    if (typeof slotId === 'string' && slotId) filter.slotId = slotId;
+    if (typeof courseId === 'string' && courseId) filter.courseId = courseId;
+
+    try {
+      const entries = await WaitlistEntry.find(filter)
+        .select('-offerToken')
+        .sort({ date: 1, slotId: 1, createdAt: 1 });
+      res.json({ ok: true, entries });
+    } catch (e) {
+      log.error('List failed', e);
+      res.status(500).json({ ok: false, error: 'Server error' });
+    }
+  }
+);
+
+export default router;
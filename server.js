@@ -2,42 +2,115 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
 import express from 'express';
-import axios from 'axios';
 import bodyParser from 'body-parser';
 import mongoose from 'mongoose';
 import moment from 'moment';
 import cors from 'cors';
 import dotenv from 'dotenv';
-
-// ----- Load .env BEFORE any imports that rely on it -----
+import { createLogger } from './utils/logger.js';
+import { validateEnv } from './utils/env.js';
+import { requestedTimeZone } from './utils/timeZone.js';
+import { sendJsonWithEtag } from './utils/httpCache.js';
+import requestContext from './middleware/requestContext.js';
+import healthRoutes from './routes/healthRoutes.js';
+import microsoftRoutes from './routes/microsoftRoutes.js';
+import hubspotRoutes from './routes/hubspotRoutes.js';
+import { createOutlookEvent } from './services/outlookService.js';
+import capacityRoutes from './routes/capacityRoutes.js';
+import { toBookingDate, toDateISO } from './services/capacityService.js';
+import {
+  reserveSeats,
+  releaseSeats,
+  SessionConflictError,
+} from './services/bookingService.js';
+import bookingRoutes from './routes/bookingRoutes.js';
+import slotRoutes from './routes/slotRoutes.js';
+import {
+  ensureSlotCatalog,
+  ensureBookingTimes,
+  resolveSlot,
+  getSessionTimes,
+  describeSessionTimes,
+} from './services/slotService.js';
+import {
+  getLookaheadRange,
+  describeConflict,
+} from './services/busyTimeService.js';
+import { MAX_CALENDAR_DAYS } from './services/schedulingRulesService.js';
+import jobRoutes from './routes/jobRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
+import waitlistRoutes from './routes/waitlistRoutes.js';
+import scheduleRoutes from './routes/scheduleRoutes.js';
+import courseRoutes from './routes/courseRoutes.js';
+import instructorRoutes from './routes/instructorRoutes.js';
+import loadCourse from './middleware/loadCourse.js';
+import {
+  ensureCourseCatalog,
+  getCourseSlots,
+  getSessionPropertyValues,
+} from './services/courseService.js';
+import {
+  ensureInstructorRegistry,
+  getSessionSeats,
+  loadSeatPlanner,
+} from './services/instructorService.js';
+import { startWaitlistExpiry } from './services/waitlistService.js';
+import { startSubscriptionMaintenance } from './services/outlookSyncService.js';
+import validate from './middleware/validate.js';
+import {
+  readRateLimit,
+  submitRateLimitByIp,
+  submitRateLimitByEmail,
+} from './middleware/rateLimit.js';
+import {
+  registrationSchema,
+  availabilitySchema,
+} from './validation/registrationSchemas.js';
+import {
+  enqueueJob,
+  processJobsSoon,
+  startJobWorker,
+} from './services/jobQueue.js';
+import { registerJobHandlers } from './services/jobHandlers.js';
+import { verifyRecaptcha } from './services/recaptchaService.js';
+import { SANDBOX_MODE } from './services/sandboxService.js';
+import sandboxRoutes from './routes/sandboxRoutes.js';
+import tokenRoutes from './routes/tokenRoutes.js';
+import enrollmentRoutes from './routes/enrollmentRoutes.js';
+import { migrateLegacyTokens } from './services/tokenStore.js';
+import { getTokenInfo } from './services/hubspotService.js';
+import {
+  queueConfirmation,
+  startReminderScheduler,
+} from './services/notificationService.js';
+
+// ----- Load .env from next to this file -----
+// ES module imports are evaluated before this line runs, so every module
+// that reads env at load time also calls dotenv.config() itself.
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.join(__dirname, '.env') });
 
-// ----- Explicit ENV sanity logs -----
-console.log('[ENV LOADED]');
-console.log('[HubSpot ENV check]', {
-  CLIENT_ID: process.env.CLIENT_ID ? 'OK' : 'MISSING',
-  CLIENT_SECRET: process.env.CLIENT_SECRET ? 'OK' : 'MISSING',
-  REDIRECT_URI: process.env.REDIRECT_URI ? 'OK' : 'MISSING',
-  SECRET_KEY: process.env.SECRET_KEY ? 'OK' : 'MISSING',
-  ATLAS_URI: process.env.ATLAS_URI ? 'OK' : 'MISSING',
-});
-console.log('[Microsoft ENV check]', {
-  MS_CLIENT_ID: process.env.MS_CLIENT_ID ? 'OK' : 'MISSING',
-  MS_CLIENT_SECRET: process.env.MS_CLIENT_SECRET ? 'OK' : 'MISSING',
-  MS_TENANT_ID: process.env.MS_TENANT_ID ? 'OK' : 'MISSING',
-  MS_REDIRECT_URI: process.env.MS_REDIRECT_URI ? 'OK' : 'MISSING',
-  MS_OUTLOOK_USER_EMAIL: process.env.MS_OUTLOOK_USER_EMAIL ? 'OK' : 'MISSING',
-});
+const log = createLogger('server');
 
-import microsoftRoutes from './routes/microsoftRoutes.js';
-import { createOutlookEvent } from './services/outlookService.js';
-import Token from './models/token.models.js';
-import Booking from './models/booking.models.js';
+// ----- Fail fast on missing / malformed env (names only, never values) -----
+const envErrors = validateEnv();
+if (envErrors.length) {
+  log.error('Invalid environment, not starting', { errors: envErrors });
+  process.exit(1);
+}
+if (SANDBOX_MODE) {
+  log.warn('SANDBOX_MODE is on: HubSpot, Graph and reCAPTCHA calls are faked and recorded');
+}
 
 const app = express();
 
+// Behind a load balancer / reverse proxy: how many hops to trust for
+// X-Forwarded-For, so req.ip (rate limits) is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY));
+}
+
 // ---------------------------------------------------------
 // CORS / middleware
 // ---------------------------------------------------------
@@ -45,37 +118,75 @@ const corsOptions = {
   origin: ['http://localhost:3000', 'https://app.kableacademy.com'],
   credentials: true,
   methods: ['GET', 'POST', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'If-None-Match'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'ETag'],
 };
-app.use(bodyParser.json());
+// Keep the raw bytes too: webhook signatures are computed over them
+app.use(
+  bodyParser.json({
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(cors(corsOptions));
 
-// Mount Microsoft OAuth routes (they read process.env.*)
+// Correlation id (X-Request-Id) + one log line per request
+app.use(requestContext);
+
+// Liveness / readiness (/api/health/live, /api/health/ready)
+app.use(healthRoutes);
+
+// Microsoft Graph health check + calendar change-notification webhook
 app.use(microsoftRoutes);
 
+// HubSpot OAuth install + callback (/auth/hubspot/install, /auth/callback)
+// and the contact-change webhook (/api/hubspot/webhook)
+app.use(hubspotRoutes);
+
+// Admin: seat capacity per slot / per date
+app.use(capacityRoutes);
+
+// Admin: cancel / reschedule bookings
+app.use(bookingRoutes);
+
+// Class slot catalog (public GET /api/slots + admin CRUD)
+app.use(slotRoutes);
+
+// Admin: side-effect job queue (list / replay)
+app.use(jobRoutes);
+
+// .ics downloads + tokenized calendar feeds
+app.use(calendarRoutes);
+
+// Waitlist for full sessions (join / confirm / decline + admin list)
+app.use(waitlistRoutes);
+
+// Bookable calendar (GET /api/availability) + admin blackout dates
+app.use(scheduleRoutes);
+
+// Course catalog (public list + admin CRUD)
+app.use(courseRoutes);
+
+// Admin: instructor registry
+app.use(instructorRoutes);
+
+// Admin: bulk company enrollment from a CSV upload (preview / commit)
+app.use(enrollmentRoutes);
+
+// Admin: recorded external calls (SANDBOX_MODE only)
+app.use(sandboxRoutes);
+
+// Admin: OAuth token status + re-encryption after a key rotation
+app.use(tokenRoutes);
+
 // ---------------------------------------------------------
 // Environment Variables (HubSpot + Microsoft) in one place
 // ---------------------------------------------------------
-const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-const REDIRECT_URI =
-  process.env.REDIRECT_URI || 'http://localhost:5000/auth/callback';
-const TOKEN_URL = 'https://api.hubapi.com/oauth/v1/token';
-const HUBSPOT_API_URL = 'https://api.hubapi.com/crm/v3/objects/contacts';
-const RECAPTCHA_SECRET_KEY = process.env.SECRET_KEY;
-
-// Microsoft (explicit constants available to this file if needed)
-const MS_CLIENT_ID = process.env.MS_CLIENT_ID;
-const MS_CLIENT_SECRET = process.env.MS_CLIENT_SECRET;
-const MS_TENANT_ID = process.env.MS_TENANT_ID;
-const MS_REDIRECT_URI = process.env.MS_REDIRECT_URI;
-
-console.log('[Microsoft ENV bound in server.js]', {
-  MS_CLIENT_ID: MS_CLIENT_ID ? 'OK' : 'MISSING',
-  MS_CLIENT_SECRET: MS_CLIENT_SECRET ? 'OK' : 'MISSING',
-  MS_TENANT_ID: MS_TENANT_ID ? 'OK' : 'MISSING',
-  MS_REDIRECT_URI: MS_REDIRECT_URI ? 'OK' : 'MISSING',
-});
+// (HubSpot OAuth client id/secret/redirect are read in hubspotService.js)
+// (the token encryption keyring is read in utils/secretBox.js)
+// (the reCAPTCHA secret is read in recaptchaService.js)
+// (Microsoft credentials are read in outlookService.js)
 
 // ---------------------------------------------------------
 // MongoDB
@@ -84,390 +195,430 @@ mongoose.connect(process.env.ATLAS_URI, {
   useUnifiedTopology: true,
   useNewUrlParser: true,
 });
-mongoose.connection.once('open', () =>
-  console.log('MongoDB connected successfully')
-);
-
-// ---------------------------------------------------------
-// Helpers
-// ---------------------------------------------------------
-async function getValidAccessToken() {
-  const token = await Token.findOne();
-  if (!token) throw new Error('No tokens found in the database');
-
-  if (Date.now() > token.expiresAt) {
-    try {
-      const response = await axios.post(
-        TOKEN_URL,
-        new URLSearchParams({
-          grant_type: 'refresh_token',
-          client_id: CLIENT_ID,
-          client_secret: CLIENT_SECRET,
-          refresh_token: token.refreshToken,
-        }),
-        { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
-      );
-
-      token.accessToken = response.data.access_token;
-      token.refreshToken = response.data.refresh_token || token.refreshToken;
-      token.expiresAt = Date.now() + response.data.expires_in * 1000;
-      await token.save();
-
-      return token.accessToken;
-    } catch (error) {
-      console.error(
-        'Error refreshing access token:',
-        error.response?.data || error.message
-      );
-      throw new Error('Failed to refresh access token');
-    }
-  }
-
-  return token.accessToken;
-}
+mongoose.connection.once('open', () => {
+  log.info('MongoDB connected successfully');
+  // Courses are seeded from the slot catalog and instructors need the
+  // courses, so these run in order; calendar subscriptions follow the
+  // instructor mailboxes. Booking times need the bookings' slotIds.
+  ensureSlotCatalog()
+    .then(() =>
+      ensureBookingTimes().catch((e) => log.error('Failed to add start/end to bookings', e))
+    )
+    .then(() => ensureCourseCatalog())
+    .then(() => ensureInstructorRegistry())
+    .catch((e) => log.error('Failed to prepare slot / course / instructor catalogs', e))
+    .finally(() => startSubscriptionMaintenance());
+  migrateLegacyTokens({ hubspotTokenInfo: getTokenInfo }).catch((e) =>
+    log.error('Failed to migrate plaintext tokens', e)
+  );
+  startJobWorker();
+  startReminderScheduler();
+  startWaitlistExpiry();
+});
 
-async function verifyRecaptcha(token) {
-  try {
-    const response = await axios.post(
-      'https://www.google.com/recaptcha/api/siteverify',
-      new URLSearchParams({ secret: RECAPTCHA_SECRET_KEY, response: token })
-    );
-    return !!response.data.success;
-  } catch (error) {
-    console.error(
-      'Error verifying reCAPTCHA:',
-      error.response?.data || error.message
-    );
-    return false;
-  }
-}
-
-async function getContactIdByEmail(email, accessToken) {
-  try {
-    const response = await axios.post(
-      'https://api.hubapi.com/crm/v3/objects/contacts/search',
-      {
-        filterGroups: [
-          {
-            filters: [{ propertyName: 'email', operator: 'EQ', value: email }],
-          },
-        ],
-        properties: ['email'],
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    return response.data.results.length ? response.data.results[0].id : null;
-  } catch (error) {
-    console.error(
-      'Error fetching contact ID:',
-      error.response?.data || error.message
-    );
-    throw error;
-  }
-}
+// Handlers must exist before any route enqueues a job
+registerJobHandlers();
 
 // simple ping
 app.get('/api/ping', (_req, res) => {
-  console.log('🔔 /api/ping hit');
   res.json({ ok: true });
 });
 
 // ---------------------------------------------------------
 // Availability
 // ---------------------------------------------------------
-app.post('/api/check-availability', async (req, res) => {
-  const { classDate, time } = req.body;
-  try {
-    const existingBooking = await Booking.findOne({
-      date: classDate,
-      timeSlot: time,
-    });
-    if (existingBooking) {
-      return res.json({
-        available: false,
-        date: classDate,
-        time,
-        message: `❌ Date **${classDate}** and Time **${time}** are already booked.`,
+// body: { classDate: "YYYY-MM-DD", slotId, timeZone? } — `time` (a slot
+// label) is still accepted from older clients (see
+// validation/registrationSchemas.js). Responses carry the session's ISO
+// start/end plus its times in `timeZone` (or ?tz=), default the slot's zone.
+// The un-prefixed path is the default course.
+app.post(
+  ['/api/check-availability', '/api/courses/:courseId/check-availability'],
+  readRateLimit,
+  loadCourse,
+  validate(availabilitySchema),
+  async (req, res) => {
+    const { classDate, slotId } = req.body;
+    const { timeZone, error } = requestedTimeZone(req);
+    if (error) return res.status(400).json({ available: false, error });
+    try {
+      const date = toBookingDate(classDate);
+      const slot = await resolveSlot(slotId);
+      if (!slot) {
+        return res.status(400).json({
+          available: false,
+          error: 'Unknown class time slot',
+        });
+      }
+
+      // Seats across every instructor teaching the course, leaving out
+      // instructors whose Outlook calendar (meetings, vacation, holidays)
+      // clashes with the session
+      const { capacity, booked, remaining, reason, calendarChecked } =
+        await getSessionSeats(req.course, date, slot);
+      const times = describeSessionTimes(classDate, slot, timeZone);
+      if (reason && reason !== 'full') {
+        return res.json({
+          available: false,
+          reason,
+          date: classDate,
+          time: slot.label,
+          slotId: slot.slotId,
+          ...times,
+          capacity,
+          booked,
+          remainingSeats: remaining,
+          message: `❌ Date **${classDate}** and Time **${slot.label}** are unavailable. ${describeConflict(reason)}.`,
+        });
+      }
+
+      if (remaining <= 0) {
+        return res.json({
+          available: false,
+          reason: 'full',
+          date: classDate,
+          time: slot.label,
+          slotId: slot.slotId,
+          ...times,
+          capacity,
+          booked,
+          remainingSeats: 0,
+          waitlistOpen: true, // POST /api/courses/:courseId/waitlist
+          message: `❌ Date **${classDate}** and Time **${slot.label}** are fully booked.`,
+        });
+      }
+      res.json({
+        available: true,
+        ...times,
+        capacity,
+        booked,
+        remainingSeats: remaining,
+        calendarChecked,
       });
+    } catch (error) {
+      log.error('Error checking availability', error);
+      res.status(500).json({ available: false, error: 'Server error' });
     }
-    res.json({ available: true });
-  } catch (error) {
-    console.error('❌ Error checking availability:', error);
-    res.status(500).json({ available: false, error: 'Server error' });
   }
-});
+);
 
 // ---------------------------------------------------------
 // Booked Dates
 // ---------------------------------------------------------
-app.get('/api/booked-dates', async (_req, res) => {
-  try {
-    const bookings = await Booking.aggregate([
-      { $group: { _id: '$date', timeSlots: { $addToSet: '$timeSlot' } } },
-    ]);
-
-    const byDate = {};
-    bookings.forEach((b) => {
-      // b._id is stored as "MM/DD/YYYY" in Mongo; keep that format
-      const date = moment(b._id, 'MM/DD/YYYY').format('MM/DD/YYYY');
-      byDate[date] = b.timeSlots;
-    });
+// Default response keeps the original shape the form uses:
+//   { "MM/DD/YYYY": ["<full slot label>", ...] }
+// ?seats=true returns seat counts for every session with bookings or that
+// can't be booked:
+//   { "MM/DD/YYYY": { "<slotId>": { label, start, end, capacity, booked,
+//                                   remaining, available, reason?, message? } } }
+// (start / end are ISO instants)
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD limits the class days (defaults: today and
+// the next BUSY_LOOKAHEAD_DAYS days; past days only when asked for).
+// Only the course's slots are listed (un-prefixed path: default course).
+// Seats are summed over the course's instructors; instructor calendars are
+// checked over the same days.
+// Responses carry an ETag: send it back as If-None-Match for a 304 when
+// nothing changed.
+app.get(
+  ['/api/booked-dates', '/api/courses/:courseId/booked-dates'],
+  readRateLimit,
+  loadCourse,
+  async (req, res) => {
+    const lookahead = getLookaheadRange();
+    const from = moment(String(req.query.from ?? lookahead.fromISO), 'YYYY-MM-DD', true);
+    const to = req.query.to
+      ? moment(String(req.query.to), 'YYYY-MM-DD', true)
+      : from.clone().add(moment(lookahead.toISO).diff(lookahead.fromISO, 'days'), 'days');
+    if (!from.isValid() || !to.isValid()) {
+      return res.status(400).json({ message: 'from and to must be YYYY-MM-DD' });
+    }
+    if (to.isBefore(from)) {
+      return res.status(400).json({ message: 'to must not be before from' });
+    }
+    if (to.diff(from, 'days') > MAX_CALENDAR_DAYS) {
+      return res
+        .status(400)
+        .json({ message: `Ask for at most ${MAX_CALENDAR_DAYS} days at a time` });
+    }
+    const fromISO = from.format('YYYY-MM-DD');
+    const toISO = to.format('YYYY-MM-DD');
 
-    console.log('📌 Sending booked dates map:', byDate);
-    res.status(200).json(byDate);
-  } catch (error) {
-    console.error('❌ Error fetching booked dates:', error);
-    res.status(500).json({ message: 'Error fetching booked dates' });
-  }
-});
+    try {
+      const [planner, slots] = await Promise.all([
+        loadSeatPlanner(fromISO, toISO),
+        getCourseSlots(req.course),
+      ]);
+
+      const dates = new Set(planner.bookedDates);
+      for (
+        let day = moment(fromISO, 'YYYY-MM-DD');
+        day.format('YYYY-MM-DD') <= toISO;
+        day.add(1, 'day')
+      ) {
+        dates.add(day.format('MM/DD/YYYY'));
+      }
 
-// ---------------------------------------------------------
-// Outlook event helper (non-blocking)
-// (Actual subject/body "TechCred" logic is in outlookService.js)
-// ---------------------------------------------------------
-async function maybeCreateOutlookEvent({
-  company,
-  studentName,
-  studentEmail,
-  dateISO,
-  timeLabel,
-}) {
-  console.log('🟢 [maybeCreateOutlookEvent] Invoked');
-  console.log('   ├── Company:       ', company || '(none)');
-  console.log('   ├── Student Name:  ', studentName || '(none)');
-  console.log('   ├── Student Email: ', studentEmail || '(none)');
-  console.log('   ├── Date (ISO):    ', dateISO || '(missing)');
-  console.log('   └── Time Label:    ', timeLabel || '(missing)');
-
-  if (!dateISO || !timeLabel) {
-    console.log(
-      '⚠️  [maybeCreateOutlookEvent] Missing required fields — skipping creation.'
-    );
-    return;
-  }
+      const seatsByDate = {};
+      dates.forEach((date) => {
+        slots.forEach((slot) => {
+          const { capacity, booked, remaining, reason } = planner.seatsFor(
+            req.course,
+            date,
+            slot
+          );
+          if (!booked && remaining > 0) return;
+          const { start, end } = getSessionTimes(toDateISO(date), slot);
+          const seats = {
+            label: slot.label,
+            start: start.toISOString(),
+            end: end.toISOString(),
+            capacity,
+            booked,
+            remaining,
+            available: remaining > 0,
+          };
+          if (reason && reason !== 'full') {
+            Object.assign(seats, { reason, message: describeConflict(reason) });
+          }
+          seatsByDate[date] = seatsByDate[date] || {};
+          seatsByDate[date][slot.slotId] = seats;
+        });
+      });
 
-  try {
-    console.log(
-      '⏳ [maybeCreateOutlookEvent] Attempting to create Outlook event...'
-    );
-    const evt = await createOutlookEvent({
-      company,
-      studentName,
-      studentEmail,
-      dateISO,
-      timeLabel,
-    });
+      if (req.query.seats === 'true') {
+        return sendJsonWithEtag(req, res, seatsByDate);
+      }
 
-    if (evt) {
-      console.log('✅ [maybeCreateOutlookEvent] Outlook event successfully created:');
-      console.log('   ├── ID:       ', evt.id || '(none)');
-      console.log('   ├── Subject:  ', evt.subject || '(none)');
-      console.log('   ├── Start:    ', evt.start?.dateTime || evt.start || '(none)');
-      console.log('   ├── End:      ', evt.end?.dateTime || evt.end || '(none)');
-      console.log(
-        '   └── Location: ',
-        evt.location?.displayName || '(none)'
-      );
-    } else {
-      console.log(
-        '⚠️  [maybeCreateOutlookEvent] No event object returned from createOutlookEvent()'
-      );
-    }
+      // Full sessions plus sessions no instructor can teach
+      const byDate = {};
+      Object.entries(seatsByDate).forEach(([date, sessions]) => {
+        const labels = Object.values(sessions)
+          .filter((seats) => !seats.available)
+          .map((seats) => seats.label);
+        if (labels.length) byDate[date] = labels;
+      });
 
-    return evt;
-  } catch (e) {
-    console.error('❌ [maybeCreateOutlookEvent] Failed to create Outlook event.');
-    if (e.response?.data) {
-      console.error(
-        '   ↳ Graph API error payload:',
-        JSON.stringify(e.response.data, null, 2)
-      );
-    } else {
-      console.error('   ↳ Message:', e.message || e);
+      sendJsonWithEtag(req, res, byDate);
+    } catch (error) {
+      log.error('Error fetching booked dates', error);
+      res.status(500).json({ message: 'Error fetching booked dates' });
     }
   }
-}
+);
 
 // ---------------------------------------------------------
 // Form Submission
 // ---------------------------------------------------------
-app.post('/api/intro-to-ai-payment', async (req, res) => {
-  const {
-    firstName,
-    lastName,
-    email,
-    yourCompany,
-    phoneNumber,
-    time,
-    time2,
-    time3,
-    classDate,
-    classDate2,
-    classDate3,
-    recaptchaToken,
-  } = req.body;
-
-  console.log('📥 Received Request Body:', {
-    firstName,
-    lastName,
-    email,
-    yourCompany,
-    time,
-    time2,
-    time3,
-    classDate,
-    classDate2,
-    classDate3,
-  });
-
-  try {
-    const recaptchaValid = await verifyRecaptcha(recaptchaToken);
-    if (!recaptchaValid) {
-      return res.status(400).send({ message: 'Invalid reCAPTCHA token' });
-    }
-    console.log('✅ reCAPTCHA validation passed.');
-
-    // HubSpot requires midnight UTC timestamps
-    const hub1 = classDate
-      ? moment.utc(classDate, 'YYYY-MM-DD').startOf('day').valueOf()
-      : null;
-    const hub2 = classDate2
-      ? moment.utc(classDate2, 'YYYY-MM-DD').startOf('day').valueOf()
-      : null;
-    const hub3 = classDate3
-      ? moment.utc(classDate3, 'YYYY-MM-DD').startOf('day').valueOf()
-      : null;
-
-    console.log('📌 HubSpot Formatted Dates (UTC ms):', hub1, hub2, hub3);
-    console.log('📌 HubSpot Dates ISO:', {
-      hub1: hub1 ? moment.utc(hub1).toISOString() : null,
-      hub2: hub2 ? moment.utc(hub2).toISOString() : null,
-      hub3: hub3 ? moment.utc(hub3).toISOString() : null,
+// Body is validated + normalized first (validation/registrationSchemas.js):
+// dates are "YYYY-MM-DD", slotId/slotId2/slotId3 are canonical slot ids,
+// email is lower-cased and phoneNumber is E.164.
+// /api/intro-to-ai-payment is the original form and registers for the
+// default course.
+app.post(
+  ['/api/intro-to-ai-payment', '/api/courses/:courseId/register'],
+  submitRateLimitByIp,
+  loadCourse,
+  validate(registrationSchema),
+  submitRateLimitByEmail,
+  async (req, res) => {
+    const {
+      firstName,
+      lastName,
+      email,
+      yourCompany,
+      phoneNumber,
+      slotId,
+      slotId2,
+      slotId3,
+      classDate,
+      classDate2,
+      classDate3,
+      recaptchaToken,
+      timeZone,
+    } = req.body;
+
+    // Sessions only — the student's details stay out of the logs
+    log.info('Registration received', {
+      courseId: req.course.courseId,
+      sessions: [
+        [classDate, slotId],
+        [classDate2, slotId2],
+        [classDate3, slotId3],
+      ]
+        .filter(([date]) => date)
+        .map(([date, slot]) => ({ date, slotId: slot })),
     });
 
-    const mongo1 = classDate ? moment(classDate).format('MM/DD/YYYY') : null;
-    const mongo2 = classDate2 ? moment(classDate2).format('MM/DD/YYYY') : null;
-    const mongo3 = classDate3 ? moment(classDate3).format('MM/DD/YYYY') : null;
+    let reserved = [];
+    let sideEffectsQueued = false;
+    try {
+      const recaptcha = await verifyRecaptcha(recaptchaToken);
+      if (!recaptcha.valid) {
+        return res.status(400).send({ message: 'Invalid reCAPTCHA token' });
+      }
 
-    const contactData = {
-      firstname: firstName,
-      lastname: lastName,
-      email,
-      your_company_name: yourCompany,
-      phone: phoneNumber,
-      program_session: time,
-      program_time_2: time2,
-      program_time_3: time3,
-      intro_to_ai_program_date: hub1,
-      intro_to_ai_date_2: hub2,
-      intro_to_ai_date_3: hub3,
-    };
-
-    // HubSpot upsert
-    const accessToken = await getValidAccessToken();
-    const contactId = await getContactIdByEmail(email, accessToken);
-
-    let hubspotResponse;
-    if (contactId) {
-      hubspotResponse = await axios.patch(
-        `${HUBSPOT_API_URL}/${contactId}`,
-        { properties: contactData },
-        {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-          },
+      const mongo1 = classDate ? moment(classDate).format('MM/DD/YYYY') : null;
+      const mongo2 = classDate2 ? moment(classDate2).format('MM/DD/YYYY') : null;
+      const mongo3 = classDate3 ? moment(classDate3).format('MM/DD/YYYY') : null;
+
+      // Slots by id (validation already mapped legacy labels to ids)
+      const picks = [
+        [mongo1, slotId, 1],
+        [mongo2, slotId2, 2],
+        [mongo3, slotId3, 3],
+      ].filter(([date, slotValue]) => date && slotValue);
+      const selections = [];
+      for (const [date, slotValue, sessionNumber] of picks) {
+        const slot = await resolveSlot(slotValue);
+        if (!slot) {
+          return res
+            .status(400)
+            .send({ message: `Unknown class time slot: ${slotValue}` });
         }
-      );
-    } else {
-      hubspotResponse = await axios.post(
-        HUBSPOT_API_URL,
-        { properties: contactData },
-        {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
+        selections.push({ date, slot, sessionNumber });
+      }
+
+      // Instructor calendars may have filled up since the student checked
+      // availability (full sessions are caught when seats are reserved)
+      const busyConflicts = [];
+      for (const { date, slot } of selections) {
+        const { reason } = await getSessionSeats(req.course, date, slot);
+        if (reason && reason !== 'full') busyConflicts.push({ date, slot, reason });
+      }
+      if (busyConflicts.length) {
+        log.info('Instructor calendar conflict', {
+          conflicts: busyConflicts.map(({ date, slot, reason }) => ({
+            date,
+            slotId: slot.slotId,
+            reason,
+          })),
+        });
+        return res.status(409).send({
+          message: 'One or more selected sessions are no longer available',
+          conflicts: busyConflicts.map(({ date, slot, reason }) => ({
+            date,
+            slotId: slot.slotId,
+            timeSlot: slot.label,
+            reason,
+          })),
+        });
+      }
+
+      // Reserve every seat (all or nothing) before touching HubSpot / Outlook
+      const studentName = `${firstName ?? ''} ${lastName ?? ''}`.trim();
+      try {
+        reserved = await reserveSeats({
+          email,
+          selections,
+          details: {
+            courseId: req.course.courseId,
+            studentName,
+            company: yourCompany,
+            phone: phoneNumber,
+            studentTimeZone: timeZone,
           },
-        }
+        });
+      } catch (e) {
+        if (!(e instanceof SessionConflictError)) throw e;
+        log.info('Session conflict', {
+          date: e.date,
+          slotId: e.slotId,
+          reason: e.reason,
+        });
+        return res.status(409).send({
+          message:
+            e.reason === 'duplicate'
+              ? 'You are already booked for one of the selected sessions'
+              : 'One or more selected sessions are fully booked',
+          conflicts: [
+            {
+              date: e.date,
+              slotId: e.slotId,
+              timeSlot: e.timeSlot,
+              reason: e.reason,
+            },
+          ],
+        });
+      }
+
+      const contactData = {
+        firstname: firstName,
+        lastname: lastName,
+        email,
+        your_company_name: yourCompany,
+        phone: phoneNumber,
+      };
+      // Each course maps its sessions to its own HubSpot properties; the
+      // values come from the session's start instant (slot time zone)
+      [1, 2, 3].forEach((sessionNumber) => {
+        const sel = selections.find((s) => s.sessionNumber === sessionNumber);
+        Object.assign(
+          contactData,
+          getSessionPropertyValues(
+            req.course,
+            sessionNumber,
+            sel ? toDateISO(sel.date) : null,
+            sel?.slot
+          )
+        );
+      });
+
+      // HubSpot + Outlook run as durable jobs (retried with backoff, see
+      // services/jobQueue.js) so a flaky API never loses a paid registration
+      const bookingIds = reserved.map((b) => String(b._id));
+      await enqueueJob('hubspot.upsertContact', {
+        email,
+        properties: contactData,
+        bookingIds,
+      });
+      for (const bookingId of bookingIds) {
+        await enqueueJob('outlook.createEvent', { bookingId });
+      }
+      sideEffectsQueued = true;
+
+      // Confirmation email (with the student's calendar feed and .ics
+      // links, which only go to the address itself); reminders are picked
+      // up by the scheduler
+      await queueConfirmation({ email, bookingIds }).catch((e) =>
+        log.warn('Could not queue confirmation email', e)
       );
+      processJobsSoon();
+
+      log.info('Registration saved', { courseId: req.course.courseId, bookingIds });
+      res
+        .status(200)
+        .send({ message: '✅ Registration saved!', bookingIds });
+    } catch (error) {
+      // Nothing will ever sync these bookings — give the seats back
+      if (reserved.length && !sideEffectsQueued) {
+        await releaseSeats(reserved).catch((e) =>
+          log.error('Failed to release reserved seats', e)
+        );
+      }
+      log.error('Error processing form submission', error);
+      res.status(500).send({
+        message: 'Error processing contact data',
+        error: error.response?.data || error.message,
+      });
     }
-    console.log('✅ HubSpot upsert OK:', hubspotResponse?.status);
-
-    // Save bookings (MM/DD/YYYY) for availability
-    if (mongo1 && time)
-      await Booking.create({ email, date: mongo1, timeSlot: time });
-    if (mongo2 && time2)
-      await Booking.create({ email, date: mongo2, timeSlot: time2 });
-    if (mongo3 && time3)
-      await Booking.create({ email, date: mongo3, timeSlot: time3 });
-    console.log('✅ Saved bookings to MongoDB');
-
-    // Create Outlook events (subject/body handled in outlookService.js)
-    const studentName = `${firstName ?? ''} ${lastName ?? ''}`.trim();
-    await Promise.all([
-      maybeCreateOutlookEvent({
-        company: yourCompany,
-        studentName,
-        studentEmail: email,
-        dateISO: classDate,
-        timeLabel: time,
-      }),
-      maybeCreateOutlookEvent({
-        company: yourCompany,
-        studentName,
-        studentEmail: email,
-        dateISO: classDate2,
-        timeLabel: time2,
-      }),
-      maybeCreateOutlookEvent({
-        company: yourCompany,
-        studentName,
-        studentEmail: email,
-        dateISO: classDate3,
-        timeLabel: time3,
-      }),
-    ]);
-
-    res
-      .status(200)
-      .send({ message: '✅ Contact processed in HubSpot & MongoDB!' });
-  } catch (error) {
-    console.error(
-      '❌ Error processing form submission:',
-      error.response?.data || error.message
-    );
-    res.status(500).send({
-      message: 'Error processing contact data',
-      error: error.response?.data || error.message,
-    });
   }
-});
+);
 
 // ---------------------------------------------------------
 // TEST route: create Outlook event without frontend
 // ---------------------------------------------------------
 // POST http://localhost:5000/api/test-outlook
-// body: { "dateISO": "2025-12-01", "timeLabel": "2pm-5pm EST/1pm-4pm CST", "company": "ACME", "email": "" }
+// body: { "dateISO": "2025-12-01", "slotId": "afternoon", "company": "ACME", "email": "" }
 app.post('/api/test-outlook', async (req, res) => {
   try {
-    const { dateISO, timeLabel, company, email } = req.body || {};
-    console.log('[/api/test-outlook] Incoming:', {
-      dateISO,
-      timeLabel,
-      company,
-      email,
-    });
+    const { dateISO, slotId, timeLabel, company, email } = req.body || {};
+    log.info('Test Outlook event requested', { dateISO, slotId, timeLabel });
 
-    if (!dateISO || !timeLabel) {
+    const slot = await resolveSlot(slotId || timeLabel);
+    if (!dateISO || !slot) {
       return res
         .status(400)
-        .json({ ok: false, error: 'dateISO and timeLabel are required' });
+        .json({ ok: false, error: 'dateISO and a known slotId are required' });
     }
 
     const studentName = ''; // optional
@@ -476,21 +627,22 @@ app.post('/api/test-outlook', async (req, res) => {
       studentName,
       studentEmail: email || '', // leave empty to avoid invites
       dateISO, // "YYYY-MM-DD"
-      timeLabel, // one of the three labels
+      slotId: slot.slotId,
     });
+    if (!data) {
+      return res
+        .status(502)
+        .json({ ok: false, error: 'Outlook event was not created (see logs)' });
+    }
 
-    console.log('[/api/test-outlook] ✅ Created:', {
-      id: data.id,
-      subject: data.subject,
+    log.info('Test Outlook event created', {
+      eventId: data.id,
       start: data.start,
       end: data.end,
     });
     return res.json({ ok: true, event: data });
   } catch (e) {
-    console.error(
-      '[/api/test-outlook] ❌ Failed:',
-      e?.response?.data || e.message
-    );
+    log.error('Test Outlook event failed', e);
     return res
       .status(500)
       .json({ ok: false, error: e?.response?.data || e.message });
@@ -501,4 +653,4 @@ app.post('/api/test-outlook', async (req, res) => {
 // Start
 // ---------------------------------------------------------
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+app.listen(PORT, () => log.info(`Server running on port ${PORT}`, { port: Number(PORT) }));
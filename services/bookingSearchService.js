@@ -0,0 +1,135 @@
+// backend/services/bookingSearchService.js
+import moment from 'moment';
+import Booking from '../models/booking.models.js';
+import { toBookingDate, toDateISO, startRange } from './capacityService.js';
+
+const MAX_PAGE_SIZE = 200;
+
+// Sort keys clients may use (prefix with "-" for descending)
+const SORT_FIELDS = {
+  date: 'start',
+  createdAt: 'createdAt',
+  email: 'email',
+  company: 'company',
+  studentName: 'studentName',
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseSort(sort = 'date') {
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = SORT_FIELDS[sort.replace(/^-/, '')] || SORT_FIELDS.date;
+  // _id as a tie-breaker keeps pages stable
+  return { [field]: direction, _id: 1 };
+}
+
+/**
+ * Search bookings for the admin API.
+ *
+ * @param {Object} [query] - usually req.query
+ * @param {string} [query.from]    - earliest class date (YYYY-MM-DD), inclusive
+ * @param {string} [query.to]      - latest class date (YYYY-MM-DD), inclusive
+ * @param {string} [query.slotId]
+ * @param {string} [query.courseId]
+ * @param {string} [query.company] - case-insensitive substring
+ * @param {string} [query.email]   - case-insensitive substring
+ * @param {string} [query.status]  - "booked" | "cancelled" (default: both)
+ * @param {string} [query.sort]    - date | createdAt | email | company | studentName, "-" for desc
+ * @param {number} [query.page=1]
+ * @param {number} [query.pageSize=50]
+ * @returns {Promise<{ bookings: Object[], total: number, page: number, pageSize: number }>}
+ */
+export async function searchBookings(query = {}) {
+  // Only plain strings from the query string (no ?email[$ne]= operators)
+  const filters = {};
+  Object.entries(query).forEach(([key, value]) => {
+    if (typeof value === 'string' && value !== '') filters[key] = value;
+  });
+
+  const page = Math.max(Number(filters.page) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(Number(filters.pageSize) || 50, 1),
+    MAX_PAGE_SIZE
+  );
+
+  const match = {};
+  if (filters.slotId) match.slotId = filters.slotId;
+  if (filters.courseId) match.courseId = filters.courseId;
+  if (filters.status === 'booked') match.status = { $ne: 'cancelled' };
+  else if (filters.status) match.status = filters.status;
+  if (filters.company) {
+    match.company = { $regex: escapeRegex(filters.company), $options: 'i' };
+  }
+  if (filters.email) {
+    match.email = { $regex: escapeRegex(filters.email), $options: 'i' };
+  }
+
+  // Narrow by Booking.start (indexed), then to the exact class days
+  const from = toBookingDate(filters.from);
+  const to = toBookingDate(filters.to);
+  const pipeline = [];
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = moment.utc(from, 'MM/DD/YYYY').toDate();
+    if (to) range.$lte = moment.utc(to, 'MM/DD/YYYY').toDate();
+    match.start = startRange(from && toDateISO(from), to && toDateISO(to));
+    pipeline.push(
+      { $match: match },
+      {
+        $addFields: {
+          classDate: {
+            $dateFromString: {
+              dateString: '$date',
+              format: '%m/%d/%Y',
+              timezone: 'UTC',
+              onError: null,
+            },
+          },
+        },
+      },
+      { $match: { classDate: range } },
+      { $unset: 'classDate' }
+    );
+  } else {
+    pipeline.push({ $match: match });
+  }
+  pipeline.push({
+    $facet: {
+      bookings: [
+        { $sort: parseSort(filters.sort) },
+        { $skip: (page - 1) * pageSize },
+        { $limit: pageSize },
+      ],
+      total: [{ $count: 'count' }],
+    },
+  });
+
+  const [result] = await Booking.aggregate(pipeline);
+  return {
+    bookings: result.bookings,
+    total: result.total[0]?.count || 0,
+    page,
+    pageSize,
+  };
+}
+
+/**
+ * Active bookings for one class session, ordered by student name.
+ *
+ * @param {string} date   - "YYYY-MM-DD" or "MM/DD/YYYY"
+ * @param {string} slotId
+ * @param {Object} [options]
+ * @param {string} [options.instructorId] - only that instructor's section
+ */
+export async function getSessionRoster(date, slotId, { instructorId } = {}) {
+  return Booking.find({
+    date: toBookingDate(date),
+    slotId,
+    status: { $ne: 'cancelled' },
+    ...(instructorId && { instructorId }),
+  })
+    .sort({ studentName: 1, email: 1 })
+    .lean();
+}
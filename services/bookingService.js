@@ -0,0 +1,528 @@
+// backend/services/bookingService.js
+import mongoose from 'mongoose';
+import Booking from '../models/booking.models.js';
+import ClassSession from '../models/classSession.models.js';
+import { toDateISO } from './capacityService.js';
+import { getSlot, getSessionWindow } from './slotService.js';
+import { enqueueJob, processJobsSoon } from './jobQueue.js';
+import { updateContact } from './hubspotService.js';
+import {
+  DEFAULT_COURSE_ID,
+  getCourse,
+  getCourseFor,
+  getSessionPropertyValues,
+} from './courseService.js';
+import { rankInstructors, recordAssignments } from './instructorService.js';
+import { queueCancellationNotice } from './notificationService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('bookingService');
+
+// NOTE: seat reservation uses multi-document transactions, so ATLAS_URI must
+// point at a replica set (Atlas always is; a local mongod needs --replSet).
+
+// ------------------------------------------------------
+// Errors
+// ------------------------------------------------------
+/**
+ * Thrown when a requested session cannot be reserved: it is full, or this
+ * email already holds a seat in it.
+ */
+export class SessionConflictError extends Error {
+  constructor({ date, slot, reason }) {
+    super(
+      reason === 'duplicate'
+        ? `Already booked for ${date} ${slot.label}`
+        : `No seats left for ${date} ${slot.label}`
+    );
+    this.name = 'SessionConflictError';
+    this.date = date;
+    this.slotId = slot.slotId;
+    this.timeSlot = slot.label;
+    this.reason = reason; // "full" | "duplicate"
+  }
+}
+
+// ------------------------------------------------------
+// Helpers
+// ------------------------------------------------------
+/**
+ * Take one seat in a session inside `session`'s transaction, in the first
+ * candidate instructor's section that still has room and isn't running
+ * another course.
+ *
+ * @param {Array<{ instructorId: string, capacity: number }>} candidates
+ *   from rankInstructors()
+ * @returns {Promise<string>} the instructorId whose section took the student
+ * @throws {SessionConflictError} when every section is full
+ */
+async function takeSeat(date, slot, courseId, candidates, session) {
+  for (const { instructorId, capacity } of candidates) {
+    const counter = await ClassSession.findOneAndUpdate(
+      {
+        date,
+        slotId: slot.slotId,
+        instructorId,
+        booked: { $lt: capacity },
+        $or: [{ courseId }, { booked: 0 }],
+      },
+      { $inc: { booked: 1 }, $set: { courseId } },
+      { new: true, session }
+    );
+    if (counter) return instructorId;
+  }
+  throw new SessionConflictError({ date, slot, reason: 'full' });
+}
+
+async function giveSeatBack(date, slotId, instructorId, session) {
+  await ClassSession.updateOne(
+    { date, slotId, instructorId, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    { session }
+  );
+}
+
+/**
+ * Make sure a seat counter exists for an instructor's section of a session.
+ * New counters start at the bookings already stored, so sections booked
+ * before counters existed are not over-sold.
+ */
+async function ensureSessionCounter(date, slotId, instructorId) {
+  const exists = await ClassSession.exists({ date, slotId, instructorId });
+  if (exists) return;
+
+  const bookings = await Booking.find({
+    date,
+    slotId,
+    instructorId,
+    status: { $ne: 'cancelled' },
+  })
+    .select('courseId')
+    .lean();
+  try {
+    await ClassSession.create({
+      date,
+      slotId,
+      instructorId,
+      booked: bookings.length,
+      courseId: bookings[0]?.courseId,
+    });
+  } catch (e) {
+    // Another request created it first — that's fine
+    if (e.code !== 11000) throw e;
+  }
+}
+
+/**
+ * Candidate instructors for a session, with their seat counters ready.
+ */
+async function prepareCandidates(course, date, slot, options) {
+  const candidates = course ? await rankInstructors(course, date, slot, options) : [];
+  for (const { instructorId } of candidates) {
+    await ensureSessionCounter(date, slot.slotId, instructorId);
+  }
+  return candidates;
+}
+
+/**
+ * Whether other active bookings are on this booking's Outlook event (a
+ * bulk enrollment's shared event), so it must not be moved or cancelled
+ * for this one student.
+ */
+async function sharesOutlookEvent(booking) {
+  if (!booking.outlookEventId) return false;
+  return !!(await Booking.exists({
+    _id: { $ne: booking._id },
+    outlookEventId: booking.outlookEventId,
+    status: { $ne: 'cancelled' },
+  }));
+}
+
+/**
+ * A seat just opened in a session: let its waitlist know (see the
+ * "waitlist.promote" job). Never fails the caller.
+ */
+async function queuePromotion(date, slotId) {
+  try {
+    await enqueueJob('waitlist.promote', { date, slotId });
+    processJobsSoon();
+  } catch (e) {
+    log.warn('Could not queue waitlist promotion', e);
+  }
+}
+
+// ------------------------------------------------------
+// Reserve / release
+// ------------------------------------------------------
+/**
+ * Reserve a seat in every selected session for one student, all or nothing.
+ *
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {Array<{ date: string, slot: Object, sessionNumber?: number,
+ *   preferInstructorId?: string }>} params.selections
+ *   dates as "MM/DD/YYYY", slots as returned by slotService;
+ *   preferInstructorId keeps students together (bulk enrollment)
+ * @param {Object} [params.details] - extra Booking fields (courseId,
+ *   studentName, company); courseId defaults to DEFAULT_COURSE_ID
+ * @returns {Promise<Array<Object>>} the created Booking documents, in order,
+ *   each assigned to an instructor
+ * @throws {SessionConflictError} if any session is full or already booked
+ */
+export async function reserveSeats({ email, selections, details = {} }) {
+  const courseId = details.courseId || DEFAULT_COURSE_ID;
+  const course = await getCourse(courseId);
+  const plans = [];
+  for (const selection of selections) {
+    const candidates = await prepareCandidates(course, selection.date, selection.slot, {
+      prefer: selection.preferInstructorId,
+    });
+    plans.push({ ...selection, candidates });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let bookings = [];
+    await session.withTransaction(async () => {
+      bookings = [];
+      for (const { date, slot, sessionNumber, candidates } of plans) {
+        const instructorId = await takeSeat(date, slot, courseId, candidates, session);
+
+        try {
+          const [booking] = await Booking.create(
+            [
+              {
+                ...details,
+                courseId,
+                email,
+                date,
+                ...getSessionWindow(toDateISO(date), slot),
+                slotId: slot.slotId,
+                timeSlot: slot.label,
+                sessionNumber,
+                instructorId,
+              },
+            ],
+            { session }
+          );
+          bookings.push(booking);
+        } catch (e) {
+          if (e.code === 11000) {
+            throw new SessionConflictError({ date, slot, reason: 'duplicate' });
+          }
+          throw e;
+        }
+      }
+    });
+
+    log.info('Reserved seats', {
+      bookings: bookings.map((b) => ({
+        bookingId: String(b._id),
+        date: b.date,
+        slotId: b.slotId,
+        instructorId: b.instructorId,
+      })),
+    });
+    await recordAssignments(bookings.map((b) => b.instructorId)).catch((e) =>
+      log.warn('Could not record assignments', e)
+    );
+    return bookings;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Undo reserveSeats(): delete the bookings and give their seats back.
+ * Used when a later step of the submission fails.
+ *
+ * @param {Array<Object>} bookings - Booking documents from reserveSeats()
+ */
+export async function releaseSeats(bookings) {
+  if (!bookings?.length) return;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      for (const booking of bookings) {
+        const deleted = await Booking.findByIdAndDelete(booking._id, { session });
+        if (!deleted) continue;
+        await giveSeatBack(deleted.date, deleted.slotId, deleted.instructorId, session);
+      }
+    });
+    log.info('Released seats', { count: bookings.length });
+  } finally {
+    await session.endSession();
+  }
+}
+
+// ------------------------------------------------------
+// Cancel / reschedule
+// ------------------------------------------------------
+/**
+ * Write a booking's session to its course's HubSpot properties for its
+ * sessionNumber, or blanks once the booking is cancelled. Run by the
+ * "hubspot.syncSession" job, so a retry always writes the booking's
+ * current state.
+ *
+ * @param {Object} booking - Booking document
+ * @returns {Promise<string>} "updated" | "skipped"
+ * @throws on HubSpot errors, so the job queue can retry
+ */
+export async function syncHubSpotSession(booking) {
+  const clear = booking.status === 'cancelled';
+  const properties = getSessionPropertyValues(
+    await getCourseFor(booking),
+    booking.sessionNumber,
+    clear ? null : toDateISO(booking.date),
+    clear ? null : await getSlot(booking.slotId)
+  );
+  if (!properties) {
+    log.warn('Course has no HubSpot properties for this sessionNumber; HubSpot not updated', {
+      bookingId: String(booking._id),
+      sessionNumber: booking.sessionNumber,
+    });
+    return 'skipped';
+  }
+
+  const contactId = await updateContact({
+    contactId: booking.hubspotContactId,
+    email: booking.email,
+    properties,
+  });
+  if (!contactId) return 'skipped';
+  if (!booking.hubspotContactId) {
+    await Booking.updateOne({ _id: booking._id }, { hubspotContactId: contactId });
+  }
+  return 'updated';
+}
+
+/**
+ * Queue one Outlook / HubSpot side effect of a cancel or reschedule (the
+ * database change has already happened, so this never fails the caller).
+ *
+ * @returns {Promise<string>} "queued" | "failed"
+ */
+async function queueSync(type, payload) {
+  try {
+    await enqueueJob(type, payload);
+    return 'queued';
+  } catch (e) {
+    log.error('Could not queue sync job', { type, err: e });
+    return 'failed';
+  }
+}
+
+/**
+ * Cancel a booking: free its seat, then queue the Outlook cancellation (the
+ * attendee gets one; on an event shared with classmates the student is
+ * only taken off it), the clearing of the matching HubSpot date/time
+ * properties and the student's cancellation email.
+ *
+ * @param {string} bookingId
+ * @param {Object} [options]
+ * @param {string} [options.reason] - stored on the booking and sent to the attendee
+ * @param {boolean} [options.syncOutlook=true] - false when the Outlook event
+ *   is already gone (e.g. the change came from Outlook itself)
+ * @param {boolean} [options.syncHubSpot=true] - false when HubSpot never had
+ *   this booking (an unconfirmed waitlist offer)
+ * @param {boolean} [options.notify=true] - false to skip the cancellation
+ *   email (a declined or expired waitlist offer was never confirmed)
+ * @returns {Promise<{ booking: Object, outlook: string, hubspot: string, email: string }|null>}
+ *   null if no active booking has that id; outlook / hubspot are
+ *   "queued" | "skipped" | "failed" (could not be queued)
+ */
+export async function cancelBooking(
+  bookingId,
+  { reason = '', syncOutlook = true, syncHubSpot = true, notify = true } = {}
+) {
+  const session = await mongoose.startSession();
+  let booking;
+  try {
+    await session.withTransaction(async () => {
+      booking = await Booking.findOneAndUpdate(
+        { _id: bookingId, status: { $ne: 'cancelled' } },
+        { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason },
+        { new: true, session }
+      );
+      if (booking) {
+        await giveSeatBack(booking.date, booking.slotId, booking.instructorId, session);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+  if (!booking) return null;
+  log.info('Cancelled booking', { bookingId: String(booking._id) });
+
+  const { outlookEventId: eventId, outlookMailbox: mailbox } = booking;
+  let outlook = 'skipped';
+  if (syncOutlook && (await sharesOutlookEvent(booking))) {
+    // Classmates keep the event; this student just comes off it
+    outlook = await queueSync('outlook.removeAttendee', {
+      eventId,
+      mailbox,
+      email: booking.email,
+    });
+  } else if (syncOutlook && eventId) {
+    outlook = await queueSync('outlook.cancelEvent', {
+      eventId,
+      mailbox,
+      comment: reason || 'This class session has been cancelled.',
+    });
+  }
+
+  const hubspot = syncHubSpot
+    ? await queueSync('hubspot.syncSession', { bookingId: String(booking._id) })
+    : 'skipped';
+  await queuePromotion(booking.date, booking.slotId);
+
+  let email = 'skipped';
+  if (notify) {
+    email = 'queued';
+    await queueCancellationNotice(booking, reason).catch((e) => {
+      log.error('Could not queue cancellation email', e);
+      email = 'failed';
+    });
+  }
+  processJobsSoon();
+  return { booking, outlook, hubspot, email };
+}
+
+/**
+ * Move a booking to another session: the new seat is taken and the old one
+ * freed in one transaction, then the Outlook event move (or its creation,
+ * if the booking never got one) and the HubSpot update are queued. The
+ * student keeps their instructor when that section has room; otherwise
+ * they are reassigned, and the event moves to the new instructor's
+ * calendar (old one cancelled, new one queued).
+ *
+ * @param {string} bookingId
+ * @param {Object} target
+ * @param {string} target.date - "MM/DD/YYYY"
+ * @param {Object} target.slot - slot as returned by slotService
+ * @param {Object} [options]
+ * @param {boolean} [options.syncOutlook=true] - false when the event was
+ *   already moved in Outlook (the booking then stays with its instructor)
+ * @returns {Promise<{ booking: Object, outlook: string, hubspot: string }|null>}
+ *   null if no active booking has that id; outlook / hubspot as for
+ *   cancelBooking()
+ * @throws {SessionConflictError} if the target session is full or already booked
+ */
+export async function rescheduleBooking(bookingId, { date, slot }, { syncOutlook = true } = {}) {
+  const current = await Booking.findOne({ _id: bookingId, status: { $ne: 'cancelled' } }).lean();
+  if (!current) return null;
+  let candidates = await prepareCandidates(await getCourseFor(current), date, slot, {
+    prefer: current.instructorId,
+  });
+  if (!syncOutlook) {
+    candidates = candidates.filter((c) => c.instructorId === current.instructorId);
+  }
+
+  const session = await mongoose.startSession();
+  let booking;
+  let previous = null;
+  try {
+    await session.withTransaction(async () => {
+      booking = await Booking.findOne({
+        _id: bookingId,
+        status: { $ne: 'cancelled' },
+      }).session(session);
+      if (!booking) return;
+      if (booking.date === date && booking.slotId === slot.slotId) return;
+      previous = {
+        date: booking.date,
+        slotId: booking.slotId,
+        instructorId: booking.instructorId,
+        outlookEventId: booking.outlookEventId,
+        outlookMailbox: booking.outlookMailbox,
+      };
+
+      const instructorId = await takeSeat(
+        date,
+        slot,
+        booking.courseId || DEFAULT_COURSE_ID,
+        candidates,
+        session
+      );
+      await giveSeatBack(booking.date, booking.slotId, booking.instructorId, session);
+
+      booking.date = date;
+      booking.set(getSessionWindow(toDateISO(date), slot));
+      booking.rescheduledAt = new Date();
+      booking.slotId = slot.slotId;
+      booking.timeSlot = slot.label;
+      if (instructorId !== booking.instructorId) {
+        booking.instructorId = instructorId;
+        booking.outlookEventId = undefined;
+        booking.outlookMailbox = undefined;
+      }
+      try {
+        await booking.save({ session });
+      } catch (e) {
+        if (e.code === 11000) {
+          throw new SessionConflictError({ date, slot, reason: 'duplicate' });
+        }
+        throw e;
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+  if (!booking) return null;
+  log.info('Rescheduled booking', {
+    bookingId: String(booking._id),
+    date,
+    slotId: slot.slotId,
+    instructorId: booking.instructorId,
+  });
+  if (previous) await queuePromotion(previous.date, previous.slotId);
+
+  const id = String(booking._id);
+  let outlook;
+  if (!syncOutlook) {
+    outlook = 'skipped';
+  } else if (await sharesOutlookEvent(booking)) {
+    // Leave the shared event to the classmates; this student gets their own
+    const removed = await queueSync('outlook.removeAttendee', {
+      eventId: booking.outlookEventId,
+      mailbox: booking.outlookMailbox,
+      email: booking.email,
+    });
+    await Booking.updateOne(
+      { _id: booking._id },
+      { $unset: { outlookEventId: 1, outlookMailbox: 1 } }
+    );
+    booking.outlookEventId = undefined;
+    booking.outlookMailbox = undefined;
+    const created = await queueSync('outlook.createEvent', { bookingId: id });
+    outlook = removed === 'queued' && created === 'queued' ? 'queued' : 'failed';
+  } else if (booking.outlookEventId) {
+    outlook = await queueSync('outlook.updateEvent', { bookingId: id });
+  } else {
+    let released = 'queued';
+    if (previous?.outlookEventId && previous.instructorId !== booking.instructorId) {
+      const shared = await sharesOutlookEvent({
+        _id: booking._id,
+        outlookEventId: previous.outlookEventId,
+      });
+      released = shared
+        ? await queueSync('outlook.removeAttendee', {
+            eventId: previous.outlookEventId,
+            mailbox: previous.outlookMailbox,
+            email: booking.email,
+          })
+        : await queueSync('outlook.cancelEvent', {
+            eventId: previous.outlookEventId,
+            mailbox: previous.outlookMailbox,
+            comment:
+              'This class session has moved to another instructor; a new invite will follow.',
+          });
+    }
+    const created = await queueSync('outlook.createEvent', { bookingId: id });
+    outlook = released === 'queued' && created === 'queued' ? 'queued' : 'failed';
+  }
+  const hubspot = await queueSync('hubspot.syncSession', { bookingId: id });
+  processJobsSoon();
+  return { booking, outlook, hubspot };
+}
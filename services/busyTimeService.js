@@ -0,0 +1,180 @@
+// backend/services/busyTimeService.js
+import dotenv from 'dotenv';
+import moment from 'moment-timezone';
+import Booking from '../models/booking.models.js';
+import { getCalendarView, CLASS_EVENT_CATEGORY } from './outlookService.js';
+import { getSessionTimes } from './slotService.js';
+import { toDateISO } from './capacityService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('busyTimeService');
+
+// How long Graph busy time is reused before asking again
+const BUSY_CACHE_TTL_MS = Number(process.env.BUSY_CACHE_TTL_MS || 5 * 60 * 1000);
+// How far ahead /api/booked-dates looks for instructor conflicts
+const BUSY_LOOKAHEAD_DAYS = Number(process.env.BUSY_LOOKAHEAD_DAYS || 90);
+// Outlook "show as" values that block a class (free / tentative /
+// workingElsewhere don't by default)
+const BLOCKING_SHOW_AS = (process.env.BUSY_BLOCKING_SHOW_AS || 'busy,oof')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+const REASONS = {
+  oof: 'instructor_out_of_office',
+  default: 'instructor_busy',
+};
+
+// mailbox + window key → { expiresAt, promise }
+const cache = new Map();
+
+// ------------------------------------------------------
+// Loading
+// ------------------------------------------------------
+function toPeriod(event) {
+  const reason = REASONS[event.showAs] || REASONS.default;
+  if (event.isAllDay) {
+    // All-day events are floating dates: they block the whole calendar day
+    // wherever the class is held, whatever the UTC offset
+    return {
+      allDay: true,
+      startDate: event.start.dateTime.slice(0, 10),
+      endDate: event.end.dateTime.slice(0, 10), // exclusive
+      reason,
+    };
+  }
+  return {
+    allDay: false,
+    start: moment.utc(event.start.dateTime).toDate(),
+    end: moment.utc(event.end.dateTime).toDate(),
+    reason,
+  };
+}
+
+async function fetchBusyPeriods(start, end, mailbox) {
+  const events = await getCalendarView(start, end, mailbox);
+  if (!events) return { checked: false, periods: [] };
+
+  const candidates = events.filter(
+    (e) =>
+      !e.isCancelled &&
+      BLOCKING_SHOW_AS.includes(e.showAs) &&
+      !(e.categories || []).includes(CLASS_EVENT_CATEGORY)
+  );
+
+  // Class events created before they were tagged with the category
+  const ours = new Set(
+    await Booking.distinct('outlookEventId', {
+      outlookEventId: { $in: candidates.map((e) => e.id) },
+    })
+  );
+
+  return {
+    checked: true,
+    periods: candidates.filter((e) => !ours.has(e.id)).map(toPeriod),
+  };
+}
+
+function lookaheadWindow() {
+  const start = moment.utc().startOf('day');
+  return { start, end: start.clone().add(BUSY_LOOKAHEAD_DAYS, 'days') };
+}
+
+/**
+ * Busy periods on an instructor's Outlook calendar covering the days from
+ * `fromISO` to `toISO` (inclusive). Results are cached per mailbox for
+ * BUSY_CACHE_TTL_MS; dates inside the lookahead window share one cached
+ * Graph call.
+ *
+ * Never throws: if Graph can't be reached the result has `checked: false`
+ * and no periods, so bookings keep working on our own data alone.
+ *
+ * @param {string} mailbox - Instructor.mailbox
+ * @param {string} fromISO - "YYYY-MM-DD"
+ * @param {string} [toISO] - "YYYY-MM-DD", defaults to fromISO
+ * @returns {Promise<{ checked: boolean, periods: Object[] }>}
+ */
+export async function getBusyPeriods(mailbox, fromISO, toISO = fromISO) {
+  if (!mailbox) return { checked: false, periods: [] };
+
+  const lookahead = lookaheadWindow();
+  const fromDay = moment.utc(fromISO, 'YYYY-MM-DD');
+  const toDay = moment.utc(toISO, 'YYYY-MM-DD');
+  let start;
+  let end;
+  if (!fromDay.isBefore(lookahead.start) && toDay.isBefore(lookahead.end)) {
+    ({ start, end } = lookahead);
+  } else {
+    // Pad a day either side: class time zones differ from UTC
+    start = fromDay.clone().subtract(1, 'day');
+    end = toDay.clone().add(2, 'days');
+  }
+
+  const key = `${mailbox}|${start.toISOString()}|${end.toISOString()}`;
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+  const promise = fetchBusyPeriods(start.toDate(), end.toDate(), mailbox).catch((e) => {
+    log.warn('Could not load Outlook busy time', e);
+    cache.delete(key); // don't cache failures
+    return { checked: false, periods: [] };
+  });
+  cache.set(key, { expiresAt: Date.now() + BUSY_CACHE_TTL_MS, promise });
+  return promise;
+}
+
+/**
+ * First and last day of the lookahead window (what /api/booked-dates
+ * checks instructor calendars over).
+ *
+ * @returns {{ fromISO: string, toISO: string }}
+ */
+export function getLookaheadRange() {
+  const { start, end } = lookaheadWindow();
+  return {
+    fromISO: start.format('YYYY-MM-DD'),
+    toISO: end.clone().subtract(1, 'day').format('YYYY-MM-DD'),
+  };
+}
+
+/**
+ * Drop cached busy time, e.g. after an instructor's calendar changed.
+ */
+export function clearBusyCache() {
+  cache.clear();
+}
+
+// ------------------------------------------------------
+// Matching sessions
+// ------------------------------------------------------
+/**
+ * Busy periods that overlap one class session.
+ *
+ * @param {string} date - "MM/DD/YYYY"
+ * @param {Object} slot
+ * @param {Object[]} periods - from getBusyPeriods()
+ * @returns {Object[]}
+ */
+export function findConflicts(date, slot, periods) {
+  const dateISO = toDateISO(date);
+  const { start, end } = getSessionTimes(dateISO, slot);
+  return periods.filter((p) =>
+    p.allDay
+      ? dateISO >= p.startDate && dateISO < p.endDate
+      : p.start < end.toDate() && p.end > start.toDate()
+  );
+}
+
+/**
+ * Public description of why a session is blocked (never the meeting
+ * subject).
+ */
+export function describeConflict(reason) {
+  if (reason === 'no_instructor') return 'No instructor teaches this class at this time';
+  return reason === REASONS.oof
+    ? 'The instructor is out of office'
+    : 'The instructor has a conflicting commitment';
+}
@@ -0,0 +1,99 @@
+// backend/services/capacityService.js
+import dotenv from 'dotenv';
+import moment from 'moment';
+import SeatCapacity from '../models/seatCapacity.models.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+// Seats per section (one instructor's class in a session) when neither the
+// instructor nor a SeatCapacity document sets it.
+// Defaults to 1, which matches the old "one booking blocks the slot" rule.
+const DEFAULT_SEAT_CAPACITY = Number(process.env.DEFAULT_SEAT_CAPACITY || 1);
+
+// ------------------------------------------------------
+// Dates
+// ------------------------------------------------------
+/**
+ * Normalize a form date ("YYYY-MM-DD", a full ISO string, or "MM/DD/YYYY")
+ * to the "MM/DD/YYYY" string bookings are stored under. Returns null if invalid.
+ *
+ * @param {string} value
+ */
+export function toBookingDate(value) {
+  if (!value || typeof value !== 'string') return null;
+  // "2025-12-01T00:00:00.000Z" → keep the calendar date the user picked
+  const day = /^\d{4}-\d{2}-\d{2}T/.test(value) ? value.slice(0, 10) : value;
+  const m = moment(day, ['YYYY-MM-DD', 'MM/DD/YYYY'], true);
+  return m.isValid() ? m.format('MM/DD/YYYY') : null;
+}
+
+/**
+ * Stored "MM/DD/YYYY" booking date → "YYYY-MM-DD" (what Outlook/HubSpot use).
+ *
+ * @param {string} bookingDate
+ */
+export function toDateISO(bookingDate) {
+  return moment(bookingDate, 'MM/DD/YYYY').format('YYYY-MM-DD');
+}
+
+/**
+ * Booking.start condition for sessions on the class days `fromISO` …
+ * `toISO` (inclusive; either may be left out). Class days are in each
+ * slot's own time zone, so the range is padded a day either side; match
+ * Booking.date as well where the exact days matter.
+ *
+ * @param {string} [fromISO] - "YYYY-MM-DD"
+ * @param {string} [toISO]   - "YYYY-MM-DD"
+ * @returns {{ $gte?: Date, $lt?: Date }}
+ */
+export function startRange(fromISO, toISO) {
+  const range = {};
+  if (fromISO) range.$gte = moment.utc(fromISO, 'YYYY-MM-DD').subtract(1, 'day').toDate();
+  if (toISO) range.$lt = moment.utc(toISO, 'YYYY-MM-DD').add(2, 'days').toDate();
+  return range;
+}
+
+// ------------------------------------------------------
+// Capacity lookups
+// ------------------------------------------------------
+/**
+ * Seat capacity for one section of a session: date override → slot
+ * default → env default (instructors with their own capacity skip this).
+ *
+ * @param {string} date   - "MM/DD/YYYY"
+ * @param {string} slotId - Slot.slotId
+ */
+export async function getSeatCapacity(date, slotId) {
+  const rules = await SeatCapacity.find({
+    slotId,
+    date: { $in: [date, null] },
+  }).lean();
+
+  const override = rules.find((r) => r.date === date);
+  if (override) return override.capacity;
+  const slotDefault = rules.find((r) => r.date === null);
+  if (slotDefault) return slotDefault.capacity;
+  return DEFAULT_SEAT_CAPACITY;
+}
+
+/**
+ * Load every capacity rule once and return a synchronous lookup with the
+ * same precedence as getSeatCapacity(), for pages covering many sessions.
+ *
+ * @returns {Promise<(date: string, slotId: string) => number>}
+ */
+export async function loadCapacityLookup() {
+  const rules = await SeatCapacity.find().lean();
+  const overrides = new Map();
+  const slotDefaults = new Map();
+  rules.forEach((r) => {
+    if (r.date) overrides.set(`${r.date}|${r.slotId}`, r.capacity);
+    else slotDefaults.set(r.slotId, r.capacity);
+  });
+
+  return (date, slotId) =>
+    overrides.get(`${date}|${slotId}`) ??
+    slotDefaults.get(slotId) ??
+    DEFAULT_SEAT_CAPACITY;
+}
@@ -0,0 +1,205 @@
+// backend/services/courseService.js
+import dotenv from 'dotenv';
+import Course from '../models/course.models.js';
+import Slot from '../models/slot.models.js';
+import Booking from '../models/booking.models.js';
+import WaitlistEntry from '../models/waitlistEntry.models.js';
+import { listSlots, getSessionTimes } from './slotService.js';
+import { toHubSpotDate } from './hubspotService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('courseService');
+
+// Course used by the original single-course routes (/api/intro-to-ai-payment,
+// /api/check-availability, ...) and by bookings made before courses existed
+export const DEFAULT_COURSE_ID = process.env.DEFAULT_COURSE_ID || 'intro-to-ai';
+
+// ------------------------------------------------------
+// Seed data: what used to be hardcoded for "Intro to AI"
+// ------------------------------------------------------
+const DEFAULT_COURSE = {
+  courseId: DEFAULT_COURSE_ID,
+  name: 'Intro to AI',
+  eventSubjectTemplate: 'Intro to AI Class - {{company}}',
+  hubspotSessionProperties: [
+    { sessionNumber: 1, dateProperty: 'intro_to_ai_program_date', timeProperty: 'program_session' },
+    { sessionNumber: 2, dateProperty: 'intro_to_ai_date_2', timeProperty: 'program_time_2' },
+    { sessionNumber: 3, dateProperty: 'intro_to_ai_date_3', timeProperty: 'program_time_3' },
+  ],
+};
+
+/**
+ * Seed the default course on first run (taught in every existing slot) and
+ * tag bookings / waitlist entries created before courses existed. Run after
+ * ensureSlotCatalog(). Safe to call on every startup.
+ */
+export async function ensureCourseCatalog() {
+  if ((await Course.estimatedDocumentCount()) === 0) {
+    const slotIds = await Slot.distinct('slotId');
+    await Course.create({ ...DEFAULT_COURSE, slotIds });
+    log.info('Seeded default course', { courseId: DEFAULT_COURSE_ID });
+  }
+
+  for (const Model of [Booking, WaitlistEntry]) {
+    const { modifiedCount } = await Model.updateMany(
+      { courseId: { $exists: false } },
+      { courseId: DEFAULT_COURSE_ID }
+    );
+    if (modifiedCount) {
+      log.info('Tagged documents with the default course', {
+        model: Model.modelName,
+        count: modifiedCount,
+        courseId: DEFAULT_COURSE_ID,
+      });
+    }
+  }
+}
+
+// ------------------------------------------------------
+// Lookups
+// ------------------------------------------------------
+/**
+ * All courses, by name.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false]
+ */
+export async function listCourses({ includeInactive = false } = {}) {
+  return Course.find(includeInactive ? {} : { active: true }).sort({ name: 1 }).lean();
+}
+
+/**
+ * Find a course by id (defaults to the original course).
+ *
+ * @param {string} [courseId]
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=false]
+ * @returns {Promise<Object|null>}
+ */
+export async function getCourse(courseId = DEFAULT_COURSE_ID, { activeOnly = false } = {}) {
+  if (typeof courseId !== 'string') return null;
+  const filter = { courseId };
+  if (activeOnly) filter.active = true;
+  return Course.findOne(filter).lean();
+}
+
+/**
+ * The course a booking (or waitlist entry) belongs to.
+ */
+export async function getCourseFor(record) {
+  return getCourse(record.courseId || DEFAULT_COURSE_ID);
+}
+
+/**
+ * Map of courseId → course for every course, including inactive ones.
+ *
+ * @returns {Promise<Map<string, Object>>}
+ */
+export async function getCourseMap() {
+  const courses = await Course.find().lean();
+  return new Map(courses.map((c) => [c.courseId, c]));
+}
+
+/**
+ * Active slots a course is taught in, in display order.
+ *
+ * @param {Object} course
+ */
+export async function getCourseSlots(course) {
+  const slots = await listSlots();
+  return slots.filter((slot) => course.slotIds.includes(slot.slotId));
+}
+
+/**
+ * HubSpot contact properties for one of a course's sessions.
+ *
+ * @param {Object} course
+ * @param {number} sessionNumber - 1-3
+ * @returns {{ date: string, time: string, start?: string }|null}
+ */
+export function getSessionProperties(course, sessionNumber) {
+  const props = course?.hubspotSessionProperties?.find(
+    (p) => p.sessionNumber === Number(sessionNumber)
+  );
+  if (!props) return null;
+  return {
+    date: props.dateProperty,
+    time: props.timeProperty,
+    ...(props.startProperty && { start: props.startProperty }),
+  };
+}
+
+/**
+ * HubSpot property values for one of a student's sessions, all taken from
+ * the session's start instant (slotService.getSessionTimes): the class
+ * date in the slot's zone (as HubSpot's midnight-UTC date), the slot label
+ * and, when the course maps one, the exact start.
+ *
+ * @param {Object} course
+ * @param {number} sessionNumber - 1-3
+ * @param {string|null} dateISO - "YYYY-MM-DD"; null clears the properties
+ * @param {Object} [slot]
+ * @returns {Object|null} null when the course has no properties for this session
+ */
+export function getSessionPropertyValues(course, sessionNumber, dateISO, slot) {
+  const props = getSessionProperties(course, sessionNumber);
+  if (!props) return null;
+  if (!dateISO || !slot) {
+    return { [props.date]: '', [props.time]: '', ...(props.start && { [props.start]: '' }) };
+  }
+
+  const { start } = getSessionTimes(dateISO, slot);
+  return {
+    [props.date]: toHubSpotDate(start.format('YYYY-MM-DD')),
+    [props.time]: slot.label,
+    ...(props.start && { [props.start]: start.valueOf() }),
+  };
+}
+
+// ------------------------------------------------------
+// Event text
+// ------------------------------------------------------
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function render(template, vars, escape) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (_m, name) =>
+    escape(vars[name] ?? '')
+  );
+}
+
+/**
+ * Outlook / .ics subject and HTML body for a class event.
+ *
+ * @param {Object} course
+ * @param {Object} vars - company, studentName, studentEmail, date, time
+ * @returns {{ subject: string, bodyHtml: string }}
+ */
+export function renderEventText(course, vars) {
+  const values = {
+    course: course.name,
+    ...vars,
+    studentName: vars.studentName || 'N/A',
+    studentEmail: vars.studentEmail || 'N/A',
+  };
+  return {
+    subject: render(
+      course.eventSubjectTemplate,
+      { ...values, company: vars.company || 'Kable Academy' },
+      String
+    ),
+    bodyHtml: render(
+      course.eventBodyTemplate,
+      { ...values, company: vars.company || 'N/A' },
+      escapeHtml
+    ),
+  };
+}
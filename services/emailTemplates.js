@@ -0,0 +1,132 @@
+// backend/services/emailTemplates.js
+//
+// HTML bodies for student notification emails. Each template takes plain
+// data and returns { subject, html }.
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function layout(body) {
+  return `
+    <div style="font-family: Arial, sans-serif; font-size: 15px; color: #222;">
+      ${body}
+      <p style="margin-top: 24px;">— Kable Academy</p>
+    </div>
+  `;
+}
+
+function sessionList(sessions) {
+  const items = sessions
+    .map(
+      (s) =>
+        `<li><strong>${escapeHtml(s.dateLabel)}</strong>, ${escapeHtml(s.timeLabel)}` +
+        (s.icsUrl ? ` — <a href="${escapeHtml(s.icsUrl)}">add to calendar</a>` : '') +
+        '</li>'
+    )
+    .join('');
+  return `<ul>${items}</ul>`;
+}
+
+/**
+ * Sent once per registration.
+ *
+ * @param {Object} data
+ * @param {string} data.courseName
+ * @param {string} data.studentName
+ * @param {Array<{ dateLabel: string, timeLabel: string, icsUrl?: string }>} data.sessions
+ * @param {string} [data.feedUrl] - subscribable calendar feed
+ */
+export function confirmationEmail({ courseName, studentName, sessions, feedUrl }) {
+  return {
+    subject: `You are registered for ${courseName}`,
+    html: layout(`
+      <p>Hi ${escapeHtml(studentName || 'there')},</p>
+      <p>Thanks for registering for <strong>${escapeHtml(courseName)}</strong>. Your class sessions:</p>
+      ${sessionList(sessions)}
+      ${
+        feedUrl
+          ? `<p>Use Google Calendar or Apple Calendar? <a href="${escapeHtml(feedUrl)}">Subscribe to your class calendar</a>.</p>`
+          : ''
+      }
+    `),
+  };
+}
+
+/**
+ * Sent `hoursBefore` hours before one session.
+ *
+ * @param {Object} data
+ * @param {string} data.courseName
+ * @param {string} data.studentName
+ * @param {{ dateLabel: string, timeLabel: string, icsUrl?: string }} data.session
+ * @param {number} data.hoursBefore
+ */
+export function reminderEmail({ courseName, studentName, session, hoursBefore }) {
+  const when = hoursBefore >= 48 ? `in ${Math.round(hoursBefore / 24)} days` : 'tomorrow';
+  return {
+    subject: `Reminder: ${courseName} class ${when}`,
+    html: layout(`
+      <p>Hi ${escapeHtml(studentName || 'there')},</p>
+      <p>This is a reminder that your <strong>${escapeHtml(courseName)}</strong> class is coming up:</p>
+      ${sessionList([session])}
+    `),
+  };
+}
+
+/**
+ * Sent when a booking is cancelled.
+ *
+ * @param {Object} data
+ * @param {string} data.courseName
+ * @param {string} data.studentName
+ * @param {{ dateLabel: string, timeLabel: string }} data.session
+ * @param {string} [data.reason]
+ */
+export function cancellationEmail({ courseName, studentName, session, reason }) {
+  return {
+    subject: `Your ${courseName} class session was cancelled`,
+    html: layout(`
+      <p>Hi ${escapeHtml(studentName || 'there')},</p>
+      <p>The following class session has been cancelled:</p>
+      ${sessionList([session])}
+      ${reason ? `<p>${escapeHtml(reason)}</p>` : ''}
+      <p>Reply to this email if you'd like help choosing another date.</p>
+    `),
+  };
+}
+
+/**
+ * Sent when a waitlisted student is given a seat.
+ *
+ * @param {Object} data
+ * @param {string} data.courseName
+ * @param {string} data.studentName
+ * @param {{ dateLabel: string, timeLabel: string }} data.session
+ * @param {string} data.confirmUrl
+ * @param {string} data.declineUrl
+ * @param {string} data.expiresLabel - e.g. "Tuesday, December 2 at 3:00 PM"
+ */
+export function waitlistOfferEmail({
+  courseName,
+  studentName,
+  session,
+  confirmUrl,
+  declineUrl,
+  expiresLabel,
+}) {
+  return {
+    subject: `A seat opened up in ${courseName}`,
+    html: layout(`
+      <p>Hi ${escapeHtml(studentName || 'there')},</p>
+      <p>Good news — a seat opened up in the session you were waiting for, and we are holding it for you:</p>
+      ${sessionList([session])}
+      <p><a href="${escapeHtml(confirmUrl)}"><strong>Confirm your seat</strong></a> by ${escapeHtml(expiresLabel)}, or it will go to the next person on the waitlist.</p>
+      <p>Can't make it? <a href="${escapeHtml(declineUrl)}">Let the seat go</a>.</p>
+    `),
+  };
+}
@@ -0,0 +1,323 @@
+// backend/services/enrollmentService.js
+//
+// Bulk (company) enrollment from a CSV upload: one row per student, with
+// the same fields as the registration form. Every row is validated the way
+// a registration is (validation/registrationSchemas.js) and, together with
+// the rest of the file, against the seats left; a preview lists each row's
+// problems. Committing reserves every seat or none, then queues the usual
+// side effects per student, except that the students in the same section
+// share one Outlook event ("outlook.createGroupEvent").
+import dotenv from 'dotenv';
+import Booking from '../models/booking.models.js';
+import Enrollment from '../models/enrollment.models.js';
+import { runSchema } from '../middleware/validate.js';
+import { enrollmentRowSchema } from '../validation/registrationSchemas.js';
+import { parseCsv } from '../utils/csv.js';
+import { toBookingDate, toDateISO } from './capacityService.js';
+import { getSlotMap } from './slotService.js';
+import { getSessionSeats } from './instructorService.js';
+import { describeConflict } from './busyTimeService.js';
+import { reserveSeats, releaseSeats, SessionConflictError } from './bookingService.js';
+import { getSessionPropertyValues } from './courseService.js';
+import { enqueueJob, processJobsSoon } from './jobQueue.js';
+import { queueConfirmation } from './notificationService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('enrollmentService');
+
+// Largest class a single upload may enroll
+export const MAX_ENROLLMENT_ROWS = Number(process.env.BULK_ENROLLMENT_MAX_ROWS || 200);
+
+// Accepted column headers (compared lower-cased, letters and digits only)
+const COLUMNS = {
+  firstname: 'firstName',
+  lastname: 'lastName',
+  email: 'email',
+  emailaddress: 'email',
+  phone: 'phoneNumber',
+  phonenumber: 'phoneNumber',
+  company: 'yourCompany',
+  yourcompany: 'yourCompany',
+  classdate: 'classDate',
+  classdate1: 'classDate',
+  date: 'classDate',
+  slot: 'slotId',
+  slotid: 'slotId',
+  slotid1: 'slotId',
+  time: 'time',
+  classdate2: 'classDate2',
+  date2: 'classDate2',
+  slot2: 'slotId2',
+  slotid2: 'slotId2',
+  time2: 'time2',
+  classdate3: 'classDate3',
+  date3: 'classDate3',
+  slot3: 'slotId3',
+  slotid3: 'slotId3',
+  time3: 'time3',
+};
+const REQUIRED_COLUMNS = ['firstName', 'lastName', 'email', 'classDate'];
+
+const SESSIONS = [
+  { date: 'classDate', slot: 'slotId', sessionNumber: 1 },
+  { date: 'classDate2', slot: 'slotId2', sessionNumber: 2 },
+  { date: 'classDate3', slot: 'slotId3', sessionNumber: 3 },
+];
+
+// ------------------------------------------------------
+// Errors
+// ------------------------------------------------------
+/**
+ * Thrown when the upload as a whole can't be read (no header, missing
+ * columns, too many rows).
+ */
+export class EnrollmentFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EnrollmentFileError';
+  }
+}
+
+// ------------------------------------------------------
+// Parsing / validation
+// ------------------------------------------------------
+function readRows(csvText) {
+  const [header, ...lines] = parseCsv(csvText);
+  if (!header) throw new EnrollmentFileError('The file is empty');
+
+  const fields = header.map((h) => COLUMNS[h.toLowerCase().replace(/[^a-z0-9]/g, '')]);
+  const missing = REQUIRED_COLUMNS.filter((name) => !fields.includes(name));
+  if (!fields.includes('slotId') && !fields.includes('time')) missing.push('slotId');
+  if (missing.length) {
+    throw new EnrollmentFileError(`Missing column(s): ${missing.join(', ')}`);
+  }
+  if (!lines.length) throw new EnrollmentFileError('The file has no students');
+  if (lines.length > MAX_ENROLLMENT_ROWS) {
+    throw new EnrollmentFileError(`At most ${MAX_ENROLLMENT_ROWS} students per upload`);
+  }
+
+  return lines.map((cells, i) => {
+    const input = {};
+    fields.forEach((field, col) => {
+      if (field && cells[col] !== undefined && cells[col].trim() !== '') {
+        input[field] = cells[col].trim();
+      }
+    });
+    // line 1 is the header
+    return { line: i + 2, input };
+  });
+}
+
+// The sessions a validated row asks for, dates as "MM/DD/YYYY"
+function rowSessions(value) {
+  return SESSIONS.filter(({ date, slot }) => value[date] && value[slot]).map(
+    ({ date, slot, sessionNumber }) => ({
+      field: date,
+      date: toBookingDate(value[date]),
+      slotId: value[slot],
+      sessionNumber,
+    })
+  );
+}
+
+/**
+ * Validate an upload without booking anything.
+ *
+ * @param {Object} params
+ * @param {Object} params.course
+ * @param {string} params.csvText
+ * @param {string} [params.company] - used for rows without a company column
+ * @returns {Promise<{ valid: boolean, rows: Array<{ line: number, email: string,
+ *   studentName: string, sessions: Object[], errors: Object<string, string>,
+ *   value: Object }> }>}
+ * @throws {EnrollmentFileError}
+ */
+export async function previewEnrollment({ course, csvText, company }) {
+  const rows = [];
+  for (const { line, input } of readRows(csvText)) {
+    if (company && !input.yourCompany) input.yourCompany = company;
+    const { value, errors } = await runSchema(enrollmentRowSchema, input, { course });
+    rows.push({
+      line,
+      email: value.email || input.email || null,
+      studentName: `${value.firstName ?? ''} ${value.lastName ?? ''}`.trim(),
+      sessions: Object.keys(errors).length ? [] : rowSessions(value),
+      errors,
+      value,
+    });
+  }
+
+  // The same student twice in one file
+  const seen = new Map();
+  rows.forEach((row) => {
+    if (row.errors.email || !row.email) return;
+    if (seen.has(row.email)) {
+      row.errors.email = `is already on line ${seen.get(row.email)}`;
+      row.sessions = [];
+    } else {
+      seen.set(row.email, row.line);
+    }
+  });
+
+  // Already booked, and seats for the whole file (first rows first)
+  const slotMap = await getSlotMap();
+  const seats = new Map(); // "date|slotId" → { remaining, reason }
+  for (const row of rows) {
+    for (const session of row.sessions) {
+      const booked = await Booking.exists({
+        email: row.email,
+        date: session.date,
+        slotId: session.slotId,
+        status: 'booked',
+      });
+      if (booked) {
+        row.errors[session.field] = 'is already booked for this student';
+        continue;
+      }
+
+      const key = `${session.date}|${session.slotId}`;
+      if (!seats.has(key)) {
+        const { remaining, reason } = await getSessionSeats(
+          course,
+          session.date,
+          slotMap.get(session.slotId)
+        );
+        seats.set(key, { remaining, reason });
+      }
+      const left = seats.get(key);
+      if (left.reason && left.reason !== 'full') {
+        row.errors[session.field] = describeConflict(left.reason);
+      } else if (left.remaining <= 0) {
+        row.errors[session.field] = 'is full (no seats left for this student)';
+      } else {
+        left.remaining -= 1;
+      }
+    }
+  }
+
+  return { valid: rows.every((row) => !Object.keys(row.errors).length), rows };
+}
+
+// ------------------------------------------------------
+// Commit
+// ------------------------------------------------------
+function contactProperties(course, value, sessions, slotMap) {
+  const properties = {
+    firstname: value.firstName,
+    lastname: value.lastName,
+    email: value.email,
+    your_company_name: value.yourCompany,
+    phone: value.phoneNumber,
+  };
+  sessions.forEach(({ date, slotId, sessionNumber }) => {
+    Object.assign(
+      properties,
+      getSessionPropertyValues(course, sessionNumber, toDateISO(date), slotMap.get(slotId))
+    );
+  });
+  return properties;
+}
+
+/**
+ * Validate an upload and, if every row is fine, enroll everyone: seats for
+ * all students or none, then HubSpot contacts, confirmation emails and one
+ * Outlook event per section with its students as attendees (all queued).
+ *
+ * @param {Object} params
+ * @param {Object} params.course
+ * @param {string} params.csvText
+ * @param {string} [params.company]
+ * @param {string} [params.fileName]
+ * @param {string} [params.uploadedBy]
+ * @returns {Promise<{ enrollment: Object|null, preview: Object }>}
+ *   enrollment is null when the preview has errors (nothing was booked)
+ * @throws {EnrollmentFileError}
+ * @throws {SessionConflictError} if a session filled up while committing
+ */
+export async function commitEnrollment({ course, csvText, company, fileName, uploadedBy }) {
+  const preview = await previewEnrollment({ course, csvText, company });
+  if (!preview.valid) return { enrollment: null, preview };
+
+  const enrollment = await Enrollment.create({
+    courseId: course.courseId,
+    company,
+    fileName,
+    uploadedBy,
+    studentCount: preview.rows.length,
+  });
+  const slotMap = await getSlotMap();
+
+  // Reserve everything first; any failure gives every seat back
+  const reserved = []; // { row, bookings }
+  const sectionOf = new Map(); // "date|slotId" → instructorId of the first student
+  try {
+    for (const row of preview.rows) {
+      const { value } = row;
+      const bookings = await reserveSeats({
+        email: value.email,
+        selections: row.sessions.map(({ date, slotId, sessionNumber }) => ({
+          date,
+          slot: slotMap.get(slotId),
+          sessionNumber,
+          preferInstructorId: sectionOf.get(`${date}|${slotId}`),
+        })),
+        details: {
+          courseId: course.courseId,
+          studentName: row.studentName,
+          company: value.yourCompany,
+          phone: value.phoneNumber,
+          enrollmentId: enrollment._id,
+        },
+      });
+      reserved.push({ row, bookings });
+      bookings.forEach((b) => {
+        const key = `${b.date}|${b.slotId}`;
+        if (!sectionOf.has(key)) sectionOf.set(key, b.instructorId);
+      });
+    }
+  } catch (e) {
+    await releaseSeats(reserved.flatMap((r) => r.bookings)).catch((err) =>
+      log.error('Could not release seats', err)
+    );
+    await Enrollment.deleteOne({ _id: enrollment._id });
+    if (e instanceof SessionConflictError) {
+      log.info('Enrollment conflict', { date: e.date, slotId: e.slotId, reason: e.reason });
+    }
+    throw e;
+  }
+
+  // Side effects, per student and per section
+  const sections = new Map(); // "date|slotId|instructorId" → bookingIds
+  for (const { row, bookings } of reserved) {
+    const bookingIds = bookings.map((b) => String(b._id));
+    await enqueueJob('hubspot.upsertContact', {
+      email: row.value.email,
+      properties: contactProperties(course, row.value, row.sessions, slotMap),
+      bookingIds,
+    });
+    await queueConfirmation({ email: row.value.email, bookingIds }).catch((e) =>
+      log.warn('Could not queue confirmation email', e)
+    );
+    bookings.forEach((b) => {
+      const key = `${b.date}|${b.slotId}|${b.instructorId}`;
+      sections.set(key, [...(sections.get(key) || []), String(b._id)]);
+    });
+  }
+  for (const bookingIds of sections.values()) {
+    await enqueueJob('outlook.createGroupEvent', { bookingIds });
+  }
+  processJobsSoon();
+
+  enrollment.bookingIds = reserved.flatMap((r) => r.bookings.map((b) => b._id));
+  await enrollment.save();
+  log.info('Enrollment committed', {
+    enrollmentId: String(enrollment._id),
+    courseId: course.courseId,
+    students: reserved.length,
+    sections: sections.size,
+  });
+  return { enrollment, preview };
+}
@@ -0,0 +1,143 @@
+// backend/services/healthService.js
+//
+// Readiness checks for what the app depends on. Each check reports
+//   { status: "up" | "down", latencyMs, reason? }
+// where `reason` is a short code (never an upstream error body):
+//   "disconnected" | "reauth_required" | "not_configured" | "timeout" | "error"
+// Mongo is critical (nothing works without it); HubSpot and Graph are not,
+// because their side effects are queued and retried (services/jobQueue.js).
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import {
+  getValidAccessToken,
+  HubSpotReauthRequiredError,
+} from './hubspotService.js';
+import { checkGraphConnection } from './outlookService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('healthService');
+
+// Longest a single check may take before it counts as down
+const HEALTH_CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS || 5000);
+// Probes hit HubSpot / Graph, so results are reused for a short while
+const HEALTH_CACHE_MS = 15 * 1000;
+
+let cached = null;
+
+class CheckError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'CheckError';
+    this.reason = reason;
+  }
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new CheckError('timeout', `Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(name, check) {
+  const startedAt = Date.now();
+  try {
+    await withTimeout(check(), HEALTH_CHECK_TIMEOUT_MS);
+    return { status: 'up', latencyMs: Date.now() - startedAt };
+  } catch (e) {
+    const reason = e.reason || 'error';
+    log.warn('Health check failed', { check: name, reason, err: e });
+    return { status: 'down', latencyMs: Date.now() - startedAt, reason };
+  }
+}
+
+// ------------------------------------------------------
+// Checks
+// ------------------------------------------------------
+async function checkMongo() {
+  if (mongoose.connection.readyState !== 1) {
+    throw new CheckError('disconnected', 'Mongo is not connected');
+  }
+  await mongoose.connection.db.admin().ping();
+}
+
+// A token we can use (refreshing it if needed) means HubSpot calls will work
+async function checkHubSpot() {
+  try {
+    await getValidAccessToken();
+  } catch (e) {
+    if (e instanceof HubSpotReauthRequiredError) {
+      throw new CheckError('reauth_required', e.message);
+    }
+    throw e;
+  }
+}
+
+async function checkGraph() {
+  try {
+    await checkGraphConnection();
+  } catch (e) {
+    if (/not (set|configured)/.test(e.message)) throw new CheckError('not_configured', e.message);
+    throw e;
+  }
+}
+
+const CHECKS = {
+  mongo: { run: checkMongo, critical: true },
+  hubspot: { run: checkHubSpot, critical: false },
+  graph: { run: checkGraph, critical: false },
+};
+
+// ------------------------------------------------------
+// Reports
+// ------------------------------------------------------
+/**
+ * Liveness: the process is up and serving requests. Checks nothing else,
+ * so a flaky dependency never gets a healthy instance restarted.
+ */
+export function getLiveness() {
+  return { status: 'ok', uptimeSeconds: Math.round(process.uptime()) };
+}
+
+/**
+ * Readiness: run every dependency check (in parallel, each with a
+ * timeout). `ready` is false only when a critical dependency is down;
+ * `status` is "ok", "degraded" (a non-critical one is down) or "down".
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - skip the short result cache
+ * @returns {Promise<{ ready: boolean, status: string, checkedAt: Date,
+ *   checks: Object<string, { status: string, latencyMs: number, reason?: string }> }>}
+ */
+export async function getReadiness({ fresh = false } = {}) {
+  if (!fresh && cached && cached.expiresAt > Date.now()) return cached.promise;
+
+  const promise = (async () => {
+    const names = Object.keys(CHECKS);
+    const results = await Promise.all(names.map((name) => runCheck(name, CHECKS[name].run)));
+    const checks = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+    const down = names.filter((name) => checks[name].status === 'down');
+    const ready = !down.some((name) => CHECKS[name].critical);
+    let status = 'ok';
+    if (!ready) status = 'down';
+    else if (down.length) status = 'degraded';
+    return { ready, status, checkedAt: new Date(), checks };
+  })();
+
+  cached = { expiresAt: Date.now() + HEALTH_CACHE_MS, promise };
+  return promise;
+}
+
+/**
+ * One dependency's check on its own (e.g. /api/ms-health for Graph).
+ *
+ * @param {"mongo"|"hubspot"|"graph"} name
+ */
+export async function getDependencyHealth(name) {
+  return runCheck(name, CHECKS[name].run);
+}
@@ -0,0 +1,399 @@
+// backend/services/hubspotService.js
+import crypto from 'crypto';
+import axios from 'axios';
+import dotenv from 'dotenv';
+import moment from 'moment';
+import OAuthState from '../models/oauthState.models.js';
+import { SANDBOX_MODE, hubSpotSandboxAdapter } from './sandboxService.js';
+import {
+  getTokens,
+  isExpiring,
+  markNeedsReauth,
+  refreshTokens,
+  saveTokens,
+} from './tokenStore.js';
+import { createLogger, getCorrelationId } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('hubspotService');
+
+// ------------------------------------------------------
+// Environment variables
+// ------------------------------------------------------
+const CLIENT_ID = process.env.CLIENT_ID;
+const CLIENT_SECRET = process.env.CLIENT_SECRET;
+const REDIRECT_URI =
+  process.env.REDIRECT_URI || 'http://localhost:5000/auth/callback';
+// Space or comma separated, as configured on the HubSpot app
+const HUBSPOT_SCOPES = (
+  process.env.HUBSPOT_SCOPES ||
+  'oauth crm.objects.contacts.read crm.objects.contacts.write'
+)
+  .split(/[\s,]+/)
+  .filter(Boolean);
+// The one portal installs are accepted for and tokens are used from
+const HUBSPOT_PORTAL_ID = process.env.HUBSPOT_PORTAL_ID
+  ? Number(process.env.HUBSPOT_PORTAL_ID)
+  : null;
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || 'http://localhost:5000';
+
+const TOKEN_URL = 'https://api.hubapi.com/oauth/v1/token';
+const AUTHORIZE_URL = 'https://app.hubspot.com/oauth/authorize';
+const TOKEN_INFO_URL = 'https://api.hubapi.com/oauth/v1/access-tokens';
+const HUBSPOT_API_URL = 'https://api.hubapi.com/crm/v3/objects/contacts';
+const STATE_TTL_MS = 10 * 60 * 1000;
+// HubSpot signs webhook requests; older ones are treated as replays
+const WEBHOOK_MAX_AGE_MS = 5 * 60 * 1000;
+
+export const INSTALL_PATH = '/auth/hubspot/install';
+export const INSTALL_URL = `${PUBLIC_BASE_URL}${INSTALL_PATH}`;
+
+// Every HubSpot call carries the current correlation id, so a submission can
+// be matched to HubSpot's request logs. In sandbox mode the calls are
+// answered in-process (services/sandboxService.js).
+const http = axios.create(SANDBOX_MODE ? { adapter: hubSpotSandboxAdapter } : {});
+http.interceptors.request.use((config) => {
+  const correlationId = getCorrelationId();
+  if (correlationId) config.headers['X-Request-Id'] = correlationId;
+  return config;
+});
+
+// ------------------------------------------------------
+// Errors
+// ------------------------------------------------------
+/**
+ * Thrown when there is no usable HubSpot token and someone has to run the
+ * install flow again (no token stored, or HubSpot rejected the refresh token).
+ */
+export class HubSpotReauthRequiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HubSpotReauthRequiredError';
+    this.reauthorizeUrl = INSTALL_URL;
+  }
+}
+
+// ------------------------------------------------------
+// OAuth install flow
+// ------------------------------------------------------
+/**
+ * Create a single-use state value and the HubSpot authorize URL it belongs to.
+ *
+ * @returns {Promise<{ state: string, url: string, ttlMs: number }>}
+ */
+export async function createAuthorizeRequest() {
+  if (!CLIENT_ID || !CLIENT_SECRET) {
+    throw new Error('HubSpot CLIENT_ID / CLIENT_SECRET are not configured');
+  }
+
+  const state = crypto.randomBytes(24).toString('hex');
+  await OAuthState.create({
+    state,
+    provider: 'hubspot',
+    expiresAt: new Date(Date.now() + STATE_TTL_MS),
+  });
+
+  const params = new URLSearchParams({
+    client_id: CLIENT_ID,
+    redirect_uri: REDIRECT_URI,
+    scope: HUBSPOT_SCOPES.join(' '),
+    state,
+  });
+
+  return { state, url: `${AUTHORIZE_URL}?${params.toString()}`, ttlMs: STATE_TTL_MS };
+}
+
+/**
+ * Consume a state value. Returns false if it is unknown, expired or was
+ * already used.
+ *
+ * @param {string} state
+ */
+export async function consumeAuthorizeState(state) {
+  if (!state) return false;
+  const doc = await OAuthState.findOneAndDelete({
+    state,
+    provider: 'hubspot',
+    expiresAt: { $gt: new Date() },
+  });
+  return !!doc;
+}
+
+/**
+ * Ask HubSpot which portal / scopes an access token belongs to.
+ *
+ * @param {string} accessToken
+ * @returns {Promise<{ hub_id: number, hub_domain: string, scopes: string[] }>}
+ */
+export async function getTokenInfo(accessToken) {
+  const { data } = await http.get(`${TOKEN_INFO_URL}/${accessToken}`);
+  return data;
+}
+
+/**
+ * Exchange an authorization code for tokens and store them (encrypted)
+ * against the portal they were issued for.
+ *
+ * @param {string} code - `code` query param from HubSpot's redirect
+ * @returns {Promise<{ portalId: number, hubDomain: string, scopes: string[] }>}
+ */
+export async function completeAuthorization(code) {
+  const response = await http.post(
+    TOKEN_URL,
+    new URLSearchParams({
+      grant_type: 'authorization_code',
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+      redirect_uri: REDIRECT_URI,
+      code,
+    }),
+    { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+  );
+
+  const { access_token, refresh_token, expires_in } = response.data;
+
+  const info = await getTokenInfo(access_token);
+  const portalId = info.hub_id;
+
+  if (!HUBSPOT_PORTAL_ID || portalId !== HUBSPOT_PORTAL_ID) {
+    throw new Error(
+      `HubSpot portal ${portalId} is not the configured portal (HUBSPOT_PORTAL_ID)`
+    );
+  }
+
+  const hubDomain = info.hub_domain;
+  const scopes = info.scopes || HUBSPOT_SCOPES;
+  await saveTokens('hubspot', portalId, {
+    accessToken: access_token,
+    refreshToken: refresh_token,
+    expiresAt: Date.now() + expires_in * 1000,
+    accountName: hubDomain,
+    scopes,
+  });
+
+  return { portalId, hubDomain, scopes };
+}
+
+// ------------------------------------------------------
+// Access tokens
+// ------------------------------------------------------
+function reauthRequired(tokens) {
+  return new HubSpotReauthRequiredError(
+    `HubSpot refresh token was rejected (${tokens.lastRefreshError}). Re-authorize at ${INSTALL_URL}`
+  );
+}
+
+// Trade the refresh token for new tokens (run by tokenStore.refreshTokens)
+async function refreshAccessToken(tokens) {
+  try {
+    const response = await http.post(
+      TOKEN_URL,
+      new URLSearchParams({
+        grant_type: 'refresh_token',
+        client_id: CLIENT_ID,
+        client_secret: CLIENT_SECRET,
+        refresh_token: tokens.refreshToken,
+      }),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+    return {
+      accessToken: response.data.access_token,
+      refreshToken: response.data.refresh_token,
+      expiresAt: Date.now() + response.data.expires_in * 1000,
+    };
+  } catch (error) {
+    log.error('Error refreshing access token', error);
+
+    // 400/401 means HubSpot refused the refresh token itself; anything
+    // else (network, 5xx) is worth retrying on the next request.
+    const status = error.response?.status;
+    if (status === 400 || status === 401) {
+      const reason =
+        error.response.data?.message || error.response.data?.status || `HTTP ${status}`;
+      await markNeedsReauth('hubspot', tokens.accountId, reason);
+      log.error('Refresh token rejected — re-authorize', {
+        portalId: tokens.accountId,
+        installUrl: INSTALL_URL,
+      });
+      throw reauthRequired({ lastRefreshError: reason });
+    }
+    throw new Error('Failed to refresh access token');
+  }
+}
+
+/**
+ * Return a non-expired access token, refreshing it first if needed.
+ * Concurrent callers share one refresh (see tokenStore.refreshTokens).
+ * Throws HubSpotReauthRequiredError when the install flow must be re-run.
+ *
+ * @param {number} [portalId] - defaults to HUBSPOT_PORTAL_ID
+ */
+export async function getValidAccessToken(portalId = HUBSPOT_PORTAL_ID) {
+  // Nothing is installed in the sandbox; the fake accepts any token
+  if (SANDBOX_MODE) return 'sandbox-access-token';
+  if (!portalId) throw new Error('HUBSPOT_PORTAL_ID is not set');
+
+  let tokens = await getTokens('hubspot', portalId);
+  if (!tokens) {
+    throw new HubSpotReauthRequiredError(
+      `No HubSpot tokens found in the database. Authorize at ${INSTALL_URL}`
+    );
+  }
+  if (tokens.needsReauth) throw reauthRequired(tokens);
+
+  if (isExpiring(tokens)) {
+    tokens = await refreshTokens('hubspot', tokens.accountId, refreshAccessToken);
+    if (!tokens) {
+      throw new HubSpotReauthRequiredError(
+        `HubSpot tokens were removed. Authorize at ${INSTALL_URL}`
+      );
+    }
+    if (tokens.needsReauth) throw reauthRequired(tokens);
+  }
+
+  return tokens.accessToken;
+}
+
+// ------------------------------------------------------
+// Contacts
+// ------------------------------------------------------
+// The contact properties holding each chosen session are configured per
+// course (Course.hubspotSessionProperties, see courseService.js).
+
+/**
+ * HubSpot date properties require midnight UTC timestamps.
+ *
+ * @param {string} dateISO - "YYYY-MM-DD"
+ */
+export function toHubSpotDate(dateISO) {
+  return dateISO
+    ? moment.utc(dateISO, 'YYYY-MM-DD').startOf('day').valueOf()
+    : null;
+}
+
+function authHeaders(accessToken) {
+  return {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+    },
+  };
+}
+
+export async function getContactIdByEmail(email, accessToken) {
+  try {
+    const response = await http.post(
+      `${HUBSPOT_API_URL}/search`,
+      {
+        filterGroups: [
+          {
+            filters: [{ propertyName: 'email', operator: 'EQ', value: email }],
+          },
+        ],
+        properties: ['email'],
+      },
+      authHeaders(accessToken)
+    );
+
+    return response.data.results.length ? response.data.results[0].id : null;
+  } catch (error) {
+    log.error('Error fetching contact ID', error);
+    throw error;
+  }
+}
+
+/**
+ * Create or update the contact with this email.
+ *
+ * @param {string} email
+ * @param {Object} properties - HubSpot contact properties
+ * @returns {Promise<{ id: string, status: number }>}
+ */
+export async function upsertContact(email, properties) {
+  const accessToken = await getValidAccessToken();
+  const contactId = await getContactIdByEmail(email, accessToken);
+
+  const response = contactId
+    ? await http.patch(
+        `${HUBSPOT_API_URL}/${contactId}`,
+        { properties },
+        authHeaders(accessToken)
+      )
+    : await http.post(HUBSPOT_API_URL, { properties }, authHeaders(accessToken));
+
+  return { id: response.data.id || contactId, status: response.status };
+}
+
+/**
+ * Patch properties on an existing contact. Falls back to looking the
+ * contact up by email when the id isn't known.
+ *
+ * @param {Object} params
+ * @param {string} [params.contactId]
+ * @param {string} [params.email]
+ * @param {Object} params.properties
+ * @returns {Promise<string|null>} the contact id, or null if none was found
+ */
+export async function updateContact({ contactId, email, properties }) {
+  const accessToken = await getValidAccessToken();
+  const id = contactId || (await getContactIdByEmail(email, accessToken));
+  if (!id) return null;
+
+  await http.patch(
+    `${HUBSPOT_API_URL}/${id}`,
+    { properties },
+    authHeaders(accessToken)
+  );
+  return id;
+}
+
+/**
+ * Read a contact's properties.
+ *
+ * @param {string} contactId
+ * @param {string[]} properties
+ * @returns {Promise<Object|null>} property values, or null if the contact is gone
+ */
+export async function getContact(contactId, properties) {
+  const accessToken = await getValidAccessToken();
+  try {
+    const response = await http.get(`${HUBSPOT_API_URL}/${contactId}`, {
+      ...authHeaders(accessToken),
+      params: { properties: properties.join(',') },
+    });
+    return response.data.properties;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+// ------------------------------------------------------
+// Webhooks
+// ------------------------------------------------------
+/**
+ * Check a webhook request's X-HubSpot-Signature-v3 header: base64
+ * HMAC-SHA256 (app client secret) of method + URL + raw body + timestamp.
+ *
+ * @param {Object} params
+ * @param {string} params.method    - e.g. "POST"
+ * @param {string} params.url       - the full URL HubSpot called
+ * @param {string} params.rawBody   - request body exactly as received
+ * @param {string} params.timestamp - X-HubSpot-Request-Timestamp (ms)
+ * @param {string} params.signature - X-HubSpot-Signature-v3
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature({ method, url, rawBody, timestamp, signature }) {
+  if (!CLIENT_SECRET || !signature || !timestamp) return false;
+  if (Math.abs(Date.now() - Number(timestamp)) > WEBHOOK_MAX_AGE_MS) return false;
+
+  const expected = crypto
+    .createHmac('sha256', CLIENT_SECRET)
+    .update(`${method}${url}${rawBody}${timestamp}`)
+    .digest('base64');
+  const left = Buffer.from(expected);
+  const right = Buffer.from(String(signature));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
@@ -0,0 +1,182 @@
+// backend/services/hubspotSyncService.js
+//
+// Applies edits the sales team makes to a contact's class date / time
+// properties in HubSpot back onto the matching bookings (and, through
+// bookingService, their Outlook events). Each webhook event becomes a
+// "hubspot.syncContactSession" job.
+import moment from 'moment';
+import Booking from '../models/booking.models.js';
+import BookingAudit from '../models/bookingAudit.models.js';
+import { getContact } from './hubspotService.js';
+import { cancelBooking, rescheduleBooking, SessionConflictError } from './bookingService.js';
+import { resolveSlot } from './slotService.js';
+import { enqueueJob, processJobsSoon } from './jobQueue.js';
+import {
+  DEFAULT_COURSE_ID,
+  getCourse,
+  getSessionProperties,
+  listCourses,
+} from './courseService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('hubspotSyncService');
+
+/**
+ * HubSpot property name → { courseId, sessionNumber } for every course's
+ * session properties. Built per webhook call so course edits apply at once.
+ */
+async function loadWatchedProperties() {
+  const watched = new Map();
+  const courses = await listCourses({ includeInactive: true });
+  courses.forEach((course) => {
+    (course.hubspotSessionProperties || []).forEach((p) => {
+      const target = { courseId: course.courseId, sessionNumber: p.sessionNumber };
+      watched.set(p.dateProperty, target);
+      watched.set(p.timeProperty, target);
+    });
+  });
+  return watched;
+}
+
+// ------------------------------------------------------
+// Webhook intake
+// ------------------------------------------------------
+/**
+ * Queue a sync for every contact.propertyChange event on a watched
+ * property. Date and time usually change together but arrive as separate
+ * events, so jobs re-read both from HubSpot instead of trusting
+ * propertyValue.
+ *
+ * @param {Object[]} events - the webhook request body
+ * @returns {Promise<number>} jobs queued
+ */
+export async function handleHubSpotEvents(events) {
+  if (!Array.isArray(events)) return 0;
+
+  const watchedProperties = await loadWatchedProperties();
+  const seen = new Set();
+  for (const event of events) {
+    if (event?.subscriptionType !== 'contact.propertyChange') continue;
+    const watched = watchedProperties.get(event.propertyName);
+    if (!watched) continue;
+
+    const key = `${event.objectId}|${watched.courseId}|${watched.sessionNumber}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    await enqueueJob('hubspot.syncContactSession', {
+      contactId: String(event.objectId),
+      courseId: watched.courseId,
+      sessionNumber: watched.sessionNumber,
+      changeSource: event.changeSource,
+    });
+  }
+
+  if (seen.size) processJobsSoon();
+  return seen.size;
+}
+
+// ------------------------------------------------------
+// Sync
+// ------------------------------------------------------
+/**
+ * HubSpot date properties come back as "YYYY-MM-DD", an ISO string or a
+ * midnight-UTC timestamp in ms.
+ */
+function fromHubSpotDate(value) {
+  if (!value) return null;
+  const m = /^\d+$/.test(String(value))
+    ? moment.utc(Number(value))
+    : moment.utc(String(value).slice(0, 10), 'YYYY-MM-DD', true);
+  return m.isValid() ? m.format('MM/DD/YYYY') : null;
+}
+
+async function audit(booking, action, fields) {
+  await BookingAudit.create({
+    bookingId: booking._id,
+    source: 'hubspot',
+    action,
+    outlookEventId: booking.outlookEventId,
+    ...fields,
+  });
+  log.info('Booking synced from HubSpot', { bookingId: String(booking._id), action });
+}
+
+/**
+ * Bring one of a contact's bookings in line with its HubSpot date / time
+ * properties: cleared date → cancel, different date or time → reschedule.
+ * A contact with no matching booking is left alone (bookings are only
+ * created through registration).
+ *
+ * @param {Object} params
+ * @param {string} params.contactId
+ * @param {string} [params.courseId] - defaults to DEFAULT_COURSE_ID
+ * @param {number} params.sessionNumber - 1-3, see Course.hubspotSessionProperties
+ * @returns {Promise<Object>} what happened (stored as the job result)
+ */
+export async function syncContactSession({
+  contactId,
+  courseId = DEFAULT_COURSE_ID,
+  sessionNumber,
+}) {
+  const props = getSessionProperties(await getCourse(courseId), sessionNumber);
+  if (!props) return { skipped: 'course has no HubSpot properties for this session' };
+  const contact = await getContact(contactId, ['email', props.date, props.time]);
+  if (!contact) return { skipped: 'contact not found' };
+
+  const email = contact.email?.toLowerCase();
+  const booking = await Booking.findOne({
+    $or: [{ hubspotContactId: contactId }, ...(email ? [{ email }] : [])],
+    courseId,
+    sessionNumber,
+    status: { $ne: 'cancelled' },
+  }).sort({ createdAt: -1 });
+  if (!booking) return { skipped: 'no active booking for this session' };
+
+  const before = { date: booking.date, slotId: booking.slotId };
+  const date = fromHubSpotDate(contact[props.date]);
+
+  if (!date) {
+    await cancelBooking(booking._id, { reason: 'Class date removed by our team.' });
+    await audit(booking, 'cancelled', {
+      before,
+      after: { status: 'cancelled' },
+      note: `${props.date} cleared in HubSpot`,
+    });
+    return { bookingId: String(booking._id), action: 'cancelled' };
+  }
+
+  // A blank time keeps the current slot (only the date moved)
+  const slot = contact[props.time]
+    ? await resolveSlot(contact[props.time])
+    : await resolveSlot(booking.slotId);
+  const after = { date, time: contact[props.time] || null };
+  if (!slot) {
+    await audit(booking, 'move_rejected', {
+      before,
+      after,
+      note: `"${contact[props.time]}" is not a known class time slot`,
+    });
+    return { bookingId: String(booking._id), action: 'move_rejected' };
+  }
+
+  if (date === booking.date && slot.slotId === booking.slotId) {
+    // Usually the echo of our own write to HubSpot
+    return { bookingId: String(booking._id), action: 'unchanged' };
+  }
+
+  try {
+    await rescheduleBooking(booking._id, { date, slot });
+  } catch (e) {
+    if (!(e instanceof SessionConflictError)) throw e;
+    await audit(booking, 'move_rejected', {
+      before,
+      after: { ...after, slotId: slot.slotId },
+      note: `Could not move booking: ${e.message}`,
+    });
+    return { bookingId: String(booking._id), action: 'move_rejected' };
+  }
+
+  await audit(booking, 'moved', { before, after: { date, slotId: slot.slotId } });
+  return { bookingId: String(booking._id), action: 'moved' };
+}
@@ -0,0 +1,186 @@
+// backend/services/icsService.js
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import moment from 'moment-timezone';
+import Booking from '../models/booking.models.js';
+import CalendarFeed from '../models/calendarFeed.models.js';
+import { getSlotMap, getSessionTimes } from './slotService.js';
+import { getCourseMap, renderEventText, DEFAULT_COURSE_ID } from './courseService.js';
+import { toDateISO } from './capacityService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('icsService');
+
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || 'http://localhost:5000';
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'kableacademy.com';
+const PRODID = '-//Kable Academy//AI Scheduler//EN';
+
+// ------------------------------------------------------
+// Feeds
+// ------------------------------------------------------
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Return the live feed for a student (by email) or a company, creating one
+ * the first time it is asked for.
+ *
+ * @param {{ email?: string, company?: string }} owner
+ * @returns {Promise<Object>} the CalendarFeed document
+ */
+export async function getOrCreateFeed({ email, company }) {
+  if (!email && !company) throw new Error('email or company is required');
+  const filter = email
+    ? { kind: 'student', email: email.toLowerCase() }
+    : { kind: 'company', company };
+
+  const existing = await CalendarFeed.findOne({ ...filter, revokedAt: null });
+  if (existing) return existing;
+
+  return CalendarFeed.create({
+    ...filter,
+    token: crypto.randomBytes(24).toString('hex'),
+  });
+}
+
+/**
+ * Find a non-revoked feed by its secret token.
+ *
+ * @param {string} token
+ */
+export async function findFeed(token) {
+  if (typeof token !== 'string' || !/^[a-f0-9]{48}$/.test(token)) return null;
+  return CalendarFeed.findOne({ token, revokedAt: null });
+}
+
+export function feedUrl(feed) {
+  return `${PUBLIC_BASE_URL}/api/calendar/${feed.token}.ics`;
+}
+
+export function bookingIcsUrl(feed, bookingId) {
+  return `${PUBLIC_BASE_URL}/api/calendar/${feed.token}/bookings/${bookingId}.ics`;
+}
+
+/**
+ * Bookings a feed covers. Cancelled ones are included so subscribed
+ * calendars see STATUS:CANCELLED and drop the event.
+ *
+ * @param {Object} feed
+ */
+export async function getFeedBookings(feed) {
+  const filter =
+    feed.kind === 'student'
+      ? { email: feed.email }
+      : { company: { $regex: `^${escapeRegex(feed.company)}$`, $options: 'i' } };
+  return Booking.find(filter).sort({ createdAt: 1 }).lean();
+}
+
+// ------------------------------------------------------
+// RFC 5545 rendering
+// ------------------------------------------------------
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are limited to 75 octets; longer ones continue on the next
+// line after a single leading space.
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function utcStamp(m) {
+  return moment(m).utc().format('YYYYMMDD[T]HHmmss[Z]');
+}
+
+function buildEvent(booking, slot, course) {
+  const dateISO = toDateISO(booking.date);
+  const { start, end } = getSessionTimes(dateISO, slot);
+  const cancelled = booking.status === 'cancelled';
+  const updatedAt = booking.updatedAt || booking.createdAt || new Date();
+
+  const description = [
+    `Course: ${course.name}`,
+    `Company: ${booking.company || 'N/A'}`,
+    `Student: ${booking.studentName || 'N/A'}`,
+    `Email: ${booking.email}`,
+    `Date: ${dateISO}`,
+    `Time: ${slot.label}`,
+  ].join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${booking._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${utcStamp(updatedAt)}`,
+    `LAST-MODIFIED:${utcStamp(updatedAt)}`,
+    // seconds since epoch only ever grows, which is all SEQUENCE needs
+    `SEQUENCE:${Math.floor(new Date(updatedAt).getTime() / 1000)}`,
+    `DTSTART:${utcStamp(start)}`,
+    `DTEND:${utcStamp(end)}`,
+    `SUMMARY:${escapeText(renderEventText(course, booking).subject)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT',
+  ];
+}
+
+/**
+ * Render bookings as an iCalendar document. Times are written as UTC
+ * instants computed from each slot's own time zone.
+ *
+ * @param {Object[]} bookings
+ * @param {Object} [options]
+ * @param {string} [options.name] - calendar name shown by subscribing apps
+ * @returns {Promise<string>}
+ */
+export async function buildCalendar(bookings, { name = 'Kable Academy Classes' } = {}) {
+  const [slotMap, courseMap] = await Promise.all([getSlotMap(), getCourseMap()]);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+  ];
+  bookings.forEach((booking) => {
+    const slot = slotMap.get(booking.slotId);
+    if (!slot) {
+      log.warn('Booking has unknown slotId, skipped', { bookingId: String(booking._id) });
+      return;
+    }
+    const course =
+      courseMap.get(booking.courseId) || courseMap.get(DEFAULT_COURSE_ID);
+    if (!course) {
+      log.warn('Booking has unknown courseId, skipped', { bookingId: String(booking._id) });
+      return;
+    }
+    lines.push(...buildEvent(booking, slot, course));
+  });
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,302 @@
+// backend/services/instructorService.js
+//
+// Instructor registry and seat planning. Every instructor who teaches a
+// course runs their own section of a session (date + slot) on their own
+// Outlook calendar, so a session's seats are the sum of its sections':
+//   - a section whose instructor is busy in Outlook takes no new students
+//   - a section runs one course at a time (the course of its students)
+// New bookings go to a section with room, picked by
+// INSTRUCTOR_ASSIGNMENT_STRATEGY: "least-loaded" (fewest students in the
+// session, then fewest upcoming bookings) or "round-robin" (longest since
+// their last assignment).
+import dotenv from 'dotenv';
+import moment from 'moment';
+import Instructor from '../models/instructor.models.js';
+import Booking from '../models/booking.models.js';
+import ClassSession from '../models/classSession.models.js';
+import { loadCapacityLookup, toDateISO, startRange } from './capacityService.js';
+import { getBusyPeriods, findConflicts } from './busyTimeService.js';
+import { DEFAULT_COURSE_ID } from './courseService.js';
+import { ORGANIZER_MAILBOX } from './outlookService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('instructorService');
+
+// Instructor seeded from MS_OUTLOOK_USER_EMAIL; owns bookings made before
+// instructors existed
+export const DEFAULT_INSTRUCTOR_ID = 'default';
+export const ASSIGNMENT_STRATEGIES = ['least-loaded', 'round-robin'];
+const ASSIGNMENT_STRATEGY = ASSIGNMENT_STRATEGIES.includes(
+  process.env.INSTRUCTOR_ASSIGNMENT_STRATEGY
+)
+  ? process.env.INSTRUCTOR_ASSIGNMENT_STRATEGY
+  : 'least-loaded';
+
+/**
+ * Seed the default instructor on first run and move bookings / seat
+ * counters from before instructors existed onto it. Run after
+ * ensureCourseCatalog(). Safe to call on every startup.
+ */
+export async function ensureInstructorRegistry() {
+  if ((await Instructor.estimatedDocumentCount()) === 0) {
+    const mailbox = ORGANIZER_MAILBOX || undefined;
+    await Instructor.create({ instructorId: DEFAULT_INSTRUCTOR_ID, name: 'Instructor', mailbox });
+    log.info('Seeded default instructor', {
+      instructorId: DEFAULT_INSTRUCTOR_ID,
+      hasMailbox: !!mailbox,
+    });
+  }
+
+  const bookings = await Booking.updateMany(
+    { instructorId: { $exists: false } },
+    { instructorId: DEFAULT_INSTRUCTOR_ID }
+  );
+  // Old counters covered a whole session, which only ever ran the default course
+  const counters = await ClassSession.updateMany(
+    { instructorId: { $exists: false } },
+    { instructorId: DEFAULT_INSTRUCTOR_ID, courseId: DEFAULT_COURSE_ID }
+  );
+  if (bookings.modifiedCount || counters.modifiedCount) {
+    log.info('Assigned existing bookings to the default instructor', {
+      bookings: bookings.modifiedCount,
+      seatCounters: counters.modifiedCount,
+      instructorId: DEFAULT_INSTRUCTOR_ID,
+    });
+  }
+  // Swaps the old one-counter-per-session unique index for the per-section one
+  await ClassSession.syncIndexes();
+}
+
+// ------------------------------------------------------
+// Lookups
+// ------------------------------------------------------
+/**
+ * All instructors, by name.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false]
+ */
+export async function listInstructors({ includeInactive = false } = {}) {
+  return Instructor.find(includeInactive ? {} : { active: true }).sort({ name: 1 }).lean();
+}
+
+/**
+ * @param {string} instructorId
+ * @returns {Promise<Object|null>}
+ */
+export async function getInstructor(instructorId) {
+  if (typeof instructorId !== 'string') return null;
+  return Instructor.findOne({ instructorId }).lean();
+}
+
+function teaches(instructor, courseId) {
+  return (
+    instructor.active &&
+    (!instructor.courseIds?.length || instructor.courseIds.includes(courseId))
+  );
+}
+
+// ------------------------------------------------------
+// Seat planning
+// ------------------------------------------------------
+// Active bookings on class days fromISO … toISO, plus any not given
+// start/end yet (slotService.ensureBookingTimes)
+function activeBookingsIn(fromISO, toISO) {
+  return {
+    status: { $ne: 'cancelled' },
+    $or: [{ start: startRange(fromISO, toISO) }, { start: { $exists: false } }],
+  };
+}
+
+/**
+ * Load everything needed to work out seats for many sessions at once:
+ * instructors, booked seats per section, the capacity rules and each
+ * instructor's Outlook busy time over [fromISO, toISO]. Sections are read
+ * from that range only; instructor loads (bookings from today on) are a
+ * separate count per instructor.
+ *
+ * `seatsFor(course, date, slot)` then returns, synchronously:
+ *   { capacity, booked, remaining, reason, sections }
+ * where `reason` explains remaining = 0: "full" | "instructor_busy" |
+ * "instructor_out_of_office" | "no_instructor".
+ *
+ * @param {string} fromISO - "YYYY-MM-DD"
+ * @param {string} [toISO] - "YYYY-MM-DD", defaults to fromISO
+ * @returns {Promise<{ checked: boolean, bookedDates: Set<string>, seatsFor: Function, rank: Function }>}
+ *   bookedDates: "MM/DD/YYYY" days in the range with active bookings
+ */
+export async function loadSeatPlanner(fromISO, toISO = fromISO) {
+  const today = moment().format('YYYY-MM-DD');
+  const [instructors, groups, loadGroups, capacityOf] = await Promise.all([
+    listInstructors({ includeInactive: true }),
+    Booking.aggregate([
+      { $match: activeBookingsIn(fromISO, toISO) },
+      {
+        $group: {
+          _id: {
+            date: '$date',
+            slotId: '$slotId',
+            instructorId: '$instructorId',
+            courseId: '$courseId',
+          },
+          booked: { $sum: 1 },
+        },
+      },
+    ]),
+    // only "least-loaded" ranking needs the totals
+    ASSIGNMENT_STRATEGY === 'round-robin'
+      ? []
+      : Booking.aggregate([
+          { $match: activeBookingsIn(today) },
+          { $group: { _id: '$instructorId', booked: { $sum: 1 } } },
+        ]),
+    loadCapacityLookup(),
+  ]);
+
+  const busy = await Promise.all(
+    instructors.map((i) =>
+      i.active ? getBusyPeriods(i.mailbox, fromISO, toISO) : { checked: false, periods: [] }
+    )
+  );
+  const periodsOf = new Map(instructors.map((i, n) => [i.instructorId, busy[n].periods]));
+  const calendars = busy.filter((_b, n) => instructors[n].active && instructors[n].mailbox);
+  const checked = calendars.length > 0 && calendars.every((b) => b.checked);
+
+  // "date|slotId" → instructorId → { courseId: booked }
+  const sections = new Map();
+  groups.forEach(({ _id, booked }) => {
+    const key = `${_id.date}|${_id.slotId}`;
+    if (!sections.has(key)) sections.set(key, new Map());
+    const byInstructor = sections.get(key);
+    const courses = byInstructor.get(_id.instructorId) || {};
+    const courseId = _id.courseId || DEFAULT_COURSE_ID;
+    courses[courseId] = (courses[courseId] || 0) + booked;
+    byInstructor.set(_id.instructorId, courses);
+  });
+  // instructorId → bookings from today on
+  const loads = new Map(loadGroups.map(({ _id, booked }) => [_id, booked]));
+
+  function seatsFor(course, date, slot) {
+    const booked = sections.get(`${date}|${slot.slotId}`) || new Map();
+    const list = [];
+    instructors.forEach((instructor) => {
+      const courses = booked.get(instructor.instructorId) || {};
+      const mine = courses[course.courseId] || 0;
+      const taught = teaches(instructor, course.courseId);
+      if (!taught && !mine) return;
+
+      let reason = null;
+      if (!taught) {
+        reason = 'not_teaching';
+      } else if (Object.entries(courses).some(([c, n]) => c !== course.courseId && n > 0)) {
+        reason = 'other_course';
+      } else {
+        const [conflict] = findConflicts(date, slot, periodsOf.get(instructor.instructorId));
+        if (conflict) reason = conflict.reason;
+      }
+      const capacity = instructor.capacity ?? capacityOf(date, slot.slotId);
+      list.push({
+        instructorId: instructor.instructorId,
+        capacity,
+        booked: mine,
+        remaining: reason ? 0 : Math.max(capacity - mine, 0),
+        reason,
+      });
+    });
+
+    const open = list.filter((s) => !s.reason);
+    const remaining = open.reduce((sum, s) => sum + s.remaining, 0);
+    let reason = null;
+    if (remaining <= 0) {
+      const busyReason = list.find((s) => s.reason?.startsWith('instructor_'))?.reason;
+      if (open.length || (!busyReason && list.some((s) => s.reason === 'other_course'))) {
+        reason = 'full';
+      } else {
+        reason = busyReason || 'no_instructor';
+      }
+    }
+    return {
+      // blocked sections only count the seats they already hold
+      capacity: list.reduce((sum, s) => sum + (s.reason ? s.booked : s.capacity), 0),
+      booked: list.reduce((sum, s) => sum + s.booked, 0),
+      remaining,
+      reason,
+      sections: list,
+    };
+  }
+
+  const lastAssigned = new Map(
+    instructors.map((i) => [i.instructorId, i.lastAssignedAt ? i.lastAssignedAt.getTime() : 0])
+  );
+
+  /**
+   * Sections of a session that can take another student, best first.
+   */
+  function rank(course, date, slot, { prefer } = {}) {
+    const open = seatsFor(course, date, slot).sections.filter((s) => s.remaining > 0);
+    open.sort((a, b) =>
+      ASSIGNMENT_STRATEGY === 'round-robin'
+        ? lastAssigned.get(a.instructorId) - lastAssigned.get(b.instructorId) ||
+          a.instructorId.localeCompare(b.instructorId)
+        : a.booked - b.booked ||
+          (loads.get(a.instructorId) || 0) - (loads.get(b.instructorId) || 0) ||
+          a.instructorId.localeCompare(b.instructorId)
+    );
+    const preferred = open.findIndex((s) => s.instructorId === prefer);
+    if (preferred > 0) open.unshift(...open.splice(preferred, 1));
+    return open.map(({ instructorId, capacity }) => ({ instructorId, capacity }));
+  }
+
+  const bookedDates = new Set(
+    groups
+      .map(({ _id }) => _id.date)
+      .filter((date) => toDateISO(date) >= fromISO && toDateISO(date) <= toISO)
+  );
+  return { checked, bookedDates, seatsFor, rank };
+}
+
+/**
+ * Seats in one session of a course, across all of its instructors.
+ *
+ * @param {Object} course
+ * @param {string} date - "MM/DD/YYYY"
+ * @param {Object} slot
+ * @returns {Promise<{ capacity: number, booked: number, remaining: number,
+ *   reason: string|null, sections: Object[], calendarChecked: boolean }>}
+ */
+export async function getSessionSeats(course, date, slot) {
+  const planner = await loadSeatPlanner(toDateISO(date));
+  return { ...planner.seatsFor(course, date, slot), calendarChecked: planner.checked };
+}
+
+/**
+ * Instructors who could take one more student in a session, in the order
+ * the assignment strategy prefers them.
+ *
+ * @param {Object} course
+ * @param {string} date - "MM/DD/YYYY"
+ * @param {Object} slot
+ * @param {Object} [options]
+ * @param {string} [options.prefer] - instructorId to try first, e.g. the
+ *   student's current instructor when rescheduling
+ * @returns {Promise<Array<{ instructorId: string, capacity: number }>>}
+ */
+export async function rankInstructors(course, date, slot, options = {}) {
+  const planner = await loadSeatPlanner(toDateISO(date));
+  return planner.rank(course, date, slot, options);
+}
+
+/**
+ * Remember who was just given a booking (round-robin order).
+ *
+ * @param {string[]} instructorIds
+ */
+export async function recordAssignments(instructorIds) {
+  await Instructor.updateMany(
+    { instructorId: { $in: instructorIds } },
+    { lastAssignedAt: new Date() }
+  );
+}
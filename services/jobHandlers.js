@@ -0,0 +1,218 @@
+// backend/services/jobHandlers.js
+import Booking from '../models/booking.models.js';
+import { registerJobHandler } from './jobQueue.js';
+import { upsertContact } from './hubspotService.js';
+import {
+  createOutlookEvent,
+  updateOutlookEvent,
+  cancelOutlookEvent,
+  removeEventAttendee,
+} from './outlookService.js';
+import { toDateISO } from './capacityService.js';
+import { syncHubSpotSession } from './bookingService.js';
+import { getInstructor } from './instructorService.js';
+import {
+  sendConfirmation,
+  sendReminder,
+  sendCancellationNotice,
+  sendWaitlistOffer,
+} from './notificationService.js';
+import { promoteWaitlist } from './waitlistService.js';
+import { reconcileOutlookEvent } from './outlookSyncService.js';
+import { syncContactSession } from './hubspotSyncService.js';
+
+/**
+ * Register every side-effect job the app enqueues. Call once at startup,
+ * before the worker starts or any route enqueues work.
+ */
+export function registerJobHandlers() {
+  /**
+   * payload: { email, properties, bookingIds }
+   * Upserts the contact, then remembers its id on the bookings.
+   */
+  registerJobHandler('hubspot.upsertContact', async ({ email, properties, bookingIds = [] }) => {
+    const contact = await upsertContact(email, properties);
+    if (bookingIds.length) {
+      await Booking.updateMany(
+        { _id: { $in: bookingIds } },
+        { hubspotContactId: contact.id }
+      );
+    }
+    return { contactId: contact.id };
+  });
+
+  /**
+   * payload: { contactId, courseId, sessionNumber }
+   * A HubSpot webhook said a class date / time property changed; cancel or
+   * reschedule the matching booking.
+   */
+  registerJobHandler('hubspot.syncContactSession', syncContactSession);
+
+  /**
+   * payload: { bookingId }
+   * A booking was cancelled or moved; write its current session (or blanks)
+   * to the contact's HubSpot properties.
+   */
+  registerJobHandler('hubspot.syncSession', async ({ bookingId }) => {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) return { skipped: 'booking missing' };
+    return { result: await syncHubSpotSession(booking) };
+  });
+
+  /**
+   * payload: { bookingId }
+   * Creates the class event for one booking on its instructor's calendar.
+   * Skips bookings that were cancelled or already have an event, so
+   * replays never double-book.
+   */
+  registerJobHandler('outlook.createEvent', async ({ bookingId }) => {
+    const booking = await Booking.findById(bookingId);
+    if (!booking || booking.status === 'cancelled') {
+      return { skipped: 'booking missing or cancelled' };
+    }
+    if (booking.outlookEventId) {
+      return { skipped: 'event already exists', eventId: booking.outlookEventId };
+    }
+
+    const instructor = await getInstructor(booking.instructorId);
+    if (!instructor?.mailbox) {
+      return { skipped: 'instructor has no calendar mailbox' };
+    }
+
+    const evt = await createOutlookEvent({
+      mailbox: instructor.mailbox,
+      courseId: booking.courseId,
+      company: booking.company,
+      studentName: booking.studentName,
+      studentEmail: booking.email,
+      dateISO: toDateISO(booking.date),
+      slotId: booking.slotId,
+    });
+    if (!evt) return { skipped: 'Outlook not configured or slot / course unknown' };
+
+    booking.outlookEventId = evt.id;
+    booking.outlookMailbox = instructor.mailbox;
+    await booking.save();
+    return { eventId: evt.id };
+  });
+
+  /**
+   * payload: { bookingIds }
+   * One event for the students of a bulk enrollment in the same section,
+   * with all of them as attendees. Bookings cancelled, moved elsewhere or
+   * already on an event are left out (a moved booking gets its own
+   * "outlook.createEvent"), so replays never double-book.
+   */
+  registerJobHandler('outlook.createGroupEvent', async ({ bookingIds }) => {
+    const pending = await Booking.find({
+      _id: { $in: bookingIds },
+      status: { $ne: 'cancelled' },
+      outlookEventId: null,
+    });
+    if (!pending.length) return { skipped: 'bookings missing, cancelled or already on an event' };
+
+    const [first] = pending;
+    const bookings = pending.filter(
+      (b) =>
+        b.date === first.date &&
+        b.slotId === first.slotId &&
+        b.instructorId === first.instructorId
+    );
+    const instructor = await getInstructor(first.instructorId);
+    if (!instructor?.mailbox) {
+      return { skipped: 'instructor has no calendar mailbox' };
+    }
+
+    const evt = await createOutlookEvent({
+      mailbox: instructor.mailbox,
+      courseId: first.courseId,
+      company: first.company,
+      studentName: bookings.map((b) => b.studentName || b.email).join(', '),
+      dateISO: toDateISO(first.date),
+      slotId: first.slotId,
+      attendees: bookings.map((b) => ({ email: b.email, name: b.studentName })),
+    });
+    if (!evt) return { skipped: 'Outlook not configured or slot / course unknown' };
+
+    await Booking.updateMany(
+      { _id: { $in: bookings.map((b) => b._id) } },
+      { outlookEventId: evt.id, outlookMailbox: instructor.mailbox }
+    );
+    return { eventId: evt.id, students: bookings.length };
+  });
+
+  /**
+   * payload: { bookingId }
+   * A booking was moved; move its event and rewrite the subject / body for
+   * the new session. Reads the booking when it runs, so a retry after a
+   * second move sends the latest session.
+   */
+  registerJobHandler('outlook.updateEvent', async ({ bookingId }) => {
+    const booking = await Booking.findById(bookingId);
+    if (!booking || booking.status === 'cancelled') {
+      return { skipped: 'booking missing or cancelled' };
+    }
+    if (!booking.outlookEventId) return { skipped: 'booking has no event' };
+
+    const evt = await updateOutlookEvent(booking.outlookEventId, {
+      courseId: booking.courseId,
+      dateISO: toDateISO(booking.date),
+      slotId: booking.slotId,
+      company: booking.company,
+      studentName: booking.studentName,
+      studentEmail: booking.email,
+      mailbox: booking.outlookMailbox,
+    });
+    if (!evt) return { skipped: 'Outlook not configured, slot / course unknown or event gone' };
+    return { eventId: evt.id };
+  });
+
+  /**
+   * payload: { eventId, mailbox, comment }
+   * Cancels the event of a cancelled (or reassigned) booking; the attendee
+   * gets the cancellation with `comment`.
+   */
+  registerJobHandler('outlook.cancelEvent', async ({ eventId, mailbox, comment }) => {
+    const ok = await cancelOutlookEvent(eventId, comment, mailbox);
+    return ok ? { eventId } : { skipped: 'Outlook not configured' };
+  });
+
+  /**
+   * payload: { eventId, mailbox, email }
+   * Takes one student off an event their classmates keep.
+   */
+  registerJobHandler('outlook.removeAttendee', async ({ eventId, mailbox, email }) => {
+    const ok = await removeEventAttendee(eventId, email, mailbox);
+    return ok ? { eventId } : { skipped: 'Outlook not configured' };
+  });
+
+  /**
+   * payload: { eventId, changeType }
+   * A Graph notification said a calendar event changed; bring its booking
+   * in line (cancelled / moved / attendee response).
+   */
+  registerJobHandler('outlook.reconcileEvent', reconcileOutlookEvent);
+
+  // Student emails. Each payload carries its NotificationLog `key`; the
+  // handler marks it sent (or skipped when the booking went away).
+  /** payload: { key, bookingIds } */
+  registerJobHandler('email.confirmation', sendConfirmation);
+
+  /** payload: { key, bookingId, offsetHours } */
+  registerJobHandler('email.reminder', sendReminder);
+
+  /** payload: { key, bookingId, reason } */
+  registerJobHandler('email.cancellation', sendCancellationNotice);
+
+  /** payload: { key, entryId } */
+  registerJobHandler('email.waitlistOffer', sendWaitlistOffer);
+
+  /**
+   * payload: { date, slotId }
+   * Offers any open seats in the session to its waitlist.
+   */
+  registerJobHandler('waitlist.promote', async ({ date, slotId }) => {
+    const offered = await promoteWaitlist(date, slotId);
+    return { offered };
+  });
+}
@@ -0,0 +1,194 @@
+// backend/services/jobQueue.js
+import dotenv from 'dotenv';
+import Job from '../models/job.models.js';
+import {
+  createLogger,
+  getCorrelationId,
+  runWithCorrelationId,
+  toCorrelationId,
+} from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('jobQueue');
+
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || 5000);
+const BACKOFF_BASE_MS = Number(process.env.JOB_BACKOFF_BASE_MS || 30 * 1000);
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+// A job still "processing" after this long is assumed to belong to a
+// worker that died mid-run and is picked up again.
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+const handlers = new Map();
+let timer = null;
+let running = false;
+
+// ------------------------------------------------------
+// Registration / enqueue
+// ------------------------------------------------------
+/**
+ * Register the function that performs jobs of `type`. It receives the job's
+ * payload and may return a (small) result to store on the job. Throwing
+ * schedules a retry.
+ *
+ * @param {string} type
+ * @param {(payload: Object, job: Object) => Promise<any>} handler
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Record a side effect to be run by the worker. The job keeps the current
+ * correlation id so its attempts log under the request that caused it.
+ *
+ * @param {string} type    - a registered handler name
+ * @param {Object} payload - everything the handler needs (must be JSON-safe)
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts]
+ * @returns {Promise<Object>} the Job document
+ */
+export async function enqueueJob(type, payload, { maxAttempts } = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`No job handler registered for "${type}"`);
+  }
+  const job = await Job.create({
+    type,
+    payload,
+    maxAttempts,
+    correlationId: getCorrelationId() || toCorrelationId(),
+  });
+  log.info('Enqueued job', { type, jobId: String(job._id) });
+  return job;
+}
+
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+// ------------------------------------------------------
+// Worker
+// ------------------------------------------------------
+async function claimNextJob() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        {
+          status: 'processing',
+          lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) },
+        },
+      ],
+    },
+    { status: 'processing', lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+// Runs under the job's own correlation id, not the id of whatever request
+// happened to wake the worker
+function runJob(job) {
+  return runWithCorrelationId(job.correlationId || toCorrelationId(), () => attemptJob(job));
+}
+
+async function attemptJob(job) {
+  const handler = handlers.get(job.type);
+  try {
+    if (!handler) throw new Error(`No job handler registered for "${job.type}"`);
+    const result = await handler(job.payload, job);
+
+    job.status = 'succeeded';
+    job.result = result ?? null;
+    job.lastError = null;
+    job.completedAt = new Date();
+    job.lockedAt = null;
+    await job.save();
+    log.info('Job succeeded', { type: job.type, jobId: String(job._id) });
+  } catch (err) {
+    job.lastError = err.response?.data
+      ? JSON.stringify(err.response.data)
+      : err.message || String(err);
+    job.lockedAt = null;
+
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'failed';
+      log.error('Job failed permanently', {
+        type: job.type,
+        jobId: String(job._id),
+        attempts: job.attempts,
+        err,
+      });
+    } else {
+      job.status = 'pending';
+      job.runAt = new Date(Date.now() + backoffMs(job.attempts));
+      log.warn('Job attempt failed, will retry', {
+        type: job.type,
+        jobId: String(job._id),
+        attempts: job.attempts,
+        retryAt: job.runAt,
+        err,
+      });
+    }
+    await job.save();
+  }
+}
+
+/**
+ * Run every job that is due right now, one at a time.
+ */
+export async function processDueJobs() {
+  if (running) return;
+  running = true;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (e) {
+    log.error('Worker error', e);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Kick the worker without waiting for the next poll (e.g. right after a
+ * submission enqueued its side effects).
+ */
+export function processJobsSoon() {
+  setImmediate(() => processDueJobs());
+}
+
+/**
+ * Start polling for due jobs. Call once, after Mongo is connected.
+ */
+export function startJobWorker() {
+  if (timer) return;
+  timer = setInterval(processDueJobs, POLL_INTERVAL_MS);
+  log.info('Worker started', { pollIntervalMs: POLL_INTERVAL_MS });
+  processJobsSoon();
+}
+
+// ------------------------------------------------------
+// Admin helpers
+// ------------------------------------------------------
+/**
+ * Put a failed (or stuck) job back in the queue with a fresh set of attempts.
+ *
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} the job, or null if it isn't replayable
+ */
+export async function replayJob(jobId) {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['failed', 'pending'] } },
+    { status: 'pending', attempts: 0, runAt: new Date(), lockedAt: null },
+    { new: true }
+  );
+  if (job) {
+    log.info('Replaying job', { type: job.type, jobId: String(job._id) });
+    processJobsSoon();
+  }
+  return job;
+}
@@ -0,0 +1,352 @@
+// backend/services/notificationService.js
+import dotenv from 'dotenv';
+import moment from 'moment';
+import Booking from '../models/booking.models.js';
+import NotificationLog from '../models/notificationLog.models.js';
+import WaitlistEntry from '../models/waitlistEntry.models.js';
+import { enqueueJob, processJobsSoon } from './jobQueue.js';
+import { sendMail } from './outlookService.js';
+import { getSlotMap, getSessionTimes, formatSessionTime } from './slotService.js';
+import { toDateISO } from './capacityService.js';
+import { getOrCreateFeed, feedUrl, bookingIcsUrl } from './icsService.js';
+import { getCourseFor } from './courseService.js';
+import {
+  confirmationEmail,
+  reminderEmail,
+  cancellationEmail,
+  waitlistOfferEmail,
+} from './emailTemplates.js';
+import { createLogger } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('notificationService');
+
+// Hours before class each reminder goes out, e.g. "72,24"
+const REMINDER_OFFSETS_HOURS = (process.env.REMINDER_OFFSETS_HOURS || '72,24')
+  .split(',')
+  .map((h) => Number(h.trim()))
+  .filter((h) => h > 0);
+// Page (on the app) where waitlisted students confirm or decline an offer
+const WAITLIST_OFFER_URL =
+  process.env.WAITLIST_OFFER_URL || 'https://app.kableacademy.com/waitlist/offer';
+const REMINDER_SCAN_INTERVAL_MS = Number(
+  process.env.REMINDER_SCAN_INTERVAL_MS || 10 * 60 * 1000
+);
+
+let reminderTimer = null;
+
+// ------------------------------------------------------
+// Queueing
+// ------------------------------------------------------
+/**
+ * Claim `key` in the notification log, then enqueue the job that sends it.
+ * A key that already exists means the email was queued before (by an
+ * earlier request, scan or process), so nothing happens.
+ *
+ * @returns {Promise<boolean>} true when newly queued
+ */
+async function queueOnce({ key, kind, bookingIds, email }, jobType, payload) {
+  let log;
+  try {
+    log = await NotificationLog.create({ key, kind, bookingIds, email });
+  } catch (e) {
+    if (e.code === 11000) return false;
+    throw e;
+  }
+
+  try {
+    await enqueueJob(jobType, { ...payload, key });
+  } catch (e) {
+    // Free the key so the next attempt can queue it again
+    await NotificationLog.deleteOne({ _id: log._id });
+    throw e;
+  }
+  return true;
+}
+
+async function markLog(key, status) {
+  await NotificationLog.updateOne(
+    { key },
+    status === 'sent' ? { status, sentAt: new Date() } : { status }
+  );
+}
+
+/**
+ * Queue the confirmation email for a registration.
+ *
+ * @param {{ email: string, bookingIds: string[] }} params
+ */
+export async function queueConfirmation({ email, bookingIds }) {
+  if (!bookingIds.length) return false;
+  return queueOnce(
+    {
+      key: `confirmation:${bookingIds[0]}`,
+      kind: 'confirmation',
+      bookingIds,
+      email,
+    },
+    'email.confirmation',
+    { bookingIds: bookingIds.map(String) }
+  );
+}
+
+/**
+ * Queue the cancellation notice for one booking.
+ *
+ * @param {Object} booking
+ * @param {string} [reason]
+ */
+export async function queueCancellationNotice(booking, reason = '') {
+  const queued = await queueOnce(
+    {
+      key: `cancellation:${booking._id}`,
+      kind: 'cancellation',
+      bookingIds: [booking._id],
+      email: booking.email,
+    },
+    'email.cancellation',
+    { bookingId: String(booking._id), reason }
+  );
+  if (queued) processJobsSoon();
+  return queued;
+}
+
+/**
+ * Queue the "a seat opened up" email for a promoted waitlist entry.
+ *
+ * @param {Object} entry - WaitlistEntry in status "offered"
+ */
+export async function queueWaitlistOffer(entry) {
+  return queueOnce(
+    {
+      key: `waitlistOffer:${entry.bookingId}`,
+      kind: 'waitlistOffer',
+      bookingIds: [entry.bookingId],
+      email: entry.email,
+    },
+    'email.waitlistOffer',
+    { entryId: String(entry._id) }
+  );
+}
+
+// ------------------------------------------------------
+// Sending (called from job handlers)
+// ------------------------------------------------------
+function describeSession(booking, slotMap, feed) {
+  const slot = slotMap.get(booking.slotId);
+  if (!slot) {
+    return {
+      dateLabel: moment(booking.date, 'MM/DD/YYYY').format('dddd, MMMM D, YYYY'),
+      timeLabel: booking.timeSlot,
+      icsUrl: feed ? bookingIcsUrl(feed, booking._id) : undefined,
+    };
+  }
+
+  // In the student's zone when we know it (the day can differ), else the slot's
+  const dateISO = toDateISO(booking.date);
+  const { start } = getSessionTimes(dateISO, slot);
+  return {
+    dateLabel: start
+      .tz(booking.studentTimeZone || slot.timeZone)
+      .format('dddd, MMMM D, YYYY'),
+    timeLabel: formatSessionTime(dateISO, slot, booking.studentTimeZone),
+    icsUrl: feed ? bookingIcsUrl(feed, booking._id) : undefined,
+  };
+}
+
+async function studentFeed(email) {
+  try {
+    return await getOrCreateFeed({ email });
+  } catch (e) {
+    log.warn('Could not load calendar feed', e);
+    return null;
+  }
+}
+
+// Course name for email text; a deleted course shouldn't stop the email
+async function courseNameFor(record) {
+  return (await getCourseFor(record))?.name || 'your class';
+}
+
+/**
+ * payload: { key, bookingIds }
+ */
+export async function sendConfirmation({ key, bookingIds }) {
+  const bookings = await Booking.find({
+    _id: { $in: bookingIds },
+    status: { $ne: 'cancelled' },
+  }).sort({ sessionNumber: 1 });
+  if (!bookings.length) {
+    await markLog(key, 'skipped');
+    return { skipped: 'bookings missing or cancelled' };
+  }
+
+  const [first] = bookings;
+  const slotMap = await getSlotMap();
+  const feed = await studentFeed(first.email);
+  const sessions = bookings.map((b) => describeSession(b, slotMap, feed));
+
+  const { subject, html } = confirmationEmail({
+    courseName: await courseNameFor(first),
+    studentName: first.studentName,
+    sessions,
+    feedUrl: feed ? feedUrl(feed) : undefined,
+  });
+  const sent = await sendMail({ to: first.email, toName: first.studentName, subject, html });
+  await markLog(key, sent ? 'sent' : 'skipped');
+  return sent ? { sent: first.email } : { skipped: 'mail not configured' };
+}
+
+/**
+ * payload: { key, bookingId, offsetHours, start }
+ */
+export async function sendReminder({ key, bookingId, offsetHours, start }) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking || booking.status === 'cancelled') {
+    await markLog(key, 'skipped');
+    return { skipped: 'booking missing or cancelled' };
+  }
+  // Moved since this was queued; the scan queues one for the new time
+  if (start && booking.start?.toISOString() !== start) {
+    await markLog(key, 'skipped');
+    return { skipped: 'booking was rescheduled' };
+  }
+
+  const slotMap = await getSlotMap();
+  const feed = await studentFeed(booking.email);
+  const { subject, html } = reminderEmail({
+    courseName: await courseNameFor(booking),
+    studentName: booking.studentName,
+    session: describeSession(booking, slotMap, feed),
+    hoursBefore: offsetHours,
+  });
+  const sent = await sendMail({ to: booking.email, toName: booking.studentName, subject, html });
+  await markLog(key, sent ? 'sent' : 'skipped');
+  return sent ? { sent: booking.email } : { skipped: 'mail not configured' };
+}
+
+/**
+ * payload: { key, bookingId, reason }
+ */
+export async function sendCancellationNotice({ key, bookingId, reason }) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    await markLog(key, 'skipped');
+    return { skipped: 'booking missing' };
+  }
+
+  const slotMap = await getSlotMap();
+  const { subject, html } = cancellationEmail({
+    courseName: await courseNameFor(booking),
+    studentName: booking.studentName,
+    session: describeSession(booking, slotMap, null),
+    reason,
+  });
+  const sent = await sendMail({ to: booking.email, toName: booking.studentName, subject, html });
+  await markLog(key, sent ? 'sent' : 'skipped');
+  return sent ? { sent: booking.email } : { skipped: 'mail not configured' };
+}
+
+/**
+ * payload: { key, entryId }
+ */
+export async function sendWaitlistOffer({ key, entryId }) {
+  const entry = await WaitlistEntry.findById(entryId);
+  const booking = entry?.bookingId && (await Booking.findById(entry.bookingId));
+  if (!entry || entry.status !== 'offered' || !booking || booking.status === 'cancelled') {
+    await markLog(key, 'skipped');
+    return { skipped: 'offer no longer open' };
+  }
+
+  const slotMap = await getSlotMap();
+  const link = (action) =>
+    `${WAITLIST_OFFER_URL}?token=${entry.offerToken}&action=${action}`;
+  const { subject, html } = waitlistOfferEmail({
+    courseName: await courseNameFor(booking),
+    studentName: entry.studentName,
+    session: describeSession(booking, slotMap, null),
+    confirmUrl: link('confirm'),
+    declineUrl: link('decline'),
+    expiresLabel: moment(entry.offerExpiresAt).format('dddd, MMMM D [at] h:mm A'),
+  });
+  const sent = await sendMail({ to: entry.email, toName: entry.studentName, subject, html });
+  await markLog(key, sent ? 'sent' : 'skipped');
+  return sent ? { sent: entry.email } : { skipped: 'mail not configured' };
+}
+
+// ------------------------------------------------------
+// Reminder scheduler
+// ------------------------------------------------------
+/**
+ * Queue every reminder that is due: for each active booking and each
+ * offset, once class is less than `offset` hours away. The notification
+ * log makes this safe to run as often as we like.
+ *
+ * Bookings made (or moved) after a reminder's send time (e.g. a booking
+ * 30h out gets no 72h reminder) are skipped. Reminders are per session
+ * start, so a rescheduled booking gets them again for its new time.
+ *
+ * @returns {Promise<number>} reminders queued by this scan
+ */
+export async function scanReminders() {
+  if (!REMINDER_OFFSETS_HOURS.length) return 0;
+
+  const now = moment();
+  const maxOffset = Math.max(...REMINDER_OFFSETS_HOURS);
+  const bookings = await Booking.find({
+    status: { $ne: 'cancelled' },
+    start: { $gt: now.toDate(), $lte: now.clone().add(maxOffset, 'hours').toDate() },
+  }).lean();
+
+  let queued = 0;
+  for (const booking of bookings) {
+    const start = moment(booking.start);
+
+    for (const offsetHours of REMINDER_OFFSETS_HOURS) {
+      const sendAt = start.clone().subtract(offsetHours, 'hours');
+      if (now.isBefore(sendAt)) continue;
+      if (moment(booking.rescheduledAt || booking.createdAt).isAfter(sendAt)) continue;
+
+      try {
+        const isNew = await queueOnce(
+          {
+            key: `reminder:${offsetHours}h:${booking._id}:${start.toISOString()}`,
+            kind: 'reminder',
+            bookingIds: [booking._id],
+            email: booking.email,
+          },
+          'email.reminder',
+          { bookingId: String(booking._id), offsetHours, start: start.toISOString() }
+        );
+        if (isNew) queued += 1;
+      } catch (e) {
+        log.error('Could not queue reminder', e);
+      }
+    }
+  }
+
+  if (queued) {
+    log.info('Queued reminders', { count: queued });
+    processJobsSoon();
+  }
+  return queued;
+}
+
+/**
+ * Start scanning for due reminders. Call once, after Mongo is connected.
+ */
+export function startReminderScheduler() {
+  if (reminderTimer) return;
+  const run = () =>
+    scanReminders().catch((e) =>
+      log.error('Scan failed', e)
+    );
+  reminderTimer = setInterval(run, REMINDER_SCAN_INTERVAL_MS);
+  log.info('Reminder scheduler started', {
+    offsetsHours: REMINDER_OFFSETS_HOURS,
+    scanIntervalMs: REMINDER_SCAN_INTERVAL_MS,
+  });
+  run();
+}
@@ -3,39 +3,51 @@ import 'isomorphic-fetch';
 import dotenv from 'dotenv';
 import { ConfidentialClientApplication } from '@azure/msal-node';
 import { Client } from '@microsoft/microsoft-graph-client';
+import { getSlot, getSessionTimes } from './slotService.js';
+import { getCourse, renderEventText } from './courseService.js';
+import {
+  SANDBOX_MODE,
+  SANDBOX_MAILBOX,
+  createSandboxGraphClient,
+} from './sandboxService.js';
+import { createLogger, getCorrelationId } from '../utils/logger.js';
 
 // Load env for this module (expects backend/.env)
 dotenv.config();
 
+const log = createLogger('outlookService');
+
 // ------------------------------------------------------
 // Environment variables
 // ------------------------------------------------------
-const {
-  MS_CLIENT_ID,
-  MS_CLIENT_SECRET,
-  MS_TENANT_ID,
-  MS_OUTLOOK_USER_EMAIL, // calendar owner (your 365 email)
-} = process.env;
+const { MS_CLIENT_ID, MS_CLIENT_SECRET, MS_TENANT_ID } = process.env;
+// Default calendar owner; seeds the first instructor
+const MS_OUTLOOK_USER_EMAIL =
+  process.env.MS_OUTLOOK_USER_EMAIL || (SANDBOX_MODE ? SANDBOX_MAILBOX : undefined);
+export { MS_OUTLOOK_USER_EMAIL as ORGANIZER_MAILBOX };
+// Category put on every class event we create, so availability checks can
+// tell our own events apart from the instructor's other meetings
+export const CLASS_EVENT_CATEGORY =
+  process.env.MS_CLASS_EVENT_CATEGORY || 'Kable Academy Class';
+// Mailbox notification emails are sent from (needs Mail.Send)
+const MS_MAIL_SENDER = process.env.MS_MAIL_SENDER || MS_OUTLOOK_USER_EMAIL;
 
-console.log('[OutlookService] Loaded ENV:', {
+log.debug('Loaded env', {
   MS_CLIENT_ID: MS_CLIENT_ID ? 'OK' : 'MISSING',
   MS_CLIENT_SECRET: MS_CLIENT_SECRET ? 'OK' : 'MISSING',
   MS_TENANT_ID: MS_TENANT_ID ? 'OK' : 'MISSING',
-  MS_OUTLOOK_USER_EMAIL: MS_OUTLOOK_USER_EMAIL || 'MISSING',
+  MS_OUTLOOK_USER_EMAIL: MS_OUTLOOK_USER_EMAIL ? 'OK' : 'MISSING',
 });
 
-if (!MS_CLIENT_ID || !MS_CLIENT_SECRET || !MS_TENANT_ID) {
-  console.warn(
-    '⚠️ [OutlookService] MS_CLIENT_ID / MS_CLIENT_SECRET / MS_TENANT_ID are not all set. ' +
+if (!SANDBOX_MODE && (!MS_CLIENT_ID || !MS_CLIENT_SECRET || !MS_TENANT_ID)) {
+  log.warn(
+    'MS_CLIENT_ID / MS_CLIENT_SECRET / MS_TENANT_ID are not all set. ' +
       'Outlook integration will fail until these are configured.'
   );
 }
 
 if (!MS_OUTLOOK_USER_EMAIL) {
-  console.warn(
-    '⚠️ [OutlookService] MS_OUTLOOK_USER_EMAIL is not set. ' +
-      'Events will not be written to any calendar.'
-  );
+  log.warn('MS_OUTLOOK_USER_EMAIL is not set. Events will not be written to any calendar.');
 }
 
 // ------------------------------------------------------
@@ -53,59 +65,43 @@ if (MS_CLIENT_ID && MS_CLIENT_SECRET && MS_TENANT_ID) {
   };
 
   cca = new ConfidentialClientApplication(msalConfig);
-} else {
-  console.warn(
-    '⚠️ [OutlookService] MSAL client NOT initialized because credentials are missing.'
-  );
+} else if (!SANDBOX_MODE) {
+  log.warn('MSAL client NOT initialized because credentials are missing.');
 }
 
+// Whether Graph calls can be made at all (real credentials, or the sandbox)
+const graphEnabled = SANDBOX_MODE || !!cca;
+
 async function getGraphClient() {
+  if (SANDBOX_MODE) return createSandboxGraphClient();
   if (!cca) {
     throw new Error(
       'MSAL client not configured (missing MS_CLIENT_ID / MS_CLIENT_SECRET / MS_TENANT_ID)'
     );
   }
 
-  console.log('🔑 [OutlookService] Acquiring Graph token via client credentials...');
-
   const tokenResponse = await cca.acquireTokenByClientCredential({
     scopes: ['https://graph.microsoft.com/.default'],
   });
 
   if (!tokenResponse || !tokenResponse.accessToken) {
-    console.error('❌ [OutlookService] Failed to acquire Graph access token:', tokenResponse);
+    log.error('Failed to acquire Graph access token');
     throw new Error('Failed to acquire Graph access token');
   }
 
-  console.log('✅ [OutlookService] Got Graph access token');
-
+  // Graph echoes client-request-id in its logs / support tickets, so one
+  // submission can be traced into Microsoft's side too
+  const correlationId = getCorrelationId();
   const client = Client.init({
     authProvider: (done) => {
       done(null, tokenResponse.accessToken);
     },
+    fetchOptions: correlationId ? { headers: { 'client-request-id': correlationId } } : {},
   });
 
   return client;
 }
 
-// ------------------------------------------------------
-// Map your time labels → actual start/end times (24h)
-// ------------------------------------------------------
-const SLOT_MAP = {
-  '9am-12pm EST/8am-11pm CST': {
-    start: '09:00',
-    end: '12:00',
-  },
-  '2pm-5pm EST/1pm-4pm CST': {
-    start: '14:00',
-    end: '17:00',
-  },
-  '10am-1pm EST/9am-12pm CST': {
-    start: '10:00',
-    end: '13:00',
-  },
-};
-
 // ------------------------------------------------------
 // Main function: create an Outlook calendar event
 // ------------------------------------------------------
@@ -117,126 +113,478 @@ const SLOT_MAP = {
  * @param {string} params.studentName  - Student full name
  * @param {string} params.studentEmail - Student email
  * @param {string} params.dateISO      - Date in YYYY-MM-DD
- * @param {string} params.timeLabel    - One of the UI time slot labels
+ * @param {string} params.slotId       - Slot.slotId (see slotService.js)
+ * @param {string} [params.courseId]   - Course.courseId; picks the event
+ *   title / body templates (defaults to the original course)
+ * @param {string} [params.mailbox]    - calendar to create it on (the
+ *   assigned instructor's; defaults to MS_OUTLOOK_USER_EMAIL)
+ * @param {Array<{ email: string, name?: string }>} [params.attendees] -
+ *   everyone to invite (a bulk enrollment's students); defaults to the
+ *   one student
+ * @returns {Promise<Object|null>} the created event, or null when skipped
+ *   (Outlook not configured, missing/unknown date or slot)
+ * @throws on Graph / token errors, so the job queue can retry
  */
 export async function createOutlookEvent({
   company,
   studentName,
   studentEmail,
   dateISO,
-  timeLabel,
+  slotId,
+  courseId,
+  mailbox = MS_OUTLOOK_USER_EMAIL,
+  attendees,
 }) {
-  console.log('🟢 [createOutlookEvent] called with:', {
-    company,
-    studentName,
-    studentEmail,
-    dateISO,
-    timeLabel,
-  });
+  log.debug('createOutlookEvent called', { dateISO, slotId, courseId, mailbox });
 
-  if (!MS_OUTLOOK_USER_EMAIL) {
-    console.warn(
-      '⚠️ [createOutlookEvent] MS_OUTLOOK_USER_EMAIL is not set. Skipping Outlook event creation.'
-    );
+  if (!mailbox) {
+    log.warn('No calendar mailbox. Skipping Outlook event creation.');
     return null;
   }
 
-  if (!MS_CLIENT_ID || !MS_CLIENT_SECRET || !MS_TENANT_ID) {
-    console.warn(
-      '⚠️ [createOutlookEvent] MSAL credentials are missing. Skipping event creation.'
-    );
+  if (!graphEnabled) {
+    log.warn('MSAL credentials are missing. Skipping event creation.');
     return null;
   }
 
-  if (!dateISO || !timeLabel) {
-    console.warn('⚠️ [createOutlookEvent] Missing dateISO or timeLabel. Skipping.');
+  if (!dateISO || !slotId) {
+    log.warn('Missing dateISO or slotId. Skipping event creation.');
     return null;
   }
 
-  const slot = SLOT_MAP[timeLabel];
+  const [slot, course] = await Promise.all([getSlot(slotId), getCourse(courseId)]);
   if (!slot) {
-    console.warn(
-      '⚠️ [createOutlookEvent] Unknown timeLabel, no SLOT_MAP entry found for:',
-      timeLabel
-    );
+    log.warn('Unknown slotId. Skipping event creation.', { slotId });
+    return null;
+  }
+  if (!course) {
+    log.warn('Unknown courseId. Skipping event creation.', { courseId });
     return null;
   }
 
-  // Build start/end datetime strings in local (server) timezone
-  const startDateTime = `${dateISO}T${slot.start}:00`;
-  const endDateTime = `${dateISO}T${slot.end}:00`;
+  // Start/end wall-clock times in the slot's own time zone
+  const { start, end } = getSessionTimes(dateISO, slot);
+  const startDateTime = start.format('YYYY-MM-DDTHH:mm:ss');
+  const endDateTime = end.format('YYYY-MM-DDTHH:mm:ss');
 
-  console.log('⏱ [createOutlookEvent] Computed times:', {
-    startDateTime,
-    endDateTime,
-  });
+  const client = await getGraphClient();
 
-  let client;
-  try {
-    client = await getGraphClient();
-  } catch (err) {
-    console.error('❌ [createOutlookEvent] Could not get Graph client:', err.message || err);
-    return null; // Don’t crash whole server
-  }
+  const { subject, bodyHtml } = renderEventText(course, {
+    company,
+    studentName,
+    studentEmail,
+    date: dateISO,
+    time: slot.label,
+  });
 
-  const subject = `Intro to AI Class - ${company || 'Kable Academy'}`;
-  const bodyHtml = `
-    <p><strong>Company:</strong> ${company || 'N/A'}</p>
-    <p><strong>Student:</strong> ${studentName || 'N/A'}</p>
-    <p><strong>Email:</strong> ${studentEmail || 'N/A'}</p>
-    <p><strong>Date:</strong> ${dateISO}</p>
-    <p><strong>Time:</strong> ${timeLabel}</p>
-  `;
+  const invitees =
+    attendees || (studentEmail ? [{ email: studentEmail, name: studentName }] : []);
 
   const event = {
     subject,
+    categories: [CLASS_EVENT_CATEGORY],
     body: {
       contentType: 'HTML',
       content: bodyHtml,
     },
     start: {
       dateTime: startDateTime,
-      timeZone: 'America/New_York',
+      timeZone: slot.timeZone,
     },
     end: {
       dateTime: endDateTime,
-      timeZone: 'America/New_York',
+      timeZone: slot.timeZone,
     },
-    attendees: studentEmail
-      ? [
-          {
-            emailAddress: {
-              address: studentEmail,
-              name: studentName || studentEmail,
-            },
-            type: 'required',
-          },
-        ]
-      : [],
+    attendees: invitees.map(({ email, name }) => ({
+      emailAddress: { address: email, name: name || email },
+      type: 'required',
+    })),
   };
 
   try {
-    console.log(
-      `📤 [createOutlookEvent] Creating event on calendar of ${MS_OUTLOOK_USER_EMAIL}...`
-    );
-
     const response = await client
-      .api(`/users/${encodeURIComponent(MS_OUTLOOK_USER_EMAIL)}/events`)
+      .api(`/users/${encodeURIComponent(mailbox)}/events`)
       .post(event);
 
-    console.log('✅ [createOutlookEvent] Outlook event created:', {
-      id: response.id,
-      subject: response.subject,
+    log.info('Outlook event created', {
+      eventId: response.id,
+      mailbox,
       start: response.start,
       end: response.end,
     });
 
     return response;
   } catch (err) {
-    console.error(
-      '❌ [createOutlookEvent] Error from Microsoft Graph:',
-      err.response?.data || err.message || err
+    log.error('createOutlookEvent: error from Microsoft Graph', { err, mailbox });
+    throw err;
+  }
+}
+
+// ------------------------------------------------------
+// Reschedule / cancel an existing event
+// ------------------------------------------------------
+function eventPath(eventId, mailbox) {
+  return `/users/${encodeURIComponent(mailbox)}/events/${encodeURIComponent(eventId)}`;
+}
+
+/**
+ * Move an existing Outlook event to a new date/slot, rewriting its subject
+ * and body the way createOutlookEvent() renders them. Graph sends the
+ * attendees an updated invite because the calendar owner is the organizer.
+ *
+ * @param {string} eventId
+ * @param {Object} params
+ * @param {string} params.dateISO - New date in YYYY-MM-DD
+ * @param {string} params.slotId  - New Slot.slotId
+ * @param {string} [params.courseId]
+ * @param {string} [params.company]
+ * @param {string} [params.studentName]
+ * @param {string} [params.studentEmail]
+ * @param {string} [params.mailbox] - calendar the event is on (Booking.outlookMailbox)
+ * @returns {Promise<Object|null>} the updated event, or null when skipped
+ *   (missing event / mailbox, unknown slot or course) or the event no
+ *   longer exists
+ * @throws on other Graph / token errors, so the job queue can retry
+ */
+export async function updateOutlookEvent(
+  eventId,
+  {
+    dateISO,
+    slotId,
+    courseId,
+    company,
+    studentName,
+    studentEmail,
+    mailbox = MS_OUTLOOK_USER_EMAIL,
+  }
+) {
+  log.debug('updateOutlookEvent called', { eventId, dateISO, slotId, mailbox });
+
+  if (!eventId || !mailbox) {
+    log.warn('Missing eventId or mailbox. Skipping event update.');
+    return null;
+  }
+
+  const [slot, course] = await Promise.all([getSlot(slotId), getCourse(courseId)]);
+  if (!slot || !course) {
+    log.warn('Unknown slotId or courseId. Skipping event update.', { slotId, courseId });
+    return null;
+  }
+
+  const { start, end } = getSessionTimes(dateISO, slot);
+  const { subject, bodyHtml } = renderEventText(course, {
+    company,
+    studentName,
+    studentEmail,
+    date: dateISO,
+    time: slot.label,
+  });
+
+  try {
+    const client = await getGraphClient();
+    const response = await client.api(eventPath(eventId, mailbox)).patch({
+      subject,
+      body: {
+        contentType: 'HTML',
+        content: bodyHtml,
+      },
+      start: {
+        dateTime: start.format('YYYY-MM-DDTHH:mm:ss'),
+        timeZone: slot.timeZone,
+      },
+      end: {
+        dateTime: end.format('YYYY-MM-DDTHH:mm:ss'),
+        timeZone: slot.timeZone,
+      },
+    });
+
+    log.info('Outlook event moved', {
+      eventId: response.id,
+      start: response.start,
+      end: response.end,
+    });
+    return response;
+  } catch (err) {
+    if (err.statusCode === 404) {
+      log.warn('Outlook event to move no longer exists', { eventId });
+      return null;
+    }
+    log.error('updateOutlookEvent: error from Microsoft Graph', { err, eventId });
+    throw err;
+  }
+}
+
+/**
+ * Cancel an Outlook event. Graph removes it from the organizer calendar and
+ * sends the attendees a cancellation with the given comment.
+ *
+ * @param {string} eventId
+ * @param {string} [comment] - Message included in the cancellation
+ * @param {string} [mailbox] - calendar the event is on (Booking.outlookMailbox)
+ * @returns {Promise<boolean>} true if the event is cancelled (or was
+ *   already gone), false when skipped for a missing event / mailbox
+ * @throws on other Graph / token errors, so the job queue can retry
+ */
+export async function cancelOutlookEvent(eventId, comment = '', mailbox = MS_OUTLOOK_USER_EMAIL) {
+  log.debug('cancelOutlookEvent called', { eventId, mailbox });
+
+  if (!eventId || !mailbox) {
+    log.warn('Missing eventId or mailbox. Skipping event cancellation.');
+    return false;
+  }
+
+  try {
+    const client = await getGraphClient();
+    await client.api(`${eventPath(eventId, mailbox)}/cancel`).post({ comment });
+    log.info('Outlook event cancelled', { eventId });
+    return true;
+  } catch (err) {
+    if (err.statusCode === 404) {
+      log.info('Outlook event to cancel was already gone', { eventId });
+      return true;
+    }
+    log.error('cancelOutlookEvent: error from Microsoft Graph', { err, eventId });
+    throw err;
+  }
+}
+
+/**
+ * Take one attendee off an event that others still attend (a bulk
+ * enrollment's shared event). Graph sends the updated invite; the removed
+ * attendee is not notified, so callers send their own notice.
+ *
+ * @param {string} eventId
+ * @param {string} email
+ * @param {string} [mailbox] - calendar the event is on (Booking.outlookMailbox)
+ * @returns {Promise<boolean>} true if the attendee is no longer on the event
+ *   (or the event is gone), false when skipped for a missing event / mailbox
+ * @throws on other Graph / token errors, so the job queue can retry
+ */
+export async function removeEventAttendee(eventId, email, mailbox = MS_OUTLOOK_USER_EMAIL) {
+  if (!eventId || !mailbox) {
+    log.warn('Missing eventId or mailbox. Skipping attendee removal.');
+    return false;
+  }
+
+  try {
+    const client = await getGraphClient();
+    const event = await client.api(eventPath(eventId, mailbox)).select('attendees').get();
+    const attendees = (event.attendees || []).filter(
+      (a) => a.emailAddress?.address?.toLowerCase() !== email.toLowerCase()
     );
+    await client.api(eventPath(eventId, mailbox)).patch({ attendees });
+    log.info('Removed attendee from Outlook event', { eventId });
+    return true;
+  } catch (err) {
+    if (err.statusCode === 404) {
+      log.info('Outlook event to remove an attendee from was already gone', { eventId });
+      return true;
+    }
+    log.error('removeEventAttendee: error from Microsoft Graph', { err, eventId });
+    throw err;
+  }
+}
+
+// ------------------------------------------------------
+// Calendar reads
+// ------------------------------------------------------
+/**
+ * Every event on `mailbox`'s calendar overlapping [start, end), with
+ * recurring meetings expanded. Times come back in UTC.
+ *
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} [mailbox] - defaults to MS_OUTLOOK_USER_EMAIL
+ * @returns {Promise<Array<Object>|null>} Graph events (id, subject, start,
+ *   end, showAs, isAllDay, categories), or null when Outlook isn't configured
+ * @throws on Graph / token errors
+ */
+export async function getCalendarView(start, end, mailbox = MS_OUTLOOK_USER_EMAIL) {
+  if (!mailbox || !graphEnabled) {
+    log.warn('Outlook not configured. Skipping calendar read.');
     return null;
   }
+
+  const client = await getGraphClient();
+  const events = [];
+  try {
+    let page = await client
+      .api(`/users/${encodeURIComponent(mailbox)}/calendarView`)
+      .header('Prefer', 'outlook.timezone="UTC"')
+      .query({
+        startDateTime: start.toISOString(),
+        endDateTime: end.toISOString(),
+      })
+      .select('id,subject,start,end,showAs,isAllDay,isCancelled,categories')
+      .top(200)
+      .get();
+    events.push(...page.value);
+
+    while (page['@odata.nextLink']) {
+      page = await client
+        .api(page['@odata.nextLink'])
+        .header('Prefer', 'outlook.timezone="UTC"')
+        .get();
+      events.push(...page.value);
+    }
+  } catch (err) {
+    log.error('getCalendarView: error from Microsoft Graph', { err });
+    throw err;
+  }
+
+  log.debug('Read calendar view', { count: events.length, start, end });
+  return events;
+}
+
+/**
+ * Fetch one event from an organizer calendar, times in UTC.
+ *
+ * @param {string} eventId
+ * @param {string} [mailbox] - calendar the event is on (Booking.outlookMailbox)
+ * @returns {Promise<Object|null>} the event, or null if it no longer exists
+ * @throws on other Graph / token errors
+ */
+export async function getOutlookEvent(eventId, mailbox = MS_OUTLOOK_USER_EMAIL) {
+  const client = await getGraphClient();
+  try {
+    return await client
+      .api(eventPath(eventId, mailbox))
+      .header('Prefer', 'outlook.timezone="UTC"')
+      .select('id,subject,start,end,isCancelled,attendees,categories')
+      .get();
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    log.error('getOutlookEvent: error from Microsoft Graph', { err, eventId });
+    throw err;
+  }
+}
+
+// ------------------------------------------------------
+// Change-notification subscriptions
+// ------------------------------------------------------
+/**
+ * Graph resource path for a calendar's events.
+ *
+ * @param {string} [mailbox] - defaults to MS_OUTLOOK_USER_EMAIL
+ */
+export function calendarEventsResource(mailbox = MS_OUTLOOK_USER_EMAIL) {
+  return mailbox ? `/users/${mailbox}/events` : null;
+}
+
+/**
+ * Subscribe to changes on a calendar. Graph first calls `notificationUrl`
+ * with a validationToken, so the endpoint must be live.
+ *
+ * @param {Object} params
+ * @param {string} params.mailbox         - calendar owner
+ * @param {string} params.notificationUrl - public https URL
+ * @param {string} params.clientState     - secret echoed on each notification
+ * @param {Date}   params.expiresAt
+ * @returns {Promise<Object>} the Graph subscription
+ * @throws on Graph / token errors
+ */
+export async function createGraphSubscription({
+  mailbox,
+  notificationUrl,
+  clientState,
+  expiresAt,
+}) {
+  const client = await getGraphClient();
+  try {
+    return await client.api('/subscriptions').post({
+      changeType: 'updated,deleted',
+      notificationUrl,
+      lifecycleNotificationUrl: notificationUrl,
+      resource: calendarEventsResource(mailbox),
+      expirationDateTime: expiresAt.toISOString(),
+      clientState,
+    });
+  } catch (err) {
+    log.error('createGraphSubscription: error from Microsoft Graph', { err });
+    throw err;
+  }
+}
+
+/**
+ * Push a subscription's expiry out.
+ *
+ * @param {string} subscriptionId
+ * @param {Date} expiresAt
+ * @returns {Promise<Object|null>} the subscription, or null if Graph no
+ *   longer knows it (it must be created again)
+ * @throws on other Graph / token errors
+ */
+export async function renewGraphSubscription(subscriptionId, expiresAt) {
+  const client = await getGraphClient();
+  try {
+    return await client
+      .api(`/subscriptions/${encodeURIComponent(subscriptionId)}`)
+      .patch({ expirationDateTime: expiresAt.toISOString() });
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    log.error('renewGraphSubscription: error from Microsoft Graph', { err, subscriptionId });
+    throw err;
+  }
+}
+
+// ------------------------------------------------------
+// Health
+// ------------------------------------------------------
+/**
+ * Prove the app can talk to Graph: MSAL issues a token and the mailbox's
+ * calendar can be read with it.
+ *
+ * @param {string} [mailbox] - defaults to MS_OUTLOOK_USER_EMAIL
+ * @returns {Promise<void>}
+ * @throws when Outlook isn't configured, the token is refused or the
+ *   mailbox can't be reached
+ */
+export async function checkGraphConnection(mailbox = MS_OUTLOOK_USER_EMAIL) {
+  if (!mailbox) throw new Error('MS_OUTLOOK_USER_EMAIL is not set');
+  const client = await getGraphClient();
+  await client.api(`/users/${encodeURIComponent(mailbox)}/calendar`).select('id').get();
+}
+
+// ------------------------------------------------------
+// Mail
+// ------------------------------------------------------
+/**
+ * Send an HTML email from MS_MAIL_SENDER via Graph sendMail.
+ *
+ * @param {Object} params
+ * @param {string} params.to      - Recipient address
+ * @param {string} [params.toName]
+ * @param {string} params.subject
+ * @param {string} params.html
+ * @returns {Promise<boolean>} true when sent, false when mail isn't configured
+ * @throws on Graph / token errors, so the job queue can retry
+ */
+export async function sendMail({ to, toName, subject, html }) {
+  log.debug('sendMail called', { subject });
+
+  if (!MS_MAIL_SENDER || !graphEnabled) {
+    log.warn('Mail sender or MSAL credentials missing. Skipping email.');
+    return false;
+  }
+
+  const client = await getGraphClient();
+  try {
+    await client
+      .api(`/users/${encodeURIComponent(MS_MAIL_SENDER)}/sendMail`)
+      .post({
+        message: {
+          subject,
+          body: { contentType: 'HTML', content: html },
+          toRecipients: [
+            { emailAddress: { address: to, name: toName || to } },
+          ],
+        },
+        saveToSentItems: true,
+      });
+    log.info('Email sent', { subject });
+    return true;
+  } catch (err) {
+    log.error('sendMail: error from Microsoft Graph', { err });
+    throw err;
+  }
 }
@@ -0,0 +1,339 @@
+// backend/services/outlookSyncService.js
+//
+// Keeps bookings in step with changes made directly in Outlook: an
+// instructor deleting or moving a class event, or the student declining
+// the invite. Graph tells us about changes through a subscription on each
+// instructor's calendar; each notification becomes an
+// "outlook.reconcileEvent" job that compares the event with its booking.
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import moment from 'moment-timezone';
+import Booking from '../models/booking.models.js';
+import BookingAudit from '../models/bookingAudit.models.js';
+import GraphSubscription from '../models/graphSubscription.models.js';
+import {
+  getOutlookEvent,
+  calendarEventsResource,
+  createGraphSubscription,
+  renewGraphSubscription,
+} from './outlookService.js';
+import { cancelBooking, rescheduleBooking, SessionConflictError } from './bookingService.js';
+import { getSlotMap, listSlots, getSessionTimes } from './slotService.js';
+import { toBookingDate, toDateISO } from './capacityService.js';
+import { clearBusyCache } from './busyTimeService.js';
+import { enqueueJob, processJobsSoon } from './jobQueue.js';
+import { listInstructors } from './instructorService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('outlookSyncService');
+
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || 'http://localhost:5000';
+// Must be publicly reachable over https for Graph to accept it
+const GRAPH_NOTIFICATION_URL =
+  process.env.GRAPH_NOTIFICATION_URL || `${PUBLIC_BASE_URL}/api/graph/notifications`;
+// Graph allows up to 4230 minutes for Outlook event subscriptions
+const SUBSCRIPTION_MINUTES = Number(process.env.GRAPH_SUBSCRIPTION_MINUTES || 4200);
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+const MAINTENANCE_INTERVAL_MS = Number(
+  process.env.GRAPH_SUBSCRIPTION_CHECK_INTERVAL_MS || 60 * 60 * 1000
+);
+
+let maintenanceTimer = null;
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// ------------------------------------------------------
+// Subscriptions
+// ------------------------------------------------------
+function nextExpiry() {
+  return new Date(Date.now() + SUBSCRIPTION_MINUTES * 60 * 1000);
+}
+
+/**
+ * Make sure an active subscription exists on one calendar, renewing it
+ * when it is within a day of expiring and creating a new one when Graph
+ * has dropped it.
+ *
+ * @param {string} [mailbox] - calendar owner; defaults to MS_OUTLOOK_USER_EMAIL
+ * @returns {Promise<Object|null>} the GraphSubscription, or null when
+ *   Outlook / the notification URL isn't configured
+ */
+export async function ensureGraphSubscription(mailbox) {
+  const resource = calendarEventsResource(mailbox);
+  if (!resource) return null;
+  if (!GRAPH_NOTIFICATION_URL.startsWith('https://')) {
+    log.warn('GRAPH_NOTIFICATION_URL must be https; Outlook change notifications are off.');
+    return null;
+  }
+
+  const current = await GraphSubscription.findOne({ resource, status: 'active' }).sort({
+    expiresAt: -1,
+  });
+  if (current && current.expiresAt.getTime() - Date.now() > RENEW_BEFORE_MS) {
+    return current;
+  }
+
+  if (current) {
+    const expiresAt = nextExpiry();
+    const renewed = await renewGraphSubscription(current.subscriptionId, expiresAt);
+    if (renewed) {
+      current.expiresAt = new Date(renewed.expirationDateTime);
+      current.lastRenewedAt = new Date();
+      await current.save();
+      log.info('Renewed subscription', {
+        subscriptionId: current.subscriptionId,
+        expiresAt: current.expiresAt,
+      });
+      return current;
+    }
+    current.status = 'removed';
+    await current.save();
+  }
+
+  const clientState = crypto.randomBytes(24).toString('hex');
+  const created = await createGraphSubscription({
+    mailbox,
+    notificationUrl: GRAPH_NOTIFICATION_URL,
+    clientState,
+    expiresAt: nextExpiry(),
+  });
+  const subscription = await GraphSubscription.create({
+    subscriptionId: created.id,
+    resource,
+    mailbox,
+    changeType: created.changeType,
+    notificationUrl: GRAPH_NOTIFICATION_URL,
+    clientState,
+    expiresAt: new Date(created.expirationDateTime),
+  });
+  log.info('Subscribed to calendar', {
+    subscriptionId: subscription.subscriptionId,
+    resource,
+    expiresAt: subscription.expiresAt,
+  });
+  return subscription;
+}
+
+/**
+ * ensureGraphSubscription() for every active instructor with a mailbox.
+ * One calendar failing doesn't stop the others.
+ *
+ * @returns {Promise<Object[]>} the subscriptions that are in place
+ */
+export async function ensureGraphSubscriptions() {
+  const instructors = await listInstructors();
+  const subscriptions = [];
+  for (const { mailbox } of instructors) {
+    if (!mailbox) continue;
+    try {
+      const subscription = await ensureGraphSubscription(mailbox);
+      if (subscription) subscriptions.push(subscription);
+    } catch (e) {
+      log.error('Subscription check failed', { mailbox, err: e });
+    }
+  }
+  return subscriptions;
+}
+
+/**
+ * Keep the subscriptions alive. Call once, after Mongo is connected.
+ */
+export function startSubscriptionMaintenance() {
+  if (maintenanceTimer) return;
+  const run = () =>
+    ensureGraphSubscriptions().catch((e) =>
+      log.error('Subscription check failed', e)
+    );
+  maintenanceTimer = setInterval(run, MAINTENANCE_INTERVAL_MS);
+  run();
+}
+
+// ------------------------------------------------------
+// Notifications
+// ------------------------------------------------------
+/**
+ * Accept a batch of Graph notifications (change or lifecycle). Anything
+ * whose clientState doesn't match a subscription we created is ignored.
+ * Real work is queued, so Graph gets its 202 quickly.
+ *
+ * @param {Object} body - the POSTed notification collection ({ value: [...] })
+ * @returns {Promise<{ accepted: number, rejected: number }>}
+ */
+export async function handleGraphNotifications(body) {
+  const notifications = Array.isArray(body?.value) ? body.value : [];
+  let accepted = 0;
+  let rejected = 0;
+
+  for (const n of notifications) {
+    const subscription =
+      typeof n.subscriptionId === 'string'
+        ? await GraphSubscription.findOne({ subscriptionId: n.subscriptionId })
+        : null;
+    if (!subscription || !n.clientState || !safeEqual(n.clientState, subscription.clientState)) {
+      log.warn('Ignored notification with unknown subscription / clientState');
+      rejected += 1;
+      continue;
+    }
+    accepted += 1;
+    subscription.lastNotificationAt = new Date();
+
+    if (n.lifecycleEvent) {
+      log.info('Lifecycle event', { lifecycleEvent: n.lifecycleEvent });
+      if (n.lifecycleEvent === 'subscriptionRemoved') subscription.status = 'removed';
+      await subscription.save();
+      // reauthorizationRequired / subscriptionRemoved: renew or re-create
+      ensureGraphSubscription(subscription.mailbox).catch((e) =>
+        log.error('Could not restore subscription', e)
+      );
+      continue;
+    }
+    await subscription.save();
+
+    const eventId = n.resourceData?.id;
+    if (!eventId) continue;
+    await enqueueJob('outlook.reconcileEvent', { eventId, changeType: n.changeType });
+  }
+
+  if (accepted) {
+    // An instructor's calendar changed; availability must look again
+    clearBusyCache();
+    processJobsSoon();
+  }
+  return { accepted, rejected };
+}
+
+// ------------------------------------------------------
+// Reconciliation
+// ------------------------------------------------------
+async function audit(booking, action, fields) {
+  await BookingAudit.create({
+    bookingId: booking._id,
+    source: 'outlook',
+    action,
+    outlookEventId: booking.outlookEventId,
+    ...fields,
+  });
+  log.info('Booking synced from Outlook', { bookingId: String(booking._id), action });
+}
+
+/**
+ * The (date, slot) whose session starts exactly at `start`, if any.
+ */
+async function findSessionStartingAt(start) {
+  const slots = await listSlots();
+  for (const slot of slots) {
+    const dateISO = moment(start).tz(slot.timeZone).format('YYYY-MM-DD');
+    if (getSessionTimes(dateISO, slot).start.isSame(start, 'minute')) {
+      return { date: toBookingDate(dateISO), slot };
+    }
+  }
+  return null;
+}
+
+async function reconcileMove(booking, event) {
+  const slotMap = await getSlotMap();
+  const slot = slotMap.get(booking.slotId);
+  if (!slot) return 'unchanged';
+
+  const expected = getSessionTimes(toDateISO(booking.date), slot).start;
+  const actual = moment.utc(event.start.dateTime);
+  if (actual.isSame(expected, 'minute')) return 'unchanged';
+
+  const before = { date: booking.date, slotId: booking.slotId };
+  const after = { start: actual.toISOString() };
+
+  const target = await findSessionStartingAt(actual);
+  let note;
+  if (!target) {
+    note = 'New time does not match a class slot; booking left as it was';
+  } else {
+    try {
+      await rescheduleBooking(booking._id, target, { syncOutlook: false });
+      await audit(booking, 'moved', {
+        before,
+        after: { ...after, date: target.date, slotId: target.slot.slotId },
+      });
+      return 'moved';
+    } catch (e) {
+      if (!(e instanceof SessionConflictError)) throw e;
+      note = `Could not move booking: ${e.message}`;
+    }
+  }
+
+  // Every later notification for the event would otherwise repeat this
+  const known = await BookingAudit.exists({
+    bookingId: booking._id,
+    action: 'move_rejected',
+    'after.start': after.start,
+  });
+  if (!known) await audit(booking, 'move_rejected', { before, after, note });
+  return 'move_rejected';
+}
+
+async function reconcileBooking(booking, event) {
+  if (!event || event.isCancelled) {
+    await cancelBooking(booking._id, {
+      reason: 'The class event was removed from the instructor calendar.',
+      syncOutlook: false,
+    });
+    await audit(booking, 'cancelled', {
+      before: { status: booking.status },
+      after: { status: 'cancelled' },
+      note: 'Outlook event deleted or cancelled',
+    });
+    return { bookingId: String(booking._id), action: 'cancelled' };
+  }
+
+  const changes = [];
+
+  const attendee = (event.attendees || []).find(
+    (a) => a.emailAddress?.address?.toLowerCase() === booking.email.toLowerCase()
+  );
+  const response = attendee?.status?.response;
+  if (response && response !== booking.attendeeResponse) {
+    const before = { attendeeResponse: booking.attendeeResponse };
+    await Booking.updateOne({ _id: booking._id }, { attendeeResponse: response });
+    await audit(booking, response === 'declined' ? 'declined' : 'response_changed', {
+      before,
+      after: { attendeeResponse: response },
+    });
+    changes.push(`response:${response}`);
+  }
+
+  const move = await reconcileMove(booking, event);
+  if (move !== 'unchanged') changes.push(move);
+
+  return { bookingId: String(booking._id), changes };
+}
+
+/**
+ * Bring the bookings on an Outlook event in line with it (one booking, or
+ * every student of a bulk enrollment's shared event).
+ *
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {string} [params.changeType] - "updated" | "deleted"
+ * @returns {Promise<Object>} what changed (stored as the job result)
+ */
+export async function reconcileOutlookEvent({ eventId, changeType }) {
+  const bookings = await Booking.find({ outlookEventId: eventId });
+  if (!bookings.length) return { skipped: 'not a class event' };
+  const active = bookings.filter((b) => b.status !== 'cancelled');
+  if (!active.length) return { skipped: 'booking already cancelled' };
+
+  const event =
+    changeType === 'deleted' ? null : await getOutlookEvent(eventId, active[0].outlookMailbox);
+
+  const results = [];
+  for (const booking of active) {
+    results.push(await reconcileBooking(booking, event));
+  }
+  return results.length === 1 ? results[0] : { bookings: results };
+}
@@ -0,0 +1,45 @@
+// backend/services/rateLimitService.js
+//
+// Fixed-window counters in Mongo (models/rateLimitCounter.models.js), so
+// limits hold across restarts and across instances behind a load balancer.
+import crypto from 'crypto';
+import RateLimitCounter from '../models/rateLimitCounter.models.js';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Count one request against a limit.
+ *
+ * @param {string} bucket - which limit, e.g. "submit:email"
+ * @param {string} key    - what is being limited (IP, email)
+ * @param {Object} options
+ * @param {number} options.limit    - requests allowed per window
+ * @param {number} options.windowMs
+ * @returns {Promise<{ allowed: boolean, count: number, retryAfterSeconds: number }>}
+ */
+export async function consumeRateLimit(bucket, key, { limit, windowMs }) {
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const filter = { bucket, keyHash: hashKey(key), windowStart: new Date(windowStart) };
+  const update = {
+    $inc: { count: 1 },
+    $setOnInsert: { expiresAt: new Date(windowStart + windowMs) },
+  };
+
+  let counter;
+  try {
+    counter = await RateLimitCounter.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  } catch (e) {
+    // Two first requests raced on the upsert; the counter exists now
+    if (e.code !== 11000) throw e;
+    counter = await RateLimitCounter.findOneAndUpdate(filter, update, { new: true });
+  }
+
+  return {
+    allowed: counter.count <= limit,
+    count: counter.count,
+    retryAfterSeconds: Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000)),
+  };
+}
@@ -0,0 +1,76 @@
+// backend/services/recaptchaService.js
+//
+// reCAPTCHA verification. Beyond Google's `success` flag a token must
+//   - score at least RECAPTCHA_MIN_SCORE (v3 only; v2 answers carry no score)
+//   - carry RECAPTCHA_ACTION as its action, when that is set
+//   - come from one of RECAPTCHA_HOSTNAMES (comma-separated), when set
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { SANDBOX_MODE, recaptchaSandboxAdapter } from './sandboxService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('recaptchaService');
+
+const RECAPTCHA_SECRET_KEY = process.env.SECRET_KEY;
+const VERIFY_URL = 'https://www.google.com/recaptcha/api/siteverify';
+
+const MIN_SCORE = Number(process.env.RECAPTCHA_MIN_SCORE ?? 0.5);
+const EXPECTED_ACTION = process.env.RECAPTCHA_ACTION || null;
+const ALLOWED_HOSTNAMES = (process.env.RECAPTCHA_HOSTNAMES || '')
+  .split(',')
+  .map((h) => h.trim().toLowerCase())
+  .filter(Boolean);
+
+// In sandbox mode siteverify is answered in-process (see sandboxService.js)
+const http = axios.create(SANDBOX_MODE ? { adapter: recaptchaSandboxAdapter } : {});
+
+// Why Google's answer is not good enough, or null when it is
+function rejectionReason(data) {
+  if (!data.success) return 'failed';
+  if (typeof data.score === 'number' && data.score < MIN_SCORE) return 'low_score';
+  if (EXPECTED_ACTION && data.action !== EXPECTED_ACTION) return 'wrong_action';
+  if (
+    ALLOWED_HOSTNAMES.length &&
+    !ALLOWED_HOSTNAMES.includes(String(data.hostname || '').toLowerCase())
+  ) {
+    return 'wrong_hostname';
+  }
+  return null;
+}
+
+/**
+ * Verify a reCAPTCHA token from the registration form.
+ *
+ * @param {string} token
+ * @returns {Promise<{ valid: boolean, reason?: string, score?: number }>}
+ *   reason: "failed" | "low_score" | "wrong_action" | "wrong_hostname" | "unreachable"
+ */
+export async function verifyRecaptcha(token) {
+  let data;
+  try {
+    const response = await http.post(
+      VERIFY_URL,
+      new URLSearchParams({ secret: RECAPTCHA_SECRET_KEY || '', response: token })
+    );
+    data = response.data;
+  } catch (error) {
+    log.error('Error verifying reCAPTCHA', error);
+    return { valid: false, reason: 'unreachable' };
+  }
+
+  const reason = rejectionReason(data);
+  if (reason) {
+    log.warn('reCAPTCHA rejected', {
+      reason,
+      score: data.score,
+      action: data.action,
+      hostname: data.hostname,
+      errorCodes: data['error-codes'],
+    });
+    return { valid: false, reason, score: data.score };
+  }
+  return { valid: true, score: data.score };
+}
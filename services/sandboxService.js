@@ -0,0 +1,341 @@
+// backend/services/sandboxService.js
+//
+// Offline sandbox (SANDBOX_MODE=true). HubSpot, Microsoft Graph and
+// reCAPTCHA are swapped at the transport layer for in-process fakes:
+//   - HubSpot / reCAPTCHA: an axios adapter (see hubspotService.js,
+//     recaptchaService.js)
+//   - Graph: a stand-in for the Graph SDK client (see outlookService.js)
+// so everything above them (event text, HubSpot properties, retries) runs
+// unchanged. Every call is recorded with what would have been sent and what
+// the fake answered; GET /api/admin/sandbox/calls shows them.
+//
+// The fakes keep just enough state to behave like the real thing: contacts
+// by email, calendar events by id (cancelled ones stay, flagged).
+// reCAPTCHA accepts any token except SANDBOX_RECAPTCHA_FAIL_TOKEN.
+import dotenv from 'dotenv';
+import moment from 'moment-timezone';
+import { AxiosError } from 'axios';
+import { getCorrelationId } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+export const SANDBOX_MODE = process.env.SANDBOX_MODE === 'true';
+// Organizer mailbox the Graph fake uses when MS_OUTLOOK_USER_EMAIL isn't set
+export const SANDBOX_MAILBOX = 'organizer@sandbox.test';
+// reCAPTCHA token the fake rejects, to exercise the failure path
+export const SANDBOX_RECAPTCHA_FAIL_TOKEN = 'sandbox-fail';
+// Oldest recorded calls are dropped past this
+const MAX_RECORDED_CALLS = Number(process.env.SANDBOX_MAX_CALLS || 500);
+
+const calls = [];
+let nextCallId = 1;
+let nextId = 1000;
+
+// ------------------------------------------------------
+// Recorder
+// ------------------------------------------------------
+// Dummy credentials still shouldn't end up in an API response
+function maskSecrets(body) {
+  if (!body || typeof body !== 'object') return body;
+  const out = {};
+  Object.entries(body).forEach(([key, value]) => {
+    out[key] = /secret/i.test(key) ? '[redacted]' : value;
+  });
+  return out;
+}
+
+function record(service, { method, url, body }, response) {
+  calls.push({
+    id: nextCallId++,
+    at: new Date(),
+    correlationId: getCorrelationId(),
+    service,
+    method: method.toUpperCase(),
+    url,
+    // copies: the fakes keep mutating their own state
+    body: maskSecrets(structuredClone(body)),
+    response: structuredClone(response),
+  });
+  if (calls.length > MAX_RECORDED_CALLS) calls.splice(0, calls.length - MAX_RECORDED_CALLS);
+}
+
+/**
+ * Recorded calls, oldest first.
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.service]       - "hubspot" | "graph" | "recaptcha"
+ * @param {string} [filter.correlationId] - X-Request-Id of the request that made them
+ * @param {number} [filter.sinceId]       - only calls with a larger id
+ * @returns {Object[]}
+ */
+export function listSandboxCalls({ service, correlationId, sinceId } = {}) {
+  return calls.filter(
+    (c) =>
+      (!service || c.service === service) &&
+      (!correlationId || c.correlationId === correlationId) &&
+      (!sinceId || c.id > sinceId)
+  );
+}
+
+/**
+ * Forget recorded calls and the fakes' contacts / events.
+ */
+export function resetSandbox() {
+  calls.length = 0;
+  contacts.clear();
+  events.clear();
+}
+
+function notFound(message) {
+  return { status: 404, data: { status: 'error', message } };
+}
+
+// ------------------------------------------------------
+// axios adapter (HubSpot, reCAPTCHA)
+// ------------------------------------------------------
+function parseBody(data) {
+  if (data === undefined || data === null || data === '') return undefined;
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return Object.fromEntries(new URLSearchParams(data));
+  }
+}
+
+/**
+ * axios adapter that answers with `respond` instead of the network.
+ *
+ * @param {string} service - name the calls are recorded under
+ * @param {(request: { method: string, url: URL, body: any }) => { status: number, data: any }} respond
+ */
+function createHttpAdapter(service, respond) {
+  return async (config) => {
+    const url = new URL(config.url, config.baseURL);
+    Object.entries(config.params || {}).forEach(([k, v]) => url.searchParams.set(k, v));
+    const request = { method: config.method, url, body: parseBody(config.data) };
+    const { status, data } = respond(request);
+    record(service, { ...request, url: url.toString() }, { status, data });
+
+    const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+    if (status >= 400) {
+      throw new AxiosError(
+        `Request failed with status code ${status}`,
+        status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        {},
+        response
+      );
+    }
+    return response;
+  };
+}
+
+// ------------------------------------------------------
+// HubSpot fake
+// ------------------------------------------------------
+// email → { id, properties }
+const contacts = new Map();
+
+function findContact(id) {
+  return [...contacts.values()].find((c) => c.id === id);
+}
+
+function respondHubSpot({ method, url, body }) {
+  const path = url.pathname;
+  if (method === 'post' && path === '/oauth/v1/token') {
+    return {
+      status: 200,
+      data: {
+        access_token: 'sandbox-access-token',
+        refresh_token: 'sandbox-refresh-token',
+        expires_in: 1800,
+      },
+    };
+  }
+  if (method === 'get' && path.startsWith('/oauth/v1/access-tokens/')) {
+    return { status: 200, data: { hub_id: 1, hub_domain: 'sandbox.hubspot.test', scopes: [] } };
+  }
+
+  const contactsPath = '/crm/v3/objects/contacts';
+  if (method === 'post' && path === `${contactsPath}/search`) {
+    const email = body?.filterGroups?.[0]?.filters?.find((f) => f.propertyName === 'email')?.value;
+    const contact = contacts.get(String(email).toLowerCase());
+    return {
+      status: 200,
+      data: { total: contact ? 1 : 0, results: contact ? [{ id: contact.id, properties: { email } }] : [] },
+    };
+  }
+  if (method === 'post' && path === contactsPath) {
+    const email = String(body?.properties?.email || '').toLowerCase();
+    if (contacts.has(email)) return { status: 409, data: { message: 'Contact already exists' } };
+    const contact = { id: String(nextId++), properties: { ...body.properties } };
+    contacts.set(email, contact);
+    return { status: 201, data: contact };
+  }
+
+  const id = path.startsWith(`${contactsPath}/`) ? path.slice(contactsPath.length + 1) : null;
+  const contact = id && findContact(id);
+  if (id && !contact) return notFound(`Contact ${id} not found`);
+  if (method === 'patch' && contact) {
+    Object.assign(contact.properties, body?.properties);
+    return { status: 200, data: contact };
+  }
+  if (method === 'get' && contact) {
+    const wanted = url.searchParams.get('properties')?.split(',') || Object.keys(contact.properties);
+    const properties = Object.fromEntries(wanted.map((p) => [p, contact.properties[p] ?? null]));
+    return { status: 200, data: { id: contact.id, properties } };
+  }
+  return notFound(`No sandbox route for ${method.toUpperCase()} ${path}`);
+}
+
+/** axios adapter standing in for api.hubapi.com */
+export const hubSpotSandboxAdapter = createHttpAdapter('hubspot', respondHubSpot);
+
+// ------------------------------------------------------
+// reCAPTCHA fake
+// ------------------------------------------------------
+function respondRecaptcha({ body }) {
+  const success = !!body?.response && body.response !== SANDBOX_RECAPTCHA_FAIL_TOKEN;
+  return {
+    status: 200,
+    data: success
+      ? { success, score: 0.9, action: 'submit', hostname: 'sandbox.test', challenge_ts: new Date().toISOString() }
+      : { success, 'error-codes': ['invalid-input-response'] },
+  };
+}
+
+/** axios adapter standing in for www.google.com/recaptcha */
+export const recaptchaSandboxAdapter = createHttpAdapter('recaptcha', respondRecaptcha);
+
+// ------------------------------------------------------
+// Graph fake
+// ------------------------------------------------------
+// id → event (with the mailbox it lives on)
+const events = new Map();
+
+function graphError(statusCode, code, message) {
+  return Object.assign(new Error(message), { statusCode, code, body: JSON.stringify({ code, message }) });
+}
+
+function toUtc({ dateTime, timeZone }) {
+  return moment.tz(dateTime, timeZone || 'UTC').utc().format('YYYY-MM-DDTHH:mm:ss.SSSSSSS');
+}
+
+function inUtc(event) {
+  return {
+    ...event,
+    start: { dateTime: toUtc(event.start), timeZone: 'UTC' },
+    end: { dateTime: toUtc(event.end), timeZone: 'UTC' },
+  };
+}
+
+function respondGraph(method, path, body, query) {
+  // /users/{mailbox}/{resource}/{eventId}/{action} or /subscriptions/{id}
+  const [, root, owner, resource, eventId, action] = path.split('/');
+  const mailbox = owner;
+  if (root === 'users' && resource === 'calendar' && method === 'get') {
+    return { id: 'sandbox-calendar', owner: { address: mailbox } };
+  }
+  if (root === 'users' && resource === 'sendMail' && method === 'post') return {};
+  if (root === 'users' && resource === 'calendarView' && method === 'get') {
+    const start = new Date(query.startDateTime);
+    const end = new Date(query.endDateTime);
+    return {
+      value: [...events.values()]
+        .filter((e) => e.mailbox === mailbox)
+        .map(inUtc)
+        .filter((e) => new Date(`${e.start.dateTime}Z`) < end && new Date(`${e.end.dateTime}Z`) > start),
+    };
+  }
+  if (root === 'users' && resource === 'events') {
+    if (!eventId && method === 'post') {
+      const event = {
+        ...body,
+        id: `sandbox-event-${nextId++}`,
+        mailbox,
+        showAs: 'busy',
+        isAllDay: false,
+        isCancelled: false,
+      };
+      events.set(event.id, event);
+      return event;
+    }
+    const event = events.get(eventId);
+    if (!event || event.mailbox !== mailbox) {
+      throw graphError(404, 'ErrorItemNotFound', 'The specified object was not found in the store.');
+    }
+    if (action === 'cancel' && method === 'post') {
+      event.isCancelled = true;
+      return {};
+    }
+    if (!action && method === 'patch') return Object.assign(event, body);
+    if (!action && method === 'get') return inUtc(event);
+  }
+  if (root === 'subscriptions') {
+    if (!owner && method === 'post') {
+      return { ...body, id: `sandbox-subscription-${nextId++}` };
+    }
+    if (owner && method === 'patch') return { id: owner, ...body };
+  }
+  throw graphError(400, 'BadRequest', `No sandbox route for ${method.toUpperCase()} ${path}`);
+}
+
+class SandboxGraphRequest {
+  constructor(path) {
+    const url = new URL(path, 'https://graph.microsoft.com/v1.0/');
+    this.path = decodeURIComponent(url.pathname.replace(/^\/v1\.0/, ''));
+    this.queryParams = Object.fromEntries(url.searchParams);
+  }
+
+  header() {
+    return this;
+  }
+
+  query(params) {
+    Object.assign(this.queryParams, params);
+    return this;
+  }
+
+  select(fields) {
+    this.queryParams.$select = fields;
+    return this;
+  }
+
+  top(n) {
+    this.queryParams.$top = n;
+    return this;
+  }
+
+  async send(method, body) {
+    const request = { method, url: this.path, body };
+    try {
+      const data = respondGraph(method, this.path, body, this.queryParams);
+      record('graph', request, { status: method === 'post' ? 201 : 200, data });
+      return data;
+    } catch (e) {
+      record('graph', request, { status: e.statusCode || 500, data: { code: e.code, message: e.message } });
+      throw e;
+    }
+  }
+
+  get() {
+    return this.send('get');
+  }
+
+  post(body) {
+    return this.send('post', body);
+  }
+
+  patch(body) {
+    return this.send('patch', body);
+  }
+}
+
+/**
+ * Stand-in for the Graph SDK client (`client.api(path)...get()/post()/patch()`).
+ */
+export function createSandboxGraphClient() {
+  return { api: (path) => new SandboxGraphRequest(path) };
+}
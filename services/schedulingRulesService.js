@@ -0,0 +1,163 @@
+// backend/services/schedulingRulesService.js
+//
+// Which sessions may be booked at all, before seats are considered:
+//   - blackout date ranges (holidays, breaks), optionally per slot
+//   - the weekdays each slot runs on
+//   - minimum notice before class starts / maximum days in advance
+//     (env defaults, overridable per slot)
+import dotenv from 'dotenv';
+import moment from 'moment-timezone';
+import Blackout from '../models/blackout.models.js';
+import { getSessionTimes, describeSessionTimes } from './slotService.js';
+import { getCourseSlots } from './courseService.js';
+import { toBookingDate } from './capacityService.js';
+import { describeConflict } from './busyTimeService.js';
+import { loadSeatPlanner } from './instructorService.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const MIN_NOTICE_HOURS = Number(process.env.BOOKING_MIN_NOTICE_HOURS || 24);
+const MAX_ADVANCE_DAYS = Number(process.env.BOOKING_MAX_ADVANCE_DAYS || 180);
+// Longest range GET /api/availability will compute in one request
+export const MAX_CALENDAR_DAYS = 93;
+const WEEKDAY_NAMES = moment.weekdays();
+
+// ------------------------------------------------------
+// Rule checks
+// ------------------------------------------------------
+/**
+ * Blackouts overlapping [fromISO, toISO].
+ *
+ * @param {string} fromISO - "YYYY-MM-DD"
+ * @param {string} toISO   - "YYYY-MM-DD"
+ */
+export async function loadBlackouts(fromISO, toISO) {
+  return Blackout.find({
+    startDate: { $lte: toISO },
+    endDate: { $gte: fromISO },
+  }).lean();
+}
+
+/**
+ * Check one session against the rules.
+ *
+ * @param {string} dateISO - "YYYY-MM-DD"
+ * @param {Object} slot
+ * @param {Object} context
+ * @param {Object[]} context.blackouts - from loadBlackouts() covering dateISO
+ * @param {moment.Moment} [context.now]
+ * @returns {{ reason: string, message: string }|null} null when bookable
+ */
+export function checkSession(dateISO, slot, { blackouts, now = moment() }) {
+  const blackout = blackouts.find(
+    (b) =>
+      b.startDate <= dateISO &&
+      b.endDate >= dateISO &&
+      (!b.slotIds?.length || b.slotIds.includes(slot.slotId))
+  );
+  if (blackout) {
+    return { reason: 'blackout', message: blackout.reason || 'No classes on this date' };
+  }
+
+  const weekdays = slot.weekdays?.length ? slot.weekdays : [0, 1, 2, 3, 4, 5, 6];
+  const weekday = moment(dateISO, 'YYYY-MM-DD').day();
+  if (!weekdays.includes(weekday)) {
+    return {
+      reason: 'weekday',
+      message: `The ${slot.label} class doesn't run on ${WEEKDAY_NAMES[weekday]}s`,
+    };
+  }
+
+  const { start } = getSessionTimes(dateISO, slot);
+  const minNotice = slot.minNoticeHours ?? MIN_NOTICE_HOURS;
+  if (start.diff(now, 'hours', true) < minNotice) {
+    return {
+      reason: 'too_soon',
+      message: `Classes must be booked at least ${minNotice} hours in advance`,
+    };
+  }
+  const maxAdvance = slot.maxAdvanceDays ?? MAX_ADVANCE_DAYS;
+  if (start.diff(now, 'days', true) > maxAdvance) {
+    return {
+      reason: 'too_far',
+      message: `Classes can be booked at most ${maxAdvance} days in advance`,
+    };
+  }
+  return null;
+}
+
+/**
+ * checkSession() for a single session, loading the blackouts it needs.
+ *
+ * @param {string} dateISO - "YYYY-MM-DD"
+ * @param {Object} slot
+ */
+export async function checkSessionRules(dateISO, slot) {
+  const blackouts = await loadBlackouts(dateISO, dateISO);
+  return checkSession(dateISO, slot, { blackouts });
+}
+
+// ------------------------------------------------------
+// Bookable calendar
+// ------------------------------------------------------
+/**
+ * Every session of `course` between `fromISO` and `toISO` that the rules allow, with
+ * its seat count across all of the course's instructors. Sessions that are
+ * full, or that no free instructor can teach, are listed as unavailable
+ * (with a reason) so the form can offer the waitlist. Sessions the rules exclude are left out entirely, and so
+ * are days the rules exclude completely.
+ *
+ * @param {Object} course
+ * @param {string} fromISO - "YYYY-MM-DD"
+ * @param {string} toISO   - "YYYY-MM-DD", at most MAX_CALENDAR_DAYS later
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA zone to render each session in
+ *   (see slotService.describeSessionTimes; defaults to the slot's zone)
+ * @returns {Promise<Array<{ date: string, slots: Object[] }>>}
+ */
+export async function getBookableCalendar(course, fromISO, toISO, { timeZone } = {}) {
+  const [slots, blackouts, planner] = await Promise.all([
+    getCourseSlots(course),
+    loadBlackouts(fromISO, toISO),
+    loadSeatPlanner(fromISO, toISO),
+  ]);
+
+  const now = moment();
+  const days = [];
+  for (
+    let day = moment(fromISO, 'YYYY-MM-DD');
+    day.format('YYYY-MM-DD') <= toISO;
+    day.add(1, 'day')
+  ) {
+    const dateISO = day.format('YYYY-MM-DD');
+    const date = toBookingDate(dateISO);
+
+    const daySlots = [];
+    slots.forEach((slot) => {
+      if (checkSession(dateISO, slot, { blackouts, now })) return;
+
+      const { capacity, booked, remaining, reason } = planner.seatsFor(course, date, slot);
+      const entry = {
+        slotId: slot.slotId,
+        label: slot.label,
+        ...describeSessionTimes(dateISO, slot, timeZone),
+        capacity,
+        booked,
+        remaining,
+        available: remaining > 0,
+      };
+      if (reason === 'full') {
+        entry.reason = 'full';
+        entry.waitlistOpen = true;
+      } else if (reason) {
+        entry.reason = reason;
+        entry.message = describeConflict(reason);
+      }
+      daySlots.push(entry);
+    });
+
+    if (daySlots.length) days.push({ date: dateISO, slots: daySlots });
+  }
+  return days;
+}
@@ -0,0 +1,259 @@
+// backend/services/slotService.js
+import moment from 'moment-timezone';
+import Slot from '../models/slot.models.js';
+import Booking from '../models/booking.models.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('slotService');
+
+// ------------------------------------------------------
+// Seed data: the slots that used to be hardcoded in SLOT_MAP
+// ------------------------------------------------------
+const DEFAULT_SLOTS = [
+  {
+    slotId: 'morning',
+    label: '9am-12pm EST/8am-11am CST',
+    legacyLabels: ['9am-12pm EST/8am-11pm CST'],
+    startTime: '09:00',
+    endTime: '12:00',
+    sortOrder: 1,
+  },
+  {
+    slotId: 'late-morning',
+    label: '10am-1pm EST/9am-12pm CST',
+    legacyLabels: [],
+    startTime: '10:00',
+    endTime: '13:00',
+    sortOrder: 2,
+  },
+  {
+    slotId: 'afternoon',
+    label: '2pm-5pm EST/1pm-4pm CST',
+    legacyLabels: [],
+    startTime: '14:00',
+    endTime: '17:00',
+    sortOrder: 3,
+  },
+];
+
+/**
+ * Seed the slot catalog on first run and tag bookings created before slots
+ * had ids. Safe to call on every startup.
+ */
+export async function ensureSlotCatalog() {
+  if ((await Slot.estimatedDocumentCount()) === 0) {
+    await Slot.insertMany(DEFAULT_SLOTS);
+    log.info('Seeded default class slots');
+  }
+
+  const slots = await Slot.find().lean();
+  for (const slot of slots) {
+    const { modifiedCount } = await Booking.updateMany(
+      {
+        slotId: { $exists: false },
+        timeSlot: { $in: [slot.label, ...slot.legacyLabels] },
+      },
+      { slotId: slot.slotId }
+    );
+    if (modifiedCount) {
+      log.info('Tagged bookings with slotId', { count: modifiedCount, slotId: slot.slotId });
+    }
+  }
+}
+
+// ------------------------------------------------------
+// Lookups
+// ------------------------------------------------------
+/**
+ * All slots, in display order.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false]
+ */
+export async function listSlots({ includeInactive = false } = {}) {
+  return Slot.find(includeInactive ? {} : { active: true })
+    .sort({ sortOrder: 1, startTime: 1 })
+    .lean();
+}
+
+/**
+ * Find a slot by its id.
+ *
+ * @param {string} slotId
+ * @returns {Promise<Object|null>}
+ */
+export async function getSlot(slotId) {
+  if (!slotId) return null;
+  return Slot.findOne({ slotId }).lean();
+}
+
+/**
+ * Resolve what a client sent (a slot id, or a current/legacy label from
+ * older clients) to a slot.
+ *
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=true] - ignore deactivated slots
+ * @returns {Promise<Object|null>}
+ */
+export async function resolveSlot(value, { activeOnly = true } = {}) {
+  if (!value || typeof value !== 'string') return null;
+  const filter = {
+    $or: [{ slotId: value }, { label: value }, { legacyLabels: value }],
+  };
+  if (activeOnly) filter.active = true;
+  return Slot.findOne(filter).lean();
+}
+
+/**
+ * Map of slotId → slot for every slot, including inactive ones.
+ *
+ * @returns {Promise<Map<string, Object>>}
+ */
+export async function getSlotMap() {
+  const slots = await Slot.find().lean();
+  return new Map(slots.map((s) => [s.slotId, s]));
+}
+
+// ------------------------------------------------------
+// Session times
+// ------------------------------------------------------
+/**
+ * Start and end of one session of `slot` on `dateISO`, in the slot's own
+ * time zone. This is the canonical instant: Outlook events, .ics files,
+ * HubSpot properties, emails and availability responses all derive their
+ * times here.
+ *
+ * @param {string} dateISO - "YYYY-MM-DD"
+ * @param {Object} slot
+ * @returns {{ start: moment.Moment, end: moment.Moment, timeZone: string }}
+ */
+export function getSessionTimes(dateISO, slot) {
+  const start = moment.tz(
+    `${dateISO} ${slot.startTime}`,
+    'YYYY-MM-DD HH:mm',
+    slot.timeZone
+  );
+  const end = moment.tz(
+    `${dateISO} ${slot.endTime}`,
+    'YYYY-MM-DD HH:mm',
+    slot.timeZone
+  );
+  return { start, end, timeZone: slot.timeZone };
+}
+
+/**
+ * A session's times for API responses: ISO instants (UTC) plus a rendering
+ * in `timeZone` (the caller's; defaults to the slot's own zone). The local
+ * date can differ from the class date for callers far from the slot's zone.
+ *
+ * @param {string} dateISO - "YYYY-MM-DD"
+ * @param {Object} slot
+ * @param {string} [timeZone] - IANA zone to render in
+ * @returns {{ start: string, end: string, timeZone: string,
+ *   local: { timeZone: string, date: string, startTime: string, endTime: string, label: string } }}
+ */
+export function describeSessionTimes(dateISO, slot, timeZone) {
+  const { start, end } = getSessionTimes(dateISO, slot);
+  const zone = timeZone || slot.timeZone;
+  const localStart = start.clone().tz(zone);
+  const localEnd = end.clone().tz(zone);
+  return {
+    start: start.toISOString(),
+    end: end.toISOString(),
+    timeZone: slot.timeZone,
+    local: {
+      timeZone: zone,
+      date: localStart.format('YYYY-MM-DD'),
+      startTime: localStart.format('HH:mm'),
+      endTime: localEnd.format('HH:mm'),
+      label: formatSessionTime(dateISO, slot, zone),
+    },
+  };
+}
+
+/**
+ * "2:00 PM – 5:00 PM EDT": a session's time of day in `timeZone` (defaults
+ * to the slot's zone), with the abbreviation that applies on that date.
+ *
+ * @param {string} dateISO - "YYYY-MM-DD"
+ * @param {Object} slot
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export function formatSessionTime(dateISO, slot, timeZone) {
+  const { start, end } = getSessionTimes(dateISO, slot);
+  const zone = timeZone || slot.timeZone;
+  return `${start.clone().tz(zone).format('h:mm A')} – ${end.clone().tz(zone).format('h:mm A z')}`;
+}
+
+// ------------------------------------------------------
+// Booking times
+// ------------------------------------------------------
+/**
+ * getSessionTimes() as Dates, for Booking.start / Booking.end.
+ *
+ * @param {string} dateISO - "YYYY-MM-DD"
+ * @param {Object} slot
+ * @returns {{ start: Date, end: Date }}
+ */
+export function getSessionWindow(dateISO, slot) {
+  const { start, end } = getSessionTimes(dateISO, slot);
+  return { start: start.toDate(), end: end.toDate() };
+}
+
+async function stampBookings(filter) {
+  const slotMap = await getSlotMap();
+  const bookings = Booking.find(filter).select('date slotId').lean().cursor();
+  let stamped = 0;
+  let unknownSlot = 0;
+  let ops = [];
+  const flush = async () => {
+    if (!ops.length) return;
+    const { modifiedCount } = await Booking.bulkWrite(ops, { ordered: false });
+    stamped += modifiedCount;
+    ops = [];
+  };
+
+  for await (const booking of bookings) {
+    const slot = slotMap.get(booking.slotId);
+    if (!slot) {
+      unknownSlot += 1;
+      continue;
+    }
+    const dateISO = moment(booking.date, 'MM/DD/YYYY').format('YYYY-MM-DD');
+    ops.push({
+      updateOne: { filter: { _id: booking._id }, update: getSessionWindow(dateISO, slot) },
+    });
+    if (ops.length >= 500) await flush();
+  }
+  await flush();
+  return { stamped, unknownSlot };
+}
+
+/**
+ * Give bookings made before Booking.start / Booking.end existed their
+ * session times. Bookings whose slot is unknown are left out of date range
+ * queries until they get a slotId. Safe to call on every startup (after
+ * ensureSlotCatalog()).
+ */
+export async function ensureBookingTimes() {
+  const { stamped, unknownSlot } = await stampBookings({ start: { $exists: false } });
+  if (stamped) log.info('Added start/end to bookings', { count: stamped });
+  if (unknownSlot) {
+    log.warn('Bookings without a known slot have no start/end', { count: unknownSlot });
+  }
+}
+
+/**
+ * Recompute start / end of a slot's upcoming bookings after its times or
+ * time zone changed. Past bookings keep the times they were taught at.
+ *
+ * @param {string} slotId
+ * @returns {Promise<number>} bookings updated
+ */
+export async function restampBookingTimes(slotId) {
+  const { stamped } = await stampBookings({ slotId, start: { $gte: new Date() } });
+  if (stamped) log.info('Moved upcoming bookings to new slot times', { slotId, count: stamped });
+  return stamped;
+}
@@ -0,0 +1,367 @@
+// backend/services/tokenStore.js
+//
+// OAuth tokens per provider + account (models/oauthToken.models.js), with
+// the secrets encrypted at rest (utils/secretBox.js).
+//
+// Refreshes are serialized per account: within this process concurrent
+// callers share one refresh, and across instances a short lease on the
+// document (refreshLockedUntil) makes the others wait for its result
+// instead of spending the same refresh token twice.
+import dotenv from 'dotenv';
+import OAuthToken from '../models/oauthToken.models.js';
+import Token from '../models/token.models.js';
+import MsToken from '../models/msToken.models.js';
+import {
+  CURRENT_KEY_ID,
+  decryptSecret,
+  encryptSecret,
+  hasKey,
+} from '../utils/secretBox.js';
+import { createLogger } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('tokenStore');
+
+// Tokens this close to expiry are refreshed before use
+const EXPIRY_MARGIN_MS = 60 * 1000;
+// Longest one instance may hold the refresh lease
+const REFRESH_LOCK_MS = 30 * 1000;
+const REFRESH_POLL_MS = 250;
+
+// "<provider>:<accountId>" → in-flight refresh promise
+const inFlight = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function secretContext(provider, accountId, field) {
+  return `${provider}:${accountId}:${field}`;
+}
+
+function encryptTokens(provider, accountId, { accessToken, refreshToken }) {
+  return {
+    accessToken: encryptSecret(accessToken, secretContext(provider, accountId, 'access')),
+    ...(refreshToken && {
+      refreshToken: encryptSecret(refreshToken, secretContext(provider, accountId, 'refresh')),
+    }),
+    keyId: CURRENT_KEY_ID,
+  };
+}
+
+// Document → plain object with the secrets decrypted
+function toTokens(doc) {
+  const { provider, accountId } = doc;
+  return {
+    provider,
+    accountId,
+    accountName: doc.accountName,
+    accessToken: decryptSecret(doc.accessToken, secretContext(provider, accountId, 'access')),
+    refreshToken: doc.refreshToken
+      ? decryptSecret(doc.refreshToken, secretContext(provider, accountId, 'refresh'))
+      : null,
+    expiresAt: doc.expiresAt,
+    scopes: doc.scopes,
+    needsReauth: doc.needsReauth,
+    lastRefreshError: doc.lastRefreshError,
+  };
+}
+
+/**
+ * Whether an access token is expired or about to be.
+ *
+ * @param {{ expiresAt: Date }} tokens
+ */
+export function isExpiring(tokens) {
+  return new Date(tokens.expiresAt).getTime() - EXPIRY_MARGIN_MS <= Date.now();
+}
+
+// ------------------------------------------------------
+// Read / write
+// ------------------------------------------------------
+/**
+ * Store tokens from an install / consent flow (replacing the account's
+ * previous ones and clearing needsReauth).
+ *
+ * @param {"hubspot"|"microsoft"} provider
+ * @param {string} accountId
+ * @param {Object} tokens
+ * @param {string} tokens.accessToken
+ * @param {string} [tokens.refreshToken]
+ * @param {Date|number} tokens.expiresAt
+ * @param {string} [tokens.accountName]
+ * @param {string[]} [tokens.scopes]
+ */
+export async function saveTokens(provider, accountId, tokens) {
+  const id = String(accountId);
+  await OAuthToken.findOneAndUpdate(
+    { provider, accountId: id },
+    {
+      ...encryptTokens(provider, id, tokens),
+      expiresAt: new Date(tokens.expiresAt),
+      accountName: tokens.accountName,
+      scopes: tokens.scopes,
+      needsReauth: false,
+      lastRefreshError: null,
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+  log.info('Stored tokens', { provider, accountId: id });
+}
+
+/**
+ * Decrypted tokens for an account.
+ *
+ * @param {"hubspot"|"microsoft"} provider
+ * @param {string} accountId
+ * @returns {Promise<Object|null>}
+ */
+export async function getTokens(provider, accountId) {
+  if (!accountId) throw new Error(`getTokens(${provider}) needs an accountId`);
+  const doc = await OAuthToken.findOne({ provider, accountId: String(accountId) });
+  return doc ? toTokens(doc) : null;
+}
+
+/**
+ * Flag an account whose refresh token the provider rejected.
+ */
+export async function markNeedsReauth(provider, accountId, reason) {
+  await OAuthToken.updateOne(
+    { provider, accountId: String(accountId) },
+    { needsReauth: true, lastRefreshError: reason }
+  );
+}
+
+// ------------------------------------------------------
+// Refresh
+// ------------------------------------------------------
+async function acquireRefreshLock(provider, accountId) {
+  const now = new Date();
+  return OAuthToken.findOneAndUpdate(
+    {
+      provider,
+      accountId,
+      $or: [{ refreshLockedUntil: null }, { refreshLockedUntil: { $lte: now } }],
+    },
+    { refreshLockedUntil: new Date(now.getTime() + REFRESH_LOCK_MS) },
+    { new: true }
+  );
+}
+
+async function runRefresh(provider, accountId, refresh) {
+  const deadline = Date.now() + 2 * REFRESH_LOCK_MS;
+  for (;;) {
+    const doc = await acquireRefreshLock(provider, accountId);
+    if (doc) {
+      let update = {};
+      try {
+        const current = toTokens(doc);
+        // Someone else refreshed (or gave up) while we waited for the lease
+        if (current.needsReauth || !isExpiring(current)) return current;
+
+        const fresh = await refresh(current);
+        const tokens = {
+          ...current,
+          accessToken: fresh.accessToken,
+          refreshToken: fresh.refreshToken || current.refreshToken,
+          expiresAt: new Date(fresh.expiresAt),
+        };
+        update = {
+          ...encryptTokens(provider, accountId, tokens),
+          expiresAt: tokens.expiresAt,
+          lastRefreshError: null,
+          lastRefreshedAt: new Date(),
+        };
+        return tokens;
+      } finally {
+        await OAuthToken.updateOne(
+          { _id: doc._id },
+          { ...update, refreshLockedUntil: null }
+        );
+      }
+    }
+
+    if (!(await OAuthToken.exists({ provider, accountId }))) return null;
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for the ${provider} token refresh of another instance`);
+    }
+    await sleep(REFRESH_POLL_MS);
+  }
+}
+
+/**
+ * Refresh an account's tokens, at most once at a time across every caller
+ * and instance. `refresh` only runs if the tokens are still expiring once
+ * the lease is held; it gets the current tokens and returns the new ones.
+ * If it throws, the error reaches every waiting caller and the stored
+ * tokens are left as they were (call markNeedsReauth() first if the
+ * refresh token was rejected).
+ *
+ * @param {"hubspot"|"microsoft"} provider
+ * @param {string} accountId
+ * @param {(tokens: Object) => Promise<{ accessToken: string, refreshToken?: string, expiresAt: Date|number }>} refresh
+ * @returns {Promise<Object|null>} the tokens after the refresh (check
+ *   needsReauth), or null if the account is gone
+ */
+export function refreshTokens(provider, accountId, refresh) {
+  const id = String(accountId);
+  const key = `${provider}:${id}`;
+  if (!inFlight.has(key)) {
+    inFlight.set(
+      key,
+      runRefresh(provider, id, refresh).finally(() => inFlight.delete(key))
+    );
+  }
+  return inFlight.get(key);
+}
+
+// ------------------------------------------------------
+// Admin
+// ------------------------------------------------------
+/**
+ * Status of every stored account, without the secrets.
+ */
+export async function listTokenStatus() {
+  const docs = await OAuthToken.find()
+    .select('-accessToken -refreshToken')
+    .sort({ provider: 1, accountId: 1 });
+  return docs.map((doc) => ({
+    provider: doc.provider,
+    accountId: doc.accountId,
+    accountName: doc.accountName,
+    scopes: doc.scopes,
+    expiresAt: doc.expiresAt,
+    expired: doc.expiresAt.getTime() <= Date.now(),
+    needsReauth: doc.needsReauth,
+    lastRefreshError: doc.lastRefreshError,
+    lastRefreshedAt: doc.lastRefreshedAt,
+    keyId: doc.keyId,
+    keyAvailable: hasKey(doc.keyId),
+    keyCurrent: doc.keyId === CURRENT_KEY_ID,
+    updatedAt: doc.updatedAt,
+  }));
+}
+
+/**
+ * Re-encrypt every account not on the current key (after a key rotation).
+ * Accounts whose key is no longer configured are skipped and reported.
+ *
+ * @returns {Promise<{ reencrypted: number, unreadable: Array<{ provider: string, accountId: string }> }>}
+ */
+export async function reencryptTokens() {
+  const stale = await OAuthToken.find({ keyId: { $ne: CURRENT_KEY_ID } });
+  let reencrypted = 0;
+  const unreadable = [];
+  for (const doc of stale) {
+    try {
+      const tokens = toTokens(doc);
+      // Only if nobody refreshed it in the meantime
+      const { modifiedCount } = await OAuthToken.updateOne(
+        { _id: doc._id, keyId: doc.keyId, accessToken: doc.accessToken },
+        encryptTokens(doc.provider, doc.accountId, tokens)
+      );
+      reencrypted += modifiedCount;
+    } catch (e) {
+      log.error('Could not re-encrypt tokens', {
+        provider: doc.provider,
+        accountId: doc.accountId,
+        err: e,
+      });
+      unreadable.push({ provider: doc.provider, accountId: doc.accountId });
+    }
+  }
+  log.info('Re-encrypted tokens', { reencrypted, unreadable: unreadable.length, keyId: CURRENT_KEY_ID });
+  return { reencrypted, unreadable };
+}
+
+// ------------------------------------------------------
+// Migration
+// ------------------------------------------------------
+/**
+ * Move plaintext tokens from the old Token (HubSpot) and MsToken
+ * collections into the encrypted store, deleting the plaintext copies.
+ * Accounts already in the store keep their (newer) tokens. Call once,
+ * after Mongo is connected.
+ *
+ * Old HubSpot rows may not know their portal; it is taken from
+ * HUBSPOT_PORTAL_ID, else asked of HubSpot with `hubspotTokenInfo`. A
+ * row whose portal can't be worked out is left in place for the next start.
+ *
+ * @param {Object} [options]
+ * @param {(accessToken: string) => Promise<{ hub_id: number, hub_domain?: string }>} [options.hubspotTokenInfo]
+ *   hubspotService.getTokenInfo (passed in; hubspotService imports this module)
+ */
+export async function migrateLegacyTokens({ hubspotTokenInfo } = {}) {
+  const [hubspot, microsoft] = await Promise.all([Token.find(), MsToken.find()]);
+  if (!hubspot.length && !microsoft.length) return;
+  if (!CURRENT_KEY_ID) {
+    log.warn('Plaintext tokens found but TOKEN_ENCRYPTION_KEYS is not set; not migrating them');
+    return;
+  }
+
+  // Portal for an old HubSpot row, or null when it can't be worked out
+  async function portalOf(doc) {
+    if (doc.portalId) return { accountId: String(doc.portalId) };
+    if (process.env.HUBSPOT_PORTAL_ID) return { accountId: process.env.HUBSPOT_PORTAL_ID };
+    if (!hubspotTokenInfo || !doc.accessToken) return null;
+    try {
+      const info = await hubspotTokenInfo(doc.accessToken);
+      return info.hub_id ? { accountId: String(info.hub_id), accountName: info.hub_domain } : null;
+    } catch (e) {
+      log.warn('Could not look up the portal of a plaintext HubSpot token', {
+        status: e.response?.status,
+      });
+      return null;
+    }
+  }
+
+  const portals = await Promise.all(hubspot.map(portalOf));
+  hubspot.forEach((doc, n) => {
+    if (!portals[n]) {
+      log.warn(
+        'Plaintext HubSpot token has no known portal; left unmigrated (set HUBSPOT_PORTAL_ID)'
+      );
+    }
+  });
+
+  const legacy = [
+    ...hubspot
+      .map((doc, n) => ({ doc, portal: portals[n] }))
+      .filter(({ portal }) => portal)
+      .map(({ doc, portal }) => ({
+        model: Token,
+        doc,
+        provider: 'hubspot',
+        accountId: portal.accountId,
+        extra: {
+          accountName: doc.hubDomain || portal.accountName,
+          scopes: doc.scopes,
+          needsReauth: doc.needsReauth,
+          lastRefreshError: doc.lastRefreshError,
+        },
+      })),
+    ...microsoft.map((doc) => ({
+      model: MsToken,
+      doc,
+      provider: 'microsoft',
+      accountId: doc.accountId || 'default',
+      extra: {},
+    })),
+  ];
+
+  for (const { model, doc, provider, accountId, extra } of legacy) {
+    if (doc.accessToken && !(await OAuthToken.exists({ provider, accountId }))) {
+      await OAuthToken.create({
+        provider,
+        accountId,
+        ...encryptTokens(provider, accountId, doc),
+        expiresAt: new Date(doc.expiresAt || 0),
+        ...extra,
+      });
+    }
+    await model.deleteOne({ _id: doc._id });
+    log.info('Migrated plaintext tokens', { provider, accountId });
+  }
+}
@@ -0,0 +1,452 @@
+// backend/services/waitlistService.js
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import WaitlistEntry from '../models/waitlistEntry.models.js';
+import Booking from '../models/booking.models.js';
+import { toDateISO } from './capacityService.js';
+import { getSlot } from './slotService.js';
+import { reserveSeats, cancelBooking, SessionConflictError } from './bookingService.js';
+import {
+  DEFAULT_COURSE_ID,
+  getCourse,
+  getCourseFor,
+  getCourseMap,
+  getSessionPropertyValues,
+} from './courseService.js';
+import { getSessionSeats } from './instructorService.js';
+import { enqueueJob, processJobsSoon } from './jobQueue.js';
+import { queueConfirmation, queueWaitlistOffer } from './notificationService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const log = createLogger('waitlistService');
+
+// How long a promoted student has to confirm their seat
+const OFFER_HOURS = Number(process.env.WAITLIST_OFFER_HOURS || 24);
+const EXPIRY_SCAN_INTERVAL_MS = Number(
+  process.env.WAITLIST_EXPIRY_SCAN_INTERVAL_MS || 5 * 60 * 1000
+);
+
+let expiryTimer = null;
+
+// ------------------------------------------------------
+// Errors
+// ------------------------------------------------------
+/**
+ * Thrown by joinWaitlist() when the student can't (or needn't) join.
+ */
+export class WaitlistError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'WaitlistError';
+    // "seats_available" | "already_waiting" | "already_booked" |
+    // "session_taken" | "no_free_session"
+    this.reason = reason;
+  }
+}
+
+// ------------------------------------------------------
+// Joining
+// ------------------------------------------------------
+// Records saved before courses existed have no courseId and belong to the
+// default course
+function courseFilter(courseId) {
+  return courseId === DEFAULT_COURSE_ID ? { $in: [courseId, null] } : courseId;
+}
+
+// The student's sessionNumbers (1-3) in a course held by active bookings
+// and by open waitlist entries
+async function sessionNumbersInUse(courseId, email) {
+  const course = courseFilter(courseId);
+  const [booked, waiting] = await Promise.all([
+    Booking.distinct('sessionNumber', { courseId: course, email, status: { $ne: 'cancelled' } }),
+    WaitlistEntry.distinct('sessionNumber', {
+      courseId: course,
+      email,
+      status: { $in: ['waiting', 'offered'] },
+    }),
+  ]);
+  return { booked, waiting };
+}
+
+/**
+ * Which of the student's sessions a waitlist seat is for. An explicit
+ * number must not be one the student already has a booking for (the
+ * offer would overwrite that session's HubSpot properties); otherwise
+ * the first number neither booked nor waited for is used.
+ */
+async function chooseSessionNumber(courseId, email, requested) {
+  const { booked, waiting } = await sessionNumbersInUse(courseId, email);
+  if (requested) {
+    if (booked.includes(requested)) {
+      throw new WaitlistError(
+        `You already have a booking for session ${requested}`,
+        'session_taken'
+      );
+    }
+    return requested;
+  }
+  const free = [1, 2, 3].find((n) => !booked.includes(n) && !waiting.includes(n));
+  if (!free) {
+    throw new WaitlistError(
+      'All three of your sessions are booked or waitlisted; choose a sessionNumber',
+      'no_free_session'
+    );
+  }
+  return free;
+}
+
+/**
+ * Add a student to a full session's waitlist.
+ *
+ * @param {Object} params
+ * @param {string} [params.courseId] - defaults to DEFAULT_COURSE_ID
+ * @param {string} params.date   - "MM/DD/YYYY"
+ * @param {string} params.slotId
+ * @param {string} params.email
+ * @param {Object} [params.details] - firstName, lastName, company, phone,
+ *   sessionNumber (see chooseSessionNumber)
+ * @returns {Promise<{ entry: Object, position: number }>}
+ * @throws {WaitlistError}
+ */
+export async function joinWaitlist({
+  courseId = DEFAULT_COURSE_ID,
+  date,
+  slotId,
+  email,
+  details = {},
+}) {
+  const [course, slot] = await Promise.all([getCourse(courseId), getSlot(slotId)]);
+  const { remaining } =
+    course && slot ? await getSessionSeats(course, date, slot) : { remaining: 0 };
+  if (remaining > 0) {
+    throw new WaitlistError('Seats are still available for this session', 'seats_available');
+  }
+  if (await Booking.exists({ date, slotId, email, status: { $ne: 'cancelled' } })) {
+    throw new WaitlistError('You are already booked for this session', 'already_booked');
+  }
+  const sessionNumber = await chooseSessionNumber(courseId, email, details.sessionNumber);
+
+  let entry;
+  try {
+    entry = await WaitlistEntry.create({
+      ...details,
+      sessionNumber,
+      studentName: `${details.firstName ?? ''} ${details.lastName ?? ''}`.trim(),
+      courseId,
+      date,
+      slotId,
+      email,
+    });
+  } catch (e) {
+    if (e.code === 11000) {
+      throw new WaitlistError('You are already on the waitlist for this session', 'already_waiting');
+    }
+    throw e;
+  }
+  log.info('Joined waitlist', { entryId: String(entry._id), courseId, date, slotId });
+
+  return { entry, position: await getPosition(entry) };
+}
+
+/**
+ * 1-based place in line for a waiting entry.
+ */
+export async function getPosition(entry) {
+  const ahead = await WaitlistEntry.countDocuments({
+    courseId: courseFilter(entry.courseId || DEFAULT_COURSE_ID),
+    date: entry.date,
+    slotId: entry.slotId,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt },
+  });
+  return ahead + 1;
+}
+
+// ------------------------------------------------------
+// Promotion
+// ------------------------------------------------------
+async function offerSeat(entry, slot) {
+  let booking;
+  try {
+    [booking] = await reserveSeats({
+      email: entry.email,
+      selections: [{ date: entry.date, slot, sessionNumber: entry.sessionNumber }],
+      details: {
+        courseId: entry.courseId || DEFAULT_COURSE_ID,
+        studentName: entry.studentName,
+        company: entry.company,
+        phone: entry.phone,
+      },
+    });
+  } catch (e) {
+    if (e instanceof SessionConflictError && e.reason === 'duplicate') {
+      // Booked this session some other way in the meantime
+      await WaitlistEntry.updateOne({ _id: entry._id }, { status: 'left' });
+      return 'skipped';
+    }
+    // Full again (or a transient error): back in line, same place
+    await WaitlistEntry.updateOne(
+      { _id: entry._id },
+      { status: 'waiting', $unset: { offeredAt: 1, offerExpiresAt: 1, offerToken: 1 } }
+    );
+    if (e instanceof SessionConflictError) return 'full';
+    throw e;
+  }
+
+  entry.bookingId = booking._id;
+  await entry.save();
+
+  // Only the offer email for now: the calendar invite and HubSpot wait for
+  // confirmOffer(), so a declined or expired offer leaves no trace there
+  await queueWaitlistOffer(entry);
+  processJobsSoon();
+
+  log.info('Offered waitlist seat', {
+    entryId: String(entry._id),
+    date: entry.date,
+    slotId: slot.slotId,
+  });
+  return 'offered';
+}
+
+/**
+ * Give any open seats in a session to the people at the front of its
+ * waitlist. Safe to call whenever a seat might have opened (a cancellation,
+ * a reschedule away, a capacity increase, an expired offer).
+ *
+ * Seats are per course (each instructor's section runs one course), so an
+ * entry whose course has no room is passed over, keeping its place, for
+ * the next person waiting for a different course.
+ *
+ * @param {string} date   - "MM/DD/YYYY"
+ * @param {string} slotId
+ * @returns {Promise<number>} how many offers were made
+ */
+export async function promoteWaitlist(date, slotId) {
+  const slot = await getSlot(slotId);
+  if (!slot) return 0;
+
+  const courses = await getCourseMap();
+  const full = new Set(); // courses with no seat left in this session
+  let offered = 0;
+  for (;;) {
+    const next = await WaitlistEntry.findOne({
+      date,
+      slotId,
+      status: 'waiting',
+      courseId: { $nin: [...full] },
+    }).sort({ createdAt: 1 });
+    if (!next) break;
+
+    const course = courses.get(next.courseId || DEFAULT_COURSE_ID);
+    const { remaining } = course
+      ? await getSessionSeats(course, date, slot)
+      : { remaining: 0 };
+    if (remaining <= 0) {
+      full.add(next.courseId);
+      continue;
+    }
+
+    const now = new Date();
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: next._id, status: 'waiting' },
+      {
+        status: 'offered',
+        offeredAt: now,
+        offerExpiresAt: new Date(now.getTime() + OFFER_HOURS * 60 * 60 * 1000),
+        offerToken: crypto.randomBytes(24).toString('hex'),
+      },
+      { new: true }
+    );
+    if (!entry) continue;
+
+    const result = await offerSeat(entry, slot);
+    if (result === 'full') full.add(next.courseId);
+    if (result === 'offered') offered += 1;
+  }
+  return offered;
+}
+
+/**
+ * Queue a promotion run for a session (see the "waitlist.promote" job).
+ * Callers that just freed a seat use this so the promotion is retried if
+ * it fails and never slows down their own request.
+ */
+export async function queueWaitlistPromotion(date, slotId) {
+  await enqueueJob('waitlist.promote', { date, slotId });
+  processJobsSoon();
+}
+
+/**
+ * Queue promotion runs for every session of `slotId` that has people
+ * waiting (used when a slot's default capacity changes).
+ */
+export async function queueWaitlistPromotionForSlot(slotId) {
+  const dates = await WaitlistEntry.distinct('date', { slotId, status: 'waiting' });
+  for (const date of dates) {
+    await queueWaitlistPromotion(date, slotId);
+  }
+}
+
+/**
+ * Queue promotion runs for every session anyone is waiting for (used when
+ * instructors are added or can take more students).
+ */
+export async function queueAllWaitlistPromotions() {
+  const slotIds = await WaitlistEntry.distinct('slotId', { status: 'waiting' });
+  for (const slotId of slotIds) {
+    await queueWaitlistPromotionForSlot(slotId);
+  }
+}
+
+// ------------------------------------------------------
+// Offers
+// ------------------------------------------------------
+/**
+ * Look up an offer by the secret token from its email.
+ *
+ * @param {string} token
+ */
+export async function getOffer(token) {
+  if (typeof token !== 'string' || !/^[a-f0-9]{48}$/.test(token)) return null;
+  return WaitlistEntry.findOne({ offerToken: token });
+}
+
+/**
+ * Accept an offered seat.
+ *
+ * @param {string} token
+ * @returns {Promise<Object|null>} the entry, or null if the offer is unknown
+ *   or no longer open (check entry.status on a non-null result)
+ */
+export async function confirmOffer(token) {
+  if (!(await getOffer(token))) return null;
+
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { offerToken: token, status: 'offered', offerExpiresAt: { $gt: new Date() } },
+    { status: 'confirmed', confirmedAt: new Date() },
+    { new: true }
+  );
+  if (!entry) return getOffer(token);
+
+  log.info('Waitlist seat confirmed', { entryId: String(entry._id) });
+  const bookingId = String(entry.bookingId);
+  const slot = await getSlot(entry.slotId);
+  const sessionValues = getSessionPropertyValues(
+    await getCourseFor(entry),
+    entry.sessionNumber,
+    toDateISO(entry.date),
+    slot
+  );
+  await enqueueJob('hubspot.upsertContact', {
+    email: entry.email,
+    properties: {
+      firstname: entry.firstName,
+      lastname: entry.lastName,
+      email: entry.email,
+      your_company_name: entry.company,
+      phone: entry.phone,
+      ...sessionValues,
+    },
+    bookingIds: [bookingId],
+  }).catch((e) => log.error('Could not queue HubSpot update', e));
+  await enqueueJob('outlook.createEvent', { bookingId }).catch((e) =>
+    log.error('Could not queue Outlook event', e)
+  );
+  await queueConfirmation({ email: entry.email, bookingIds: [bookingId] })
+    .then(() => processJobsSoon())
+    .catch((e) => log.error('Could not queue confirmation email', e));
+  return entry;
+}
+
+/**
+ * Turn down an offered seat; it goes to the next person in line.
+ *
+ * @param {string} token
+ * @returns {Promise<Object|null>} the entry (see confirmOffer)
+ */
+export async function declineOffer(token) {
+  if (!(await getOffer(token))) return null;
+
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { offerToken: token, status: 'offered' },
+    { status: 'declined' },
+    { new: true }
+  );
+  if (!entry) return getOffer(token);
+
+  log.info('Waitlist seat declined', { entryId: String(entry._id) });
+  if (entry.bookingId) {
+    // cancelBooking frees the seat and queues the next promotion; nothing
+    // else ever heard of an unconfirmed offer
+    await cancelBooking(entry.bookingId, {
+      reason: 'Waitlist offer declined.',
+      syncHubSpot: false,
+      notify: false,
+    });
+  }
+  return entry;
+}
+
+/**
+ * Expire offers that were not confirmed in time and pass their seats on.
+ *
+ * @returns {Promise<number>} offers expired
+ */
+export async function expireOffers() {
+  const due = await WaitlistEntry.find({
+    status: 'offered',
+    offerExpiresAt: { $lte: new Date() },
+  }).select('_id');
+
+  let expired = 0;
+  for (const { _id } of due) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id, status: 'offered', offerExpiresAt: { $lte: new Date() } },
+      { status: 'expired' },
+      { new: true }
+    );
+    if (!entry) continue;
+    expired += 1;
+    log.info('Waitlist offer expired', {
+      entryId: String(entry._id),
+      date: entry.date,
+      slotId: entry.slotId,
+    });
+
+    try {
+      if (entry.bookingId) {
+        await cancelBooking(entry.bookingId, {
+          reason: 'Your waitlist seat was not confirmed in time.',
+          syncHubSpot: false,
+          notify: false,
+        });
+      } else {
+        await queueWaitlistPromotion(entry.date, entry.slotId);
+      }
+    } catch (e) {
+      log.error('Could not release seat', e);
+    }
+  }
+  return expired;
+}
+
+/**
+ * Start expiring stale offers. Call once, after Mongo is connected.
+ */
+export function startWaitlistExpiry() {
+  if (expiryTimer) return;
+  const run = () =>
+    expireOffers().catch((e) =>
+      log.error('Scan failed', e)
+    );
+  expiryTimer = setInterval(run, EXPIRY_SCAN_INTERVAL_MS);
+  log.info('Offer expiry started', {
+    offerHours: OFFER_HOURS,
+    scanIntervalMs: EXPIRY_SCAN_INTERVAL_MS,
+  });
+  run();
+}
@@ -0,0 +1,154 @@
+// tests/bookingService.test.js
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Booking from '../models/booking.models.js';
+import ClassSession from '../models/classSession.models.js';
+import Job from '../models/job.models.js';
+import {
+  reserveSeats,
+  releaseSeats,
+  cancelBooking,
+  SessionConflictError,
+} from '../services/bookingService.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+import { SLOT, classDate, seedCatalog, recordJobs, settle } from './helpers/fixtures.js';
+
+recordJobs([
+  'outlook.cancelEvent',
+  'outlook.removeAttendee',
+  'hubspot.syncSession',
+  'email.cancellation',
+  'waitlist.promote',
+]);
+
+function reserve(email, dates) {
+  return reserveSeats({
+    email,
+    selections: dates.map((date, i) => ({ date, slot: SLOT, sessionNumber: i + 1 })),
+  });
+}
+
+function seatsTaken(db, date) {
+  return db
+    .all(ClassSession, { date, slotId: SLOT.slotId })
+    .reduce((sum, s) => sum + s.booked, 0);
+}
+
+test('reserves a seat in an instructor section and counts it', async (t) => {
+  const db = createMemoryDb(t);
+  seedCatalog(db);
+  const date = classDate();
+
+  const [booking] = await reserve('ada@example.com', [date]);
+
+  assert.equal(booking.instructorId, 'jane');
+  assert.equal(booking.date, date);
+  assert.equal(booking.slotId, SLOT.slotId);
+  assert.equal(booking.timeSlot, SLOT.label);
+  assert.equal(seatsTaken(db, date), 1);
+});
+
+test('refuses a seat once every section is full', async (t) => {
+  const db = createMemoryDb(t);
+  seedCatalog(db);
+  const date = classDate();
+  await reserve('ada@example.com', [date]);
+
+  await assert.rejects(reserve('bob@example.com', [date]), (e) => {
+    assert.ok(e instanceof SessionConflictError);
+    assert.equal(e.reason, 'full');
+    return true;
+  });
+  assert.equal(db.all(Booking).length, 1);
+  assert.equal(seatsTaken(db, date), 1);
+});
+
+test('counts bookings made before the section had a counter', async (t) => {
+  const db = createMemoryDb(t);
+  seedCatalog(db);
+  const date = classDate();
+  db.insert(Booking, {
+    email: 'bob@example.com',
+    date,
+    slotId: SLOT.slotId,
+    timeSlot: SLOT.label,
+    instructorId: 'jane',
+  });
+
+  await assert.rejects(reserve('ada@example.com', [date]), { reason: 'full' });
+  assert.deepEqual(db.all(Booking, { email: 'ada@example.com' }), []);
+});
+
+test('refuses a second seat in the same session for one student', async (t) => {
+  const db = createMemoryDb(t);
+  seedCatalog(db, [{ instructorId: 'jane', capacity: 5 }]);
+  const date = classDate();
+  await reserve('ada@example.com', [date]);
+
+  await assert.rejects(reserve('ada@example.com', [date]), { reason: 'duplicate' });
+  assert.equal(seatsTaken(db, date), 1);
+});
+
+test('takes every selected session or none of them', async (t) => {
+  const db = createMemoryDb(t);
+  seedCatalog(db);
+  const [first, second] = [classDate(30), classDate(31)];
+  await reserve('bob@example.com', [second]);
+
+  await assert.rejects(reserve('ada@example.com', [first, second]), { reason: 'full' });
+  assert.deepEqual(db.all(Booking, { email: 'ada@example.com' }), []);
+  assert.equal(seatsTaken(db, first), 0);
+});
+
+test('puts a student in the emptier of two sections', async (t) => {
+  const db = createMemoryDb(t);
+  seedCatalog(db, [
+    { instructorId: 'jane', capacity: 2 },
+    { instructorId: 'omar', capacity: 2 },
+  ]);
+  const date = classDate();
+
+  const [first] = await reserve('ada@example.com', [date]);
+  const [second] = await reserve('bob@example.com', [date]);
+
+  assert.notEqual(first.instructorId, second.instructorId);
+});
+
+test('releaseSeats gives the seats back', async (t) => {
+  const db = createMemoryDb(t);
+  seedCatalog(db);
+  const date = classDate();
+  const bookings = await reserve('ada@example.com', [date]);
+
+  await releaseSeats(bookings);
+
+  assert.deepEqual(db.all(Booking), []);
+  assert.equal(seatsTaken(db, date), 0);
+  await reserve('bob@example.com', [date]);
+});
+
+test('cancelling one student of a shared event only takes them off it', async (t) => {
+  const db = createMemoryDb(t);
+  seedCatalog(db, [{ instructorId: 'jane', capacity: 2 }]);
+  const date = classDate();
+  const [ada] = await reserve('ada@example.com', [date]);
+  const [bob] = await reserve('bob@example.com', [date]);
+  db.update(
+    Booking,
+    { _id: { $in: [ada._id, bob._id] } },
+    { outlookEventId: 'evt-1', outlookMailbox: 'jane@example.com' }
+  );
+
+  const first = await cancelBooking(ada._id);
+  assert.equal(first.outlook, 'queued');
+  const [removal] = db.all(Job, { type: 'outlook.removeAttendee' });
+  assert.equal(removal.payload.email, 'ada@example.com');
+  assert.deepEqual(db.all(Job, { type: 'outlook.cancelEvent' }), []);
+
+  // the last student on it takes the event down
+  await cancelBooking(bob._id);
+  const [cancel] = db.all(Job, { type: 'outlook.cancelEvent' });
+  assert.equal(cancel.payload.eventId, 'evt-1');
+  await settle();
+});
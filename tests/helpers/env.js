@@ -0,0 +1,29 @@
+// tests/helpers/env.js
+//
+// Import first in every test file: services read their env when they load.
+import mongoose from 'mongoose';
+
+process.env.CLIENT_ID = 'test-hubspot-client-id';
+process.env.CLIENT_SECRET = 'test-hubspot-client-secret';
+process.env.HUBSPOT_PORTAL_ID = '123';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.DEFAULT_COURSE_ID = 'intro-to-ai';
+process.env.INSTRUCTOR_ASSIGNMENT_STRATEGY = 'least-loaded';
+process.env.PUBLIC_BASE_URL = 'https://scheduler.test';
+process.env.TOKEN_ENCRYPTION_KEYS = `test:${Buffer.alloc(32, 7).toString('base64')}`;
+process.env.DEFAULT_SEAT_CAPACITY = '1';
+process.env.WAITLIST_OFFER_HOURS = '24';
+
+// Nothing talks to a real database; anything the memory store doesn't
+// cover should fail at once rather than wait for a connection
+mongoose.set('bufferCommands', false);
+
+// Only errors from the service logger and nothing on the console (some
+// libraries still use it), which the test runner would mix into its own
+// output; TEST_LOGS=1 shows everything
+if (!process.env.TEST_LOGS) {
+  process.env.LOG_LEVEL = 'error';
+  ['log', 'info', 'warn', 'error'].forEach((level) => {
+    console[level] = () => {};
+  });
+}
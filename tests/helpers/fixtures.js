@@ -0,0 +1,73 @@
+// tests/helpers/fixtures.js
+import moment from 'moment';
+import Slot from '../../models/slot.models.js';
+import Course from '../../models/course.models.js';
+import Instructor from '../../models/instructor.models.js';
+import { registerJobHandler, processDueJobs } from '../../services/jobQueue.js';
+
+export const COURSE_ID = 'intro-to-ai';
+
+export const SLOT = {
+  slotId: 'afternoon',
+  label: '2pm-5pm EST/1pm-4pm CST',
+  startTime: '14:00',
+  endTime: '17:00',
+  timeZone: 'America/New_York',
+};
+
+/**
+ * A class day `daysAhead` days from now, as Booking.date ("MM/DD/YYYY").
+ */
+export function classDate(daysAhead = 30) {
+  return moment().add(daysAhead, 'days').format('MM/DD/YYYY');
+}
+
+/**
+ * One slot, one course taught in it and the given instructors (no
+ * calendar mailboxes, so Outlook is never asked).
+ *
+ * @param {Object} db - from createMemoryDb()
+ * @param {Array<{ instructorId: string, capacity: number }>} instructors
+ */
+export function seedCatalog(db, instructors = [{ instructorId: 'jane', capacity: 1 }]) {
+  db.insert(Slot, SLOT);
+  db.insert(Course, {
+    courseId: COURSE_ID,
+    name: 'Intro to AI',
+    slotIds: [SLOT.slotId],
+    hubspotSessionProperties: [
+      { sessionNumber: 1, dateProperty: 'intro_date_1', timeProperty: 'intro_time_1' },
+    ],
+  });
+  db.insert(
+    Instructor,
+    ...instructors.map((i) => ({ name: i.instructorId, active: true, ...i }))
+  );
+}
+
+/**
+ * Handlers that only record their payloads, for jobs a test expects to be
+ * queued but not run for real (emails, HubSpot, Graph).
+ *
+ * @param {string[]} types
+ * @returns {Map<string, Object[]>} type → payloads run so far
+ */
+export function recordJobs(types) {
+  const runs = new Map(types.map((type) => [type, []]));
+  types.forEach((type) =>
+    registerJobHandler(type, async (payload) => {
+      runs.get(type).push(payload);
+      return null;
+    })
+  );
+  return runs;
+}
+
+/**
+ * Let queued work kicked by processJobsSoon() finish before the test ends
+ * (and its memory store is undone).
+ */
+export async function settle() {
+  await new Promise((resolve) => setImmediate(resolve));
+  await processDueJobs();
+}
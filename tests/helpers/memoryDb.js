@@ -0,0 +1,468 @@
+// tests/helpers/memoryDb.js
+//
+// An in-memory stand-in for MongoDB behind every registered Mongoose model,
+// so services run unchanged without a database. Covers the queries the
+// services use: filters with $ne / $in / $nin / $lt(e) / $gt(e) / $exists /
+// $or, updates with $set / $inc / $unset, unique (and partial unique)
+// indexes, transactions that roll back when they throw, and $match /
+// $group ($sum) / $sort / $limit aggregations.
+import mongoose from 'mongoose';
+
+// ------------------------------------------------------
+// Matching
+// ------------------------------------------------------
+function isObjectId(value) {
+  return value?._bsontype === 'ObjectId' || value instanceof mongoose.Types.ObjectId;
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (isObjectId(value)) return String(value);
+  return value;
+}
+
+function equals(actual, expected) {
+  if (expected === null || expected === undefined) return actual === null || actual === undefined;
+  if (expected instanceof RegExp) return typeof actual === 'string' && expected.test(actual);
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return actual.some((item) => equals(item, expected));
+  }
+  if (Array.isArray(expected)) {
+    return (
+      Array.isArray(actual) &&
+      actual.length === expected.length &&
+      actual.every((item, i) => equals(item, expected[i]))
+    );
+  }
+  return comparable(actual) === comparable(expected);
+}
+
+function isOperatorObject(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !isObjectId(value) &&
+    Object.keys(value).some((key) => key.startsWith('$'))
+  );
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function compare(actual, expected, test) {
+  if (actual === null || actual === undefined) return false;
+  return test(comparable(actual), comparable(expected));
+}
+
+function matchesCondition(actual, condition) {
+  if (!isOperatorObject(condition)) return equals(actual, condition);
+  return Object.entries(condition).every(([op, expected]) => {
+    switch (op) {
+      case '$eq':
+        return equals(actual, expected);
+      case '$ne':
+        return !equals(actual, expected);
+      case '$in':
+        return expected.some((value) => equals(actual, value));
+      case '$nin':
+        return !expected.some((value) => equals(actual, value));
+      case '$lt':
+        return compare(actual, expected, (a, b) => a < b);
+      case '$lte':
+        return compare(actual, expected, (a, b) => a <= b);
+      case '$gt':
+        return compare(actual, expected, (a, b) => a > b);
+      case '$gte':
+        return compare(actual, expected, (a, b) => a >= b);
+      case '$exists':
+        return (actual !== undefined) === Boolean(expected);
+      default:
+        throw new Error(`memoryDb does not support ${op}`);
+    }
+  });
+}
+
+/**
+ * Whether a stored document matches a Mongo filter.
+ */
+export function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some((f) => matches(doc, f));
+    if (key === '$and') return condition.every((f) => matches(doc, f));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+}
+
+function sortDocs(docs, sort) {
+  if (!sort) return docs;
+  const keys = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const left = comparable(getPath(a, key));
+      const right = comparable(getPath(b, key));
+      if (left === right) continue;
+      if (left === undefined || left === null) return -direction;
+      if (right === undefined || right === null) return direction;
+      return left < right ? -direction : direction;
+    }
+    return 0;
+  });
+}
+
+// ------------------------------------------------------
+// Updates
+// ------------------------------------------------------
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  const next = { ...doc };
+  Object.entries(update).forEach(([key, value]) => {
+    if (key === '$set') Object.assign(next, value);
+    else if (key === '$setOnInsert') {
+      if (inserting) Object.assign(next, value);
+    } else if (key === '$inc') {
+      Object.entries(value).forEach(([field, by]) => {
+        next[field] = (next[field] || 0) + by;
+      });
+    } else if (key === '$unset') {
+      Object.keys(value).forEach((field) => delete next[field]);
+    } else if (key.startsWith('$')) {
+      throw new Error(`memoryDb does not support ${key}`);
+    } else {
+      next[key] = value;
+    }
+  });
+  return next;
+}
+
+// Equality conditions of a filter, used as the base of an upserted document
+function filterFields(filter) {
+  return Object.fromEntries(
+    Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value))
+  );
+}
+
+// ------------------------------------------------------
+// Aggregation
+// ------------------------------------------------------
+function groupValue(doc, spec) {
+  if (typeof spec === 'string' && spec.startsWith('$')) return getPath(doc, spec.slice(1));
+  if (spec && typeof spec === 'object') {
+    return Object.fromEntries(Object.entries(spec).map(([k, v]) => [k, groupValue(doc, v)]));
+  }
+  return spec;
+}
+
+function runPipeline(docs, pipeline) {
+  return pipeline.reduce((rows, stage) => {
+    const [[op, spec]] = Object.entries(stage);
+    if (op === '$match') return rows.filter((row) => matches(row, spec));
+    if (op === '$sort') return sortDocs(rows, spec);
+    if (op === '$limit') return rows.slice(0, spec);
+    if (op === '$group') {
+      const groups = new Map();
+      rows.forEach((row) => {
+        const id = groupValue(row, spec._id);
+        const key = JSON.stringify(id ?? null);
+        if (!groups.has(key)) {
+          groups.set(key, {
+            _id: id ?? null,
+            ...Object.fromEntries(Object.keys(spec).filter((k) => k !== '_id').map((k) => [k, 0])),
+          });
+        }
+        const group = groups.get(key);
+        Object.entries(spec).forEach(([field, accumulator]) => {
+          if (field === '_id') return;
+          if (!('$sum' in accumulator)) throw new Error('memoryDb only supports $sum');
+          const by = accumulator.$sum;
+          group[field] += typeof by === 'number' ? by : Number(groupValue(row, by) || 0);
+        });
+      });
+      return [...groups.values()];
+    }
+    throw new Error(`memoryDb does not support ${op}`);
+  }, docs);
+}
+
+// ------------------------------------------------------
+// Queries
+// ------------------------------------------------------
+// Chainable and awaitable, like a Mongoose Query
+class MemoryQuery {
+  constructor(run) {
+    this.run = run;
+    this.options = {};
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  lean() {
+    this.options.lean = true;
+    return this;
+  }
+
+  limit(n) {
+    this.options.limit = n;
+    return this;
+  }
+
+  skip(n) {
+    this.options.skip = n;
+    return this;
+  }
+
+  select() {
+    return this;
+  }
+
+  session() {
+    return this;
+  }
+
+  populate() {
+    return this;
+  }
+
+  exec() {
+    return Promise.resolve().then(() => this.run(this.options));
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+function duplicateKeyError(model, fields) {
+  return Object.assign(
+    new Error(`E11000 duplicate key error collection: ${model.collection.name} (${fields.join(', ')})`),
+    { code: 11000 }
+  );
+}
+
+/**
+ * Replace every registered model's database calls with an in-memory store
+ * for the duration of test `t` (the mocks are undone when it ends).
+ *
+ * @param {import('node:test').TestContext} t
+ */
+export function createMemoryDb(t) {
+  const collections = new Map();
+  const rows = (model) => {
+    if (!collections.has(model.modelName)) collections.set(model.modelName, []);
+    return collections.get(model.modelName);
+  };
+
+  function checkUnique(model, doc) {
+    model.schema.indexes().forEach(([spec, options]) => {
+      if (!options?.unique) return;
+      const fields = Object.keys(spec);
+      const partial = options.partialFilterExpression;
+      if (partial && !matches(doc, partial)) return;
+      if (options.sparse && fields.some((f) => getPath(doc, f) === undefined)) return;
+      const clash = rows(model).some(
+        (other) =>
+          String(other._id) !== String(doc._id) &&
+          (!partial || matches(other, partial)) &&
+          fields.every((f) => equals(getPath(other, f), getPath(doc, f) ?? null))
+      );
+      if (clash) throw duplicateKeyError(model, fields);
+    });
+  }
+
+  // Cast through the schema (defaults, ObjectIds) the way Mongo would store it
+  function toStored(model, data, { validate = false } = {}) {
+    const doc = new model(data);
+    if (validate) {
+      const error = doc.validateSync();
+      if (error) throw error;
+    }
+    const stored = doc.toObject({ depopulate: true });
+    if (model.schema.options.timestamps) {
+      const now = new Date();
+      stored.createdAt = data.createdAt || stored.createdAt || now;
+      stored.updatedAt = data.updatedAt || now;
+    }
+    return stored;
+  }
+
+  function write(model, stored) {
+    checkUnique(model, stored);
+    const list = rows(model);
+    const at = list.findIndex((d) => String(d._id) === String(stored._id));
+    if (at >= 0) list[at] = stored;
+    else list.push(stored);
+    return stored;
+  }
+
+  function output(model, stored, lean) {
+    if (!stored) return null;
+    return lean ? { ...stored } : model.hydrate({ ...stored });
+  }
+
+  function select(model, filter, { sort, skip = 0, limit } = {}) {
+    const found = sortDocs(rows(model).filter((d) => matches(d, filter)), sort);
+    return found.slice(skip, limit ? skip + limit : undefined);
+  }
+
+  function updateMatching(model, filter, update, { multi = false, upsert = false, sort } = {}) {
+    const targets = select(model, filter, { sort });
+    const chosen = multi ? targets : targets.slice(0, 1);
+    if (!chosen.length && upsert) {
+      const inserted = write(
+        model,
+        toStored(model, applyUpdate(filterFields(filter), update, { inserting: true }))
+      );
+      return { before: [null], after: [inserted], upserted: true };
+    }
+    const after = chosen.map((doc) =>
+      write(model, toStored(model, { ...applyUpdate(doc, update), createdAt: doc.createdAt }))
+    );
+    return { before: chosen, after };
+  }
+
+  function fake(model) {
+    const m = t.mock;
+    m.method(model, 'find', (filter = {}) =>
+      new MemoryQuery((o) => select(model, filter, o).map((d) => output(model, d, o.lean)))
+    );
+    m.method(model, 'findOne', (filter = {}) =>
+      new MemoryQuery((o) => output(model, select(model, filter, o)[0], o.lean))
+    );
+    m.method(model, 'findById', (id) => model.findOne({ _id: id }));
+    m.method(model, 'exists', (filter = {}) =>
+      new MemoryQuery(() => {
+        const [doc] = select(model, filter);
+        return doc ? { _id: doc._id } : null;
+      })
+    );
+    m.method(model, 'countDocuments', (filter = {}) =>
+      new MemoryQuery(() => select(model, filter).length)
+    );
+    m.method(model, 'distinct', (field, filter = {}) =>
+      new MemoryQuery(() => {
+        const values = new Map();
+        select(model, filter).forEach((d) => values.set(String(getPath(d, field)), getPath(d, field)));
+        return [...values.values()];
+      })
+    );
+    m.method(model, 'findOneAndUpdate', (filter, update, options = {}) =>
+      new MemoryQuery((o) => {
+        const { before, after } = updateMatching(model, filter, update, {
+          upsert: options.upsert,
+          sort: options.sort,
+        });
+        return output(model, options.new ? after[0] : before[0], o.lean || options.lean);
+      })
+    );
+    m.method(model, 'findByIdAndUpdate', (id, update, options) =>
+      model.findOneAndUpdate({ _id: id }, update, options)
+    );
+    m.method(model, 'updateOne', (filter, update, options = {}) =>
+      new MemoryQuery(() => {
+        const { after, upserted } = updateMatching(model, filter, update, options);
+        return { matchedCount: upserted ? 0 : after.length, modifiedCount: after.length };
+      })
+    );
+    m.method(model, 'updateMany', (filter, update, options = {}) =>
+      new MemoryQuery(() => {
+        const { after } = updateMatching(model, filter, update, { ...options, multi: true });
+        return { matchedCount: after.length, modifiedCount: after.length };
+      })
+    );
+    m.method(model, 'deleteOne', (filter = {}) =>
+      new MemoryQuery(() => {
+        const [doc] = select(model, filter);
+        if (doc) rows(model).splice(rows(model).indexOf(doc), 1);
+        return { deletedCount: doc ? 1 : 0 };
+      })
+    );
+    m.method(model, 'deleteMany', (filter = {}) =>
+      new MemoryQuery(() => {
+        const doomed = select(model, filter);
+        collections.set(model.modelName, rows(model).filter((d) => !doomed.includes(d)));
+        return { deletedCount: doomed.length };
+      })
+    );
+    m.method(model, 'findOneAndDelete', (filter = {}, options = {}) =>
+      new MemoryQuery((o) => {
+        const [doc] = select(model, filter, { sort: options.sort });
+        if (doc) rows(model).splice(rows(model).indexOf(doc), 1);
+        return output(model, doc, o.lean);
+      })
+    );
+    m.method(model, 'findByIdAndDelete', (id) =>
+      new MemoryQuery((o) => {
+        const [doc] = select(model, { _id: id });
+        if (doc) rows(model).splice(rows(model).indexOf(doc), 1);
+        return output(model, doc, o.lean);
+      })
+    );
+    m.method(model, 'create', async (input) => {
+      const list = Array.isArray(input) ? input : [input];
+      const created = list.map((data) =>
+        output(model, write(model, toStored(model, data, { validate: true })))
+      );
+      return Array.isArray(input) ? created : created[0];
+    });
+    m.method(model, 'aggregate', (pipeline) =>
+      new MemoryQuery(() => runPipeline(rows(model).map((d) => ({ ...d })), pipeline))
+    );
+    m.method(model.prototype, 'save', async function save() {
+      const error = this.validateSync();
+      if (error) throw error;
+      write(model, toStored(model, this.toObject({ depopulate: true })));
+      this.isNew = false;
+      return this;
+    });
+  }
+
+  mongoose.modelNames().forEach((name) => fake(mongoose.model(name)));
+
+  // Transactions: changes made inside a callback that throws are undone
+  t.mock.method(mongoose, 'startSession', async () => ({
+    async withTransaction(fn) {
+      const snapshot = new Map([...collections].map(([name, list]) => [name, [...list]]));
+      try {
+        return await fn();
+      } catch (e) {
+        collections.clear();
+        snapshot.forEach((list, name) => collections.set(name, list));
+        throw e;
+      }
+    },
+    async endSession() {},
+  }));
+
+  return {
+    /**
+     * Store documents as they are (after schema casting / defaults).
+     *
+     * @returns {Object[]} the stored documents
+     */
+    insert(model, ...docs) {
+      return docs.map((data) => write(model, toStored(model, data, { validate: true })));
+    },
+
+    /**
+     * Stored documents of a model matching `filter`, oldest first.
+     */
+    all(model, filter = {}) {
+      return select(model, filter).map((d) => ({ ...d }));
+    },
+
+    /**
+     * Change stored documents directly (e.g. what another instance did).
+     */
+    update(model, filter, update) {
+      return updateMatching(model, filter, update, { multi: true }).after.length;
+    },
+  };
+}
@@ -0,0 +1,100 @@
+// tests/hubspotOAuth.test.js
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import express from 'express';
+import OAuthToken from '../models/oauthToken.models.js';
+import OAuthState from '../models/oauthState.models.js';
+import hubspotRoutes from '../routes/hubspotRoutes.js';
+import { getTokens } from '../services/tokenStore.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+// HubSpot's token endpoints, answering for portal `hubId`
+function fakeHubSpot(t, hubId) {
+  return t.mock.method(axios.Axios.prototype, 'request', async (config) => {
+    if (config.url.endsWith('/oauth/v1/token')) {
+      return {
+        data: { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 1800 },
+      };
+    }
+    if (config.url.includes('/oauth/v1/access-tokens/access-1')) {
+      return { data: { hub_id: hubId, hub_domain: 'example.hubspot.com', scopes: ['oauth'] } };
+    }
+    throw new Error(`Unexpected request to ${config.url}`);
+  });
+}
+
+// Run the routes on a random port; requests never follow redirects so the
+// test plays the browser's part (carrying the state cookie) itself
+function startServer(t) {
+  const app = express();
+  app.use(hubspotRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return (path, headers = {}) => fetch(`${base}${path}`, { redirect: 'manual', headers });
+}
+
+// GET /auth/hubspot/install → { state, cookie } the browser would carry back
+async function install(request) {
+  const res = await request('/auth/hubspot/install');
+  assert.equal(res.status, 302);
+  const location = new URL(res.headers.get('location'));
+  assert.equal(location.origin + location.pathname, 'https://app.hubspot.com/oauth/authorize');
+  return {
+    state: location.searchParams.get('state'),
+    cookie: res.headers.get('set-cookie').split(';')[0],
+  };
+}
+
+test('install → callback stores tokens for the configured portal', async (t) => {
+  const db = createMemoryDb(t);
+  fakeHubSpot(t, 123);
+  const request = startServer(t);
+
+  const { state, cookie } = await install(request);
+  assert.equal(cookie, `hs_oauth_state=${state}`);
+
+  const res = await request(`/auth/callback?code=abc&state=${state}`, { Cookie: cookie });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).portalId, 123);
+
+  assert.deepEqual(
+    db.all(OAuthToken).map((doc) => [doc.provider, doc.accountId]),
+    [['hubspot', '123']]
+  );
+  const tokens = await getTokens('hubspot', '123');
+  assert.equal(tokens.accessToken, 'access-1');
+  assert.equal(tokens.refreshToken, 'refresh-1');
+  assert.deepEqual(db.all(OAuthState), []);
+});
+
+test('callback rejects a state without its cookie, or used twice', async (t) => {
+  const db = createMemoryDb(t);
+  fakeHubSpot(t, 123);
+  const request = startServer(t);
+
+  const { state, cookie } = await install(request);
+  const noCookie = await request(`/auth/callback?code=abc&state=${state}`);
+  assert.equal(noCookie.status, 403);
+
+  const ok = await request(`/auth/callback?code=abc&state=${state}`, { Cookie: cookie });
+  assert.equal(ok.status, 200);
+  const replay = await request(`/auth/callback?code=abc&state=${state}`, { Cookie: cookie });
+  assert.equal(replay.status, 403);
+  assert.equal(db.all(OAuthToken).length, 1);
+});
+
+test('callback refuses tokens for any other portal', async (t) => {
+  const db = createMemoryDb(t);
+  fakeHubSpot(t, 999);
+  const request = startServer(t);
+
+  const { state, cookie } = await install(request);
+  const res = await request(`/auth/callback?code=abc&state=${state}`, { Cookie: cookie });
+
+  assert.equal(res.status, 502);
+  assert.match((await res.json()).error, /not the configured portal/);
+  assert.deepEqual(db.all(OAuthToken), []);
+});
@@ -0,0 +1,112 @@
+// tests/hubspotWebhook.test.js
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import bodyParser from 'body-parser';
+import Job from '../models/job.models.js';
+import hubspotRoutes from '../routes/hubspotRoutes.js';
+import { verifyWebhookSignature } from '../services/hubspotService.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+import { seedCatalog, recordJobs, settle } from './helpers/fixtures.js';
+
+recordJobs(['hubspot.syncContactSession']);
+
+const WEBHOOK_URL = `${process.env.PUBLIC_BASE_URL}/api/hubspot/webhook`;
+
+// X-HubSpot-Signature-v3 as HubSpot computes it
+function sign({ method = 'POST', url = WEBHOOK_URL, rawBody, timestamp }) {
+  return crypto
+    .createHmac('sha256', process.env.CLIENT_SECRET)
+    .update(`${method}${url}${rawBody}${timestamp}`)
+    .digest('base64');
+}
+
+function signedRequest(rawBody, timestamp = String(Date.now())) {
+  return {
+    method: 'POST',
+    url: WEBHOOK_URL,
+    rawBody,
+    timestamp,
+    signature: sign({ rawBody, timestamp }),
+  };
+}
+
+test('accepts a request signed with the app secret', () => {
+  assert.equal(verifyWebhookSignature(signedRequest('[]')), true);
+});
+
+test('rejects a request whose body was changed after signing', () => {
+  const request = signedRequest('[{"objectId":1}]');
+  assert.equal(verifyWebhookSignature({ ...request, rawBody: '[{"objectId":2}]' }), false);
+});
+
+test('rejects a request signed for another URL', () => {
+  const request = signedRequest('[]');
+  const signature = sign({ ...request, url: 'https://elsewhere.test/api/hubspot/webhook' });
+  assert.equal(verifyWebhookSignature({ ...request, signature }), false);
+});
+
+test('rejects a replayed request older than five minutes', () => {
+  const stale = String(Date.now() - 6 * 60 * 1000);
+  assert.equal(verifyWebhookSignature(signedRequest('[]', stale)), false);
+});
+
+test('rejects a request without a signature', () => {
+  const request = signedRequest('[]');
+  assert.equal(verifyWebhookSignature({ ...request, signature: undefined }), false);
+  assert.equal(verifyWebhookSignature({ ...request, signature: 'not-base64' }), false);
+});
+
+test('the webhook route queues a sync only for a signed request', async (t) => {
+  const db = createMemoryDb(t);
+  seedCatalog(db);
+  const app = express();
+  app.use(
+    bodyParser.json({
+      verify: (req, _res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+  app.use(hubspotRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const local = `http://127.0.0.1:${server.address().port}/api/hubspot/webhook`;
+
+  const rawBody = JSON.stringify([
+    {
+      subscriptionType: 'contact.propertyChange',
+      objectId: 42,
+      propertyName: 'intro_date_1',
+    },
+  ]);
+  const { timestamp, signature } = signedRequest(rawBody);
+  const post = (headers) =>
+    fetch(local, {
+      method: 'POST',
+      body: rawBody,
+      headers: { 'Content-Type': 'application/json', ...headers },
+    });
+
+  const forged = await post({
+    'X-HubSpot-Request-Timestamp': timestamp,
+    'X-HubSpot-Signature-v3': sign({ rawBody: '[]', timestamp }),
+  });
+  assert.equal(forged.status, 401);
+  assert.deepEqual(db.all(Job), []);
+
+  const signed = await post({
+    'X-HubSpot-Request-Timestamp': timestamp,
+    'X-HubSpot-Signature-v3': signature,
+  });
+  assert.equal(signed.status, 204);
+  const [job] = db.all(Job);
+  assert.equal(job.type, 'hubspot.syncContactSession');
+  assert.deepEqual(
+    { contactId: job.payload.contactId, sessionNumber: job.payload.sessionNumber },
+    { contactId: '42', sessionNumber: 1 }
+  );
+  await settle();
+});
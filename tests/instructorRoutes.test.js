@@ -0,0 +1,80 @@
+// tests/instructorRoutes.test.js
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import bodyParser from 'body-parser';
+import Course from '../models/course.models.js';
+import Instructor from '../models/instructor.models.js';
+import Job from '../models/job.models.js';
+import instructorRoutes from '../routes/instructorRoutes.js';
+import { reserveSeats } from '../services/bookingService.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+import { SLOT, classDate, seedCatalog, recordJobs, settle } from './helpers/fixtures.js';
+
+recordJobs(['waitlist.promote']);
+
+function startServer(t) {
+  const app = express();
+  app.use(bodyParser.json());
+  app.use(instructorRoutes);
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}/api/admin/instructors`;
+  return (path, { method = 'GET', body } = {}) =>
+    fetch(`${base}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${process.env.ADMIN_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: body && JSON.stringify(body),
+    });
+}
+
+test('deactivating an instructor queues a promotion for each session they teach', async (t) => {
+  const db = createMemoryDb(t);
+  seedCatalog(db, [{ instructorId: 'jane', capacity: 2 }]);
+  const request = startServer(t);
+  const [first, second] = [classDate(30), classDate(31)];
+  await reserveSeats({
+    email: 'ada@example.com',
+    selections: [
+      { date: first, slot: SLOT, sessionNumber: 1 },
+      { date: second, slot: SLOT, sessionNumber: 2 },
+    ],
+  });
+  await reserveSeats({
+    email: 'bob@example.com',
+    selections: [{ date: first, slot: SLOT, sessionNumber: 1 }],
+  });
+
+  const res = await request('/jane', { method: 'DELETE' });
+
+  assert.equal(res.status, 200);
+  assert.equal(db.all(Instructor, { instructorId: 'jane' })[0].active, false);
+  const promoted = db
+    .all(Job, { type: 'waitlist.promote' })
+    .map((j) => j.payload.date)
+    .sort();
+  assert.deepEqual(promoted, [first, second]);
+  await settle();
+});
+
+test('a failing course check answers 500 instead of throwing', async (t) => {
+  createMemoryDb(t);
+  const request = startServer(t);
+  t.mock.method(Course, 'distinct', async () => {
+    throw new Error('connection lost');
+  });
+
+  const created = await request('', {
+    method: 'POST',
+    body: { instructorId: 'omar', name: 'Omar', courseIds: ['intro-to-ai'] },
+  });
+  const updated = await request('/omar', { method: 'PATCH', body: { courseIds: ['intro-to-ai'] } });
+
+  assert.equal(created.status, 500);
+  assert.equal(updated.status, 500);
+  assert.deepEqual(await created.json(), { ok: false, error: 'Server error' });
+});
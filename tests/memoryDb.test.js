@@ -0,0 +1,64 @@
+// tests/memoryDb.test.js
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createMemoryDb, matches } from './helpers/memoryDb.js';
+
+// A throwaway model so the store's own behaviour is pinned down
+// independently of the app's schemas
+const probeSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  status: { type: String, default: 'active' },
+  count: { type: Number, default: 0 },
+});
+probeSchema.index(
+  { key: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+const Probe = mongoose.model('MemoryDbProbe', probeSchema);
+
+test('matches equality, comparison and logical filters', () => {
+  const doc = { key: 'a', count: 3, tags: ['x', 'y'], nested: { on: true } };
+  assert.ok(matches(doc, { key: 'a', 'nested.on': true }));
+  assert.ok(matches(doc, { count: { $gte: 3, $lt: 4 } }));
+  assert.ok(matches(doc, { tags: 'y' }));
+  assert.ok(matches(doc, { $or: [{ key: 'b' }, { count: { $in: [1, 3] } }] }));
+  assert.ok(!matches(doc, { key: { $ne: 'a' } }));
+  assert.ok(!matches(doc, { missing: { $exists: true } }));
+});
+
+test('stores, queries and updates documents', async (t) => {
+  const db = createMemoryDb(t);
+  db.insert(Probe, { key: 'a' }, { key: 'b', count: 2 });
+
+  assert.equal(await Probe.countDocuments({ count: { $gt: 0 } }), 1);
+  await Probe.updateOne({ key: 'a' }, { $inc: { count: 5 } });
+  const a = await Probe.findOne({ key: 'a' }).lean();
+  assert.equal(a.count, 5);
+  assert.deepEqual((await Probe.find().sort({ count: -1 }).lean()).map((p) => p.key), ['a', 'b']);
+});
+
+test('enforces partial unique indexes with a duplicate key error', async (t) => {
+  createMemoryDb(t);
+  await Probe.create({ key: 'a' });
+  await Probe.create({ key: 'a', status: 'retired' });
+
+  await assert.rejects(() => Probe.create({ key: 'a' }), (e) => e.code === 11000);
+});
+
+test('rolls back a transaction whose callback throws', async (t) => {
+  const db = createMemoryDb(t);
+  db.insert(Probe, { key: 'a' });
+
+  const session = await mongoose.startSession();
+  await assert.rejects(() =>
+    session.withTransaction(async () => {
+      await Probe.create({ key: 'b' });
+      throw new Error('abort');
+    })
+  );
+  await session.endSession();
+
+  assert.deepEqual(db.all(Probe).map((p) => p.key), ['a']);
+});
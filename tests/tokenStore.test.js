@@ -0,0 +1,106 @@
+// tests/tokenStore.test.js
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OAuthToken from '../models/oauthToken.models.js';
+import { saveTokens, getTokens, refreshTokens } from '../services/tokenStore.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// A HubSpot account whose access token has just expired
+async function expiredAccount(t) {
+  const db = createMemoryDb(t);
+  await saveTokens('hubspot', '123', {
+    accessToken: 'old-access',
+    refreshToken: 'refresh-1',
+    expiresAt: Date.now() - 1000,
+  });
+  return db;
+}
+
+test('stores tokens encrypted', async (t) => {
+  const db = await expiredAccount(t);
+
+  const [doc] = db.all(OAuthToken);
+  assert.match(doc.accessToken, /^enc:v1:test:/);
+  assert.doesNotMatch(doc.refreshToken, /refresh-1/);
+  assert.equal((await getTokens('hubspot', '123')).accessToken, 'old-access');
+});
+
+test('concurrent callers share one refresh', async (t) => {
+  const db = await expiredAccount(t);
+  const refresh = t.mock.fn(async () => {
+    await sleep(20);
+    return { accessToken: 'new-access', expiresAt: Date.now() + HOUR_MS };
+  });
+
+  const results = await Promise.all(
+    [1, 2, 3].map(() => refreshTokens('hubspot', '123', refresh))
+  );
+
+  assert.equal(refresh.mock.callCount(), 1);
+  results.forEach((tokens) => assert.equal(tokens.accessToken, 'new-access'));
+  const stored = await getTokens('hubspot', '123');
+  assert.equal(stored.accessToken, 'new-access');
+  assert.equal(stored.refreshToken, 'refresh-1');
+  assert.equal(db.all(OAuthToken)[0].refreshLockedUntil, null);
+});
+
+test("waits for another instance's refresh instead of refreshing again", async (t) => {
+  const db = await expiredAccount(t);
+  // another instance holds the lease…
+  db.update(OAuthToken, {}, { refreshLockedUntil: new Date(Date.now() + 30 * 1000) });
+  const refresh = t.mock.fn(async () => ({ accessToken: 'mine', expiresAt: Date.now() + HOUR_MS }));
+
+  const pending = refreshTokens('hubspot', '123', refresh);
+  // …then stores its new tokens and lets go
+  await sleep(100);
+  await saveTokens('hubspot', '123', {
+    accessToken: 'theirs',
+    refreshToken: 'refresh-2',
+    expiresAt: Date.now() + HOUR_MS,
+  });
+  db.update(OAuthToken, {}, { refreshLockedUntil: null });
+
+  const tokens = await pending;
+  assert.equal(refresh.mock.callCount(), 0);
+  assert.equal(tokens.accessToken, 'theirs');
+});
+
+test('takes over a lease left behind by a crashed instance', async (t) => {
+  const db = await expiredAccount(t);
+  db.update(OAuthToken, {}, { refreshLockedUntil: new Date(Date.now() - 1000) });
+  const refresh = t.mock.fn(async () => ({ accessToken: 'new-access', expiresAt: Date.now() + HOUR_MS }));
+
+  const tokens = await refreshTokens('hubspot', '123', refresh);
+
+  assert.equal(refresh.mock.callCount(), 1);
+  assert.equal(tokens.accessToken, 'new-access');
+});
+
+test('a failed refresh releases the lease and keeps the old tokens', async (t) => {
+  const db = await expiredAccount(t);
+  const failing = async () => {
+    throw new Error('invalid_grant');
+  };
+
+  const callers = [1, 2].map(() => refreshTokens('hubspot', '123', failing));
+  for (const caller of callers) {
+    await assert.rejects(caller, /invalid_grant/);
+  }
+
+  assert.equal(db.all(OAuthToken)[0].refreshLockedUntil, null);
+  assert.equal((await getTokens('hubspot', '123')).accessToken, 'old-access');
+
+  // the next attempt is not stuck behind the failed one
+  const tokens = await refreshTokens('hubspot', '123', async () => ({
+    accessToken: 'new-access',
+    expiresAt: Date.now() + HOUR_MS,
+  }));
+  assert.equal(tokens.accessToken, 'new-access');
+});
@@ -0,0 +1,168 @@
+// tests/waitlistService.test.js
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Booking from '../models/booking.models.js';
+import ClassSession from '../models/classSession.models.js';
+import Job from '../models/job.models.js';
+import WaitlistEntry from '../models/waitlistEntry.models.js';
+import { reserveSeats, cancelBooking } from '../services/bookingService.js';
+import {
+  promoteWaitlist,
+  expireOffers,
+  confirmOffer,
+  declineOffer,
+  getPosition,
+} from '../services/waitlistService.js';
+import { createMemoryDb } from './helpers/memoryDb.js';
+import { COURSE_ID, SLOT, classDate, seedCatalog, recordJobs, settle } from './helpers/fixtures.js';
+
+recordJobs([
+  'outlook.createEvent',
+  'outlook.cancelEvent',
+  'hubspot.upsertContact',
+  'hubspot.syncSession',
+  'email.confirmation',
+  'email.cancellation',
+  'email.waitlistOffer',
+  'waitlist.promote',
+]);
+
+// A full session (one seat, taken by bob) with amy then carl waiting for it
+async function fullSessionWithWaitlist(t) {
+  const db = createMemoryDb(t);
+  seedCatalog(db);
+  const date = classDate();
+  const [taken] = await reserveSeats({
+    email: 'bob@example.com',
+    selections: [{ date, slot: SLOT, sessionNumber: 1 }],
+  });
+  const waiting = (email, minutesAgo) => ({
+    courseId: COURSE_ID,
+    date,
+    slotId: SLOT.slotId,
+    email,
+    sessionNumber: 1,
+    createdAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+  });
+  db.insert(WaitlistEntry, waiting('amy@example.com', 10), waiting('carl@example.com', 5));
+  return { db, date, taken };
+}
+
+// amy holds an offer for bob's freed seat
+async function offeredToAmy(t) {
+  const { db, date, taken } = await fullSessionWithWaitlist(t);
+  await cancelBooking(taken._id);
+  await promoteWaitlist(date, SLOT.slotId);
+  return { db, date, amy: entryOf(db, 'amy@example.com') };
+}
+
+function entryOf(db, email) {
+  return db.all(WaitlistEntry, { email })[0];
+}
+
+// Types of the jobs queued about one booking
+function jobTypesFor(db, bookingId) {
+  const id = String(bookingId);
+  return db
+    .all(Job)
+    .filter((j) => j.payload.bookingId === id || j.payload.bookingIds?.map(String).includes(id))
+    .map((j) => j.type);
+}
+
+test('makes no offer while the session is still full', async (t) => {
+  const { db, date } = await fullSessionWithWaitlist(t);
+
+  assert.equal(await promoteWaitlist(date, SLOT.slotId), 0);
+  assert.equal(entryOf(db, 'amy@example.com').status, 'waiting');
+  await settle();
+});
+
+test("a place in line only counts people waiting for the same course", async (t) => {
+  const { db, date } = await fullSessionWithWaitlist(t);
+  db.insert(WaitlistEntry, {
+    courseId: 'ai-for-managers',
+    date,
+    slotId: SLOT.slotId,
+    email: 'dee@example.com',
+    sessionNumber: 1,
+    createdAt: new Date(Date.now() - 20 * 60 * 1000),
+  });
+
+  assert.equal(await getPosition(entryOf(db, 'amy@example.com')), 1);
+  assert.equal(await getPosition(entryOf(db, 'carl@example.com')), 2);
+  await settle();
+});
+
+test('offers a freed seat to the first person waiting, by email only', async (t) => {
+  const { db, amy } = await offeredToAmy(t);
+
+  assert.equal(amy.status, 'offered');
+  assert.match(amy.offerToken, /^[a-f0-9]{48}$/);
+  const hours = (amy.offerExpiresAt - amy.offeredAt) / (60 * 60 * 1000);
+  assert.equal(hours, 24);
+  const [seat] = db.all(Booking, { _id: amy.bookingId });
+  assert.equal(seat.status, 'booked');
+  assert.equal(entryOf(db, 'carl@example.com').status, 'waiting');
+
+  // No invite or HubSpot update until the offer is confirmed
+  assert.equal(db.all(Job, { type: 'email.waitlistOffer' }).length, 1);
+  assert.deepEqual(jobTypesFor(db, amy.bookingId), []);
+  await settle();
+});
+
+test('confirming an offer queues the invite, HubSpot update and confirmation', async (t) => {
+  const { db, amy } = await offeredToAmy(t);
+
+  const entry = await confirmOffer(amy.offerToken);
+
+  assert.equal(entry.status, 'confirmed');
+  assert.deepEqual(jobTypesFor(db, amy.bookingId).sort(), [
+    'email.confirmation',
+    'hubspot.upsertContact',
+    'outlook.createEvent',
+  ]);
+  const [upsert] = db.all(Job, { type: 'hubspot.upsertContact' });
+  assert.equal(upsert.payload.properties.intro_time_1, SLOT.label);
+  await settle();
+});
+
+test('a declined offer frees its seat without emailing or touching HubSpot', async (t) => {
+  const { db, date, amy } = await offeredToAmy(t);
+
+  const entry = await declineOffer(amy.offerToken);
+
+  assert.equal(entry.status, 'declined');
+  const [seat] = db.all(Booking, { _id: amy.bookingId });
+  assert.equal(seat.status, 'cancelled');
+  assert.deepEqual(jobTypesFor(db, amy.bookingId), []);
+  assert.equal(await promoteWaitlist(date, SLOT.slotId), 1);
+  assert.equal(entryOf(db, 'carl@example.com').status, 'offered');
+  await settle();
+});
+
+test('an expired offer frees its seat for the next person', async (t) => {
+  const { db, date, amy } = await offeredToAmy(t);
+  db.update(WaitlistEntry, { _id: amy._id }, { offerExpiresAt: new Date(Date.now() - 1000) });
+
+  assert.equal(await expireOffers(), 1);
+
+  assert.equal(entryOf(db, 'amy@example.com').status, 'expired');
+  const [seat] = db.all(Booking, { _id: amy.bookingId });
+  assert.equal(seat.status, 'cancelled');
+  assert.equal(db.all(ClassSession)[0].booked, 0);
+  // the unconfirmed offer never reached HubSpot, Outlook or a confirmation
+  assert.deepEqual(jobTypesFor(db, amy.bookingId), []);
+
+  assert.equal(await promoteWaitlist(date, SLOT.slotId), 1);
+  assert.equal(entryOf(db, 'carl@example.com').status, 'offered');
+  await settle();
+});
+
+test('an offer still within its time is not expired', async (t) => {
+  const { db, amy } = await offeredToAmy(t);
+
+  assert.equal(await expireOffers(), 0);
+  assert.equal(entryOf(db, amy.email).status, 'offered');
+  await settle();
+});
@@ -0,0 +1,71 @@
+// backend/utils/csv.js
+
+// Quote a value if it contains a comma, quote or newline. Values starting
+// with = + - @ are prefixed with ' so spreadsheets don't run them as formulas.
+function escapeCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV (RFC 4180, CRLF line endings).
+ *
+ * @param {Object[]} rows
+ * @param {Array<{ key: string, header: string }>} columns
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map((c) => escapeCell(c.header)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((c) => escapeCell(row[c.key])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF) into
+ * rows of cells. A leading byte-order mark and blank lines are dropped.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ''));
+}
@@ -0,0 +1,116 @@
+// backend/utils/env.js
+import { parseKeyring } from './secretBox.js';
+//
+// Startup check of the environment. server.js calls validateEnv() before it
+// connects to Mongo and exits when anything required is missing or
+// malformed, instead of booting and failing on the first registration.
+
+// Needed for the app to do its job at all
+const REQUIRED = {
+  ATLAS_URI: 'MongoDB connection string',
+};
+
+// Credentials for the external services; not needed in SANDBOX_MODE,
+// where those services are faked (services/sandboxService.js)
+const INTEGRATIONS = {
+  CLIENT_ID: 'HubSpot app client id',
+  CLIENT_SECRET: 'HubSpot app client secret',
+  HUBSPOT_PORTAL_ID: 'the HubSpot portal (hub id) the app may be installed on',
+  SECRET_KEY: 'reCAPTCHA secret key',
+  MS_CLIENT_ID: 'Azure app (client) id',
+  MS_CLIENT_SECRET: 'Azure app client secret',
+  MS_TENANT_ID: 'Azure tenant id',
+  MS_OUTLOOK_USER_EMAIL: 'organizer mailbox for class events',
+  TOKEN_ENCRYPTION_KEYS: 'keyring for OAuth tokens at rest, see utils/secretBox.js',
+};
+
+// Optional numbers that must be positive when set
+const POSITIVE_NUMBERS = [
+  'PORT',
+  'DEFAULT_SEAT_CAPACITY',
+  'BUSY_CACHE_TTL_MS',
+  'BUSY_LOOKAHEAD_DAYS',
+  'JOB_POLL_INTERVAL_MS',
+  'JOB_BACKOFF_BASE_MS',
+  'REMINDER_SCAN_INTERVAL_MS',
+  'WAITLIST_OFFER_HOURS',
+  'WAITLIST_EXPIRY_SCAN_INTERVAL_MS',
+  'GRAPH_SUBSCRIPTION_MINUTES',
+  'GRAPH_SUBSCRIPTION_CHECK_INTERVAL_MS',
+  'HEALTH_CHECK_TIMEOUT_MS',
+  'TRUST_PROXY',
+  'RATE_LIMIT_READ_PER_MINUTE',
+  'RATE_LIMIT_SUBMIT_PER_IP_HOUR',
+  'RATE_LIMIT_SUBMIT_PER_EMAIL_HOUR',
+  'BULK_ENROLLMENT_MAX_ROWS',
+];
+
+// Optional absolute URLs
+const URLS = ['PUBLIC_BASE_URL', 'REDIRECT_URI', 'WAITLIST_OFFER_URL', 'GRAPH_NOTIFICATION_URL'];
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function isUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check process.env. Messages name variables, never their values.
+ *
+ * @param {Object} [env=process.env]
+ * @returns {string[]} problems found; empty when the environment is usable
+ */
+export function validateEnv(env = process.env) {
+  const errors = [];
+
+  const sandbox = env.SANDBOX_MODE === 'true';
+  const required = sandbox ? REQUIRED : { ...REQUIRED, ...INTEGRATIONS };
+  Object.entries(required).forEach(([name, description]) => {
+    if (!env[name]) errors.push(`${name} is required (${description})`);
+  });
+  if (sandbox && env.NODE_ENV === 'production') {
+    errors.push('SANDBOX_MODE must not be enabled when NODE_ENV is production');
+  }
+
+  if (env.ATLAS_URI && !/^mongodb(\+srv)?:\/\//.test(env.ATLAS_URI)) {
+    errors.push('ATLAS_URI must start with mongodb:// or mongodb+srv://');
+  }
+  if (env.MS_OUTLOOK_USER_EMAIL && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(env.MS_OUTLOOK_USER_EMAIL)) {
+    errors.push('MS_OUTLOOK_USER_EMAIL must be an email address');
+  }
+  if (env.HUBSPOT_PORTAL_ID && !/^\d+$/.test(env.HUBSPOT_PORTAL_ID)) {
+    errors.push('HUBSPOT_PORTAL_ID must be a number');
+  }
+
+  if (env.TOKEN_ENCRYPTION_KEYS) {
+    parseKeyring(env.TOKEN_ENCRYPTION_KEYS).errors.forEach((problem) => {
+      errors.push(`TOKEN_ENCRYPTION_KEYS: ${problem}`);
+    });
+  }
+
+  POSITIVE_NUMBERS.forEach((name) => {
+    if (env[name] === undefined || env[name] === '') return;
+    const value = Number(env[name]);
+    if (!Number.isFinite(value) || value <= 0) errors.push(`${name} must be a positive number`);
+  });
+
+  URLS.forEach((name) => {
+    if (env[name] && !isUrl(env[name])) errors.push(`${name} must be an http(s) URL`);
+  });
+
+  if (env.RECAPTCHA_MIN_SCORE !== undefined && env.RECAPTCHA_MIN_SCORE !== '') {
+    const score = Number(env.RECAPTCHA_MIN_SCORE);
+    if (!(score >= 0 && score <= 1)) errors.push('RECAPTCHA_MIN_SCORE must be between 0 and 1');
+  }
+
+  if (env.LOG_LEVEL && !LOG_LEVELS.includes(env.LOG_LEVEL)) {
+    errors.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}`);
+  }
+
+  return errors;
+}
@@ -0,0 +1,30 @@
+// backend/utils/httpCache.js
+import crypto from 'crypto';
+
+// If-None-Match lists one or more (possibly weak) tags, or "*"
+function matchesEtag(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some((tag) => tag.trim().replace(/^W\//, '') === etag);
+}
+
+/**
+ * Send `body` as JSON with a strong ETag of its content, or an empty 304
+ * when the request's If-None-Match already has it. `Cache-Control:
+ * no-cache` lets clients keep the copy but makes them revalidate each time.
+ *
+ * If-None-Match is compared directly rather than through req.fresh: fetch()
+ * adds `Cache-Control: no-cache` to requests that set it by hand, which
+ * req.fresh takes as "never answer 304".
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {*} body
+ */
+export function sendJsonWithEtag(req, res, body) {
+  const json = JSON.stringify(body);
+  const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+  res.set({ ETag: etag, 'Cache-Control': 'no-cache' });
+  if (matchesEtag(req.get('If-None-Match'), etag)) return res.status(304).end();
+  return res.type('json').send(json);
+}
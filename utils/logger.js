@@ -0,0 +1,176 @@
+// backend/utils/logger.js
+//
+// Structured logging. Every line is one JSON object on stdout (warn/error on
+// stderr):
+//   { "time": "...", "level": "info", "component": "bookingService",
+//     "correlationId": "…", "msg": "Reserved seats", ...fields }
+//
+// - LOG_LEVEL: debug | info | warn | error (default info)
+// - LOG_FORMAT=pretty prints one readable line instead, for local dev
+// - correlationId comes from the current request (middleware/requestContext.js)
+//   or job (services/jobQueue.js), so one submission can be followed through
+//   HubSpot, Graph and the background worker
+// - PII is redacted before anything is written: fields named like emails,
+//   phones, names, tokens or secrets, plus email addresses and bearer tokens
+//   inside any string
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import dotenv from 'dotenv';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const PRETTY = process.env.LOG_FORMAT === 'pretty';
+
+const REDACTED = '[redacted]';
+// Matched against field names (case-insensitive, "_" / "-" ignored)
+const SENSITIVE_KEY =
+  /e?mail|phone|mobile|firstname|lastname|fullname|studentname|toname|attendee|token|secret|password|authorization|cookie|clientstate|recaptcha|^code$/;
+const EMAIL_IN_TEXT = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[A-Za-z]{2,}/g;
+const BEARER_IN_TEXT = /\b(Bearer)\s+[\w.~+/=-]+/gi;
+const MAX_DEPTH = 6;
+
+// Inbound X-Request-Id values we adopt; anything else gets a fresh id.
+// UUIDs only, because Graph requires client-request-id to be a GUID.
+const CORRELATION_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const context = new AsyncLocalStorage();
+
+// ------------------------------------------------------
+// Correlation ids
+// ------------------------------------------------------
+/**
+ * Use `candidate` (e.g. an inbound X-Request-Id) if it is a UUID, otherwise
+ * mint a new one.
+ *
+ * @param {string} [candidate]
+ * @returns {string}
+ */
+export function toCorrelationId(candidate) {
+  return typeof candidate === 'string' && CORRELATION_ID_PATTERN.test(candidate)
+    ? candidate.toLowerCase()
+    : crypto.randomUUID();
+}
+
+/**
+ * Run `fn` with a correlation id attached to everything it logs and every
+ * HubSpot / Graph call it makes, including async work it starts.
+ *
+ * @param {string} correlationId
+ * @param {Function} fn
+ */
+export function runWithCorrelationId(correlationId, fn) {
+  return context.run({ correlationId }, fn);
+}
+
+/**
+ * Correlation id of the current request / job, or null outside of one.
+ *
+ * @returns {string|null}
+ */
+export function getCorrelationId() {
+  return context.getStore()?.correlationId || null;
+}
+
+// ------------------------------------------------------
+// Redaction
+// ------------------------------------------------------
+function redactText(text) {
+  return text.replace(EMAIL_IN_TEXT, REDACTED).replace(BEARER_IN_TEXT, `$1 ${REDACTED}`);
+}
+
+function serializeError(err) {
+  const out = { name: err.name, message: err.message };
+  if (err.code !== undefined) out.code = err.code;
+  const status = err.statusCode || err.response?.status;
+  if (status) out.status = status;
+  // axios / Graph error bodies
+  if (err.response?.data !== undefined) out.details = err.response.data;
+  else if (err.body !== undefined) out.details = err.body;
+  if (MIN_LEVEL <= LEVELS.debug && err.stack) out.stack = err.stack;
+  return out;
+}
+
+/**
+ * Deep copy of `value` with sensitive fields replaced and emails / bearer
+ * tokens masked in strings. Errors become plain objects.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+export function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (seen.has(value)) return '[circular]';
+  seen.add(value);
+
+  if (value instanceof Error) return redact(serializeError(value), depth + 1, seen);
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1, seen));
+  // Mongoose documents / ObjectIds
+  if (typeof value.toJSON === 'function') {
+    const json = value.toJSON();
+    return typeof json === 'object' ? redact(json, depth + 1, seen) : redact(String(json));
+  }
+
+  const out = {};
+  Object.entries(value).forEach(([key, v]) => {
+    const normalized = key.toLowerCase().replace(/[_-]/g, '');
+    out[key] = SENSITIVE_KEY.test(normalized) && v !== null && v !== undefined && v !== ''
+      ? REDACTED
+      : redact(v, depth + 1, seen);
+  });
+  return out;
+}
+
+// ------------------------------------------------------
+// Output
+// ------------------------------------------------------
+function write(level, component, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const extra = fields instanceof Error ? { err: fields } : fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    correlationId: getCorrelationId() || undefined,
+    msg: redactText(String(msg)),
+    ...redact(extra || {}),
+  };
+
+  let line;
+  if (PRETTY) {
+    const { time, component: c, correlationId, msg: text, ...rest } = entry;
+    delete rest.level;
+    const id = correlationId ? ` (${correlationId.slice(0, 8)})` : '';
+    const tail = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+    line = `${time} ${level.toUpperCase().padEnd(5)} [${c}]${id} ${text}${tail}\n`;
+  } else {
+    line = `${JSON.stringify(entry)}\n`;
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+}
+
+/**
+ * Logger for one module. Each method takes a message and optional fields
+ * (an object, or an Error which is logged as `err`):
+ *
+ *   const log = createLogger('bookingService');
+ *   log.info('Reserved seats', { bookingIds });
+ *   log.error('Reserve failed', { err: e, date });
+ *
+ * @param {string} component - module / area name, e.g. "outlookService"
+ */
+export function createLogger(component) {
+  return {
+    debug: (msg, fields) => write('debug', component, msg, fields),
+    info: (msg, fields) => write('info', component, msg, fields),
+    warn: (msg, fields) => write('warn', component, msg, fields),
+    error: (msg, fields) => write('error', component, msg, fields),
+  };
+}
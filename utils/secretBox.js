@@ -0,0 +1,106 @@
+// backend/utils/secretBox.js
+//
+// AES-256-GCM encryption for secrets stored in Mongo (OAuth tokens).
+//
+// Keys come from TOKEN_ENCRYPTION_KEYS, a comma-separated keyring of
+// "<keyId>:<base64 32-byte key>". The first key encrypts; every key listed
+// can decrypt. To rotate: put a new key first, keep the old one after it,
+// re-encrypt (POST /api/admin/tokens/reencrypt), then drop the old key.
+// A key can be made with:
+//   node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+//
+// Stored form: "enc:v1:<keyId>:<iv>:<tag>:<ciphertext>" (base64 parts).
+import crypto from 'crypto';
+
+const PREFIX = 'enc:v1:';
+const KEY_ID = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Parse a keyring string.
+ *
+ * @param {string} value - TOKEN_ENCRYPTION_KEYS
+ * @returns {{ keys: Map<string, Buffer>, currentKeyId: string|null, errors: string[] }}
+ */
+export function parseKeyring(value = '') {
+  const keys = new Map();
+  const errors = [];
+  value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry, i) => {
+      const [id, encoded] = entry.split(':');
+      const key = Buffer.from(encoded || '', 'base64');
+      if (!KEY_ID.test(id || '') || key.length !== 32) {
+        errors.push(`key #${i + 1} must be "<id>:<base64 of 32 bytes>"`);
+      } else if (keys.has(id)) {
+        errors.push(`key id "${id}" is listed twice`);
+      } else {
+        keys.set(id, key);
+      }
+    });
+  return { keys, currentKeyId: keys.keys().next().value ?? null, errors };
+}
+
+const keyring = parseKeyring(process.env.TOKEN_ENCRYPTION_KEYS);
+
+/** Id of the key new secrets are encrypted with (null when none is configured) */
+export const CURRENT_KEY_ID = keyring.currentKeyId;
+
+/** Whether secrets encrypted with this key id can still be read */
+export function hasKey(keyId) {
+  return keyring.keys.has(keyId);
+}
+
+/**
+ * Encrypt a secret with the current key. `context` (e.g. the provider and
+ * account) is bound to the ciphertext, so it can't be copied to another
+ * record and decrypt there.
+ *
+ * @param {string} plaintext
+ * @param {string} context
+ * @returns {string}
+ */
+export function encryptSecret(plaintext, context) {
+  if (!CURRENT_KEY_ID) throw new Error('TOKEN_ENCRYPTION_KEYS is not set');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keyring.keys.get(CURRENT_KEY_ID), iv);
+  cipher.setAAD(Buffer.from(context));
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [
+    `${PREFIX}${CURRENT_KEY_ID}`,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    data.toString('base64'),
+  ].join(':');
+}
+
+/**
+ * Decrypt a value from encryptSecret().
+ *
+ * @param {string} stored
+ * @param {string} context - same as when it was encrypted
+ * @returns {string}
+ * @throws {Error} unknown key id, wrong context or tampered value
+ */
+export function decryptSecret(stored, context) {
+  if (!isEncrypted(stored)) throw new Error('Value is not encrypted');
+  const [keyId, iv, tag, data] = stored.slice(PREFIX.length).split(':');
+  if (!hasKey(keyId)) throw new Error(`Encryption key "${keyId}" is not in TOKEN_ENCRYPTION_KEYS`);
+
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    keyring.keys.get(keyId),
+    Buffer.from(iv, 'base64')
+  );
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString(
+    'utf8'
+  );
+}
+
+/** Whether a stored value came from encryptSecret() */
+export function isEncrypted(stored) {
+  return typeof stored === 'string' && stored.startsWith(PREFIX);
+}
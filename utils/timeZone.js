@@ -0,0 +1,34 @@
+// backend/utils/timeZone.js
+
+/**
+ * Whether `zone` is an IANA time zone name the runtime knows
+ * (e.g. "America/Chicago").
+ *
+ * @param {string} zone
+ */
+export function isValidTimeZone(zone) {
+  if (typeof zone !== 'string' || !zone) return false;
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The zone a caller wants times rendered in: `?tz=` on the query, or
+ * `timeZone` in a JSON body.
+ *
+ * @param {import('express').Request} req
+ * @returns {{ timeZone: string|null, error?: string }} timeZone is null when
+ *   the caller didn't ask for one
+ */
+export function requestedTimeZone(req) {
+  const value = req.query.tz ?? req.body?.timeZone;
+  if (value === undefined || value === null || value === '') return { timeZone: null };
+  if (!isValidTimeZone(value)) {
+    return { timeZone: null, error: `Unknown time zone "${value}"` };
+  }
+  return { timeZone: value };
+}
@@ -0,0 +1,142 @@
+// backend/validation/registrationSchemas.js
+import dotenv from 'dotenv';
+import { rules } from '../middleware/validate.js';
+import { resolveSlot } from '../services/slotService.js';
+import { checkSessionRules } from '../services/schedulingRulesService.js';
+
+// Load env for this module (expects backend/.env)
+dotenv.config();
+
+// Earliest bookable class date, in days from today (1 = tomorrow)
+const MIN_LEAD_DAYS = Number(process.env.MIN_BOOKING_LEAD_DAYS || 1);
+
+const { required, optional, string, email, phone, futureDate, fallbackTo, timeZone } = rules;
+
+/**
+ * Slot id (or a current/legacy label) → canonical slotId. With a course in
+ * the context the slot must also be one the course is taught in.
+ */
+const knownSlot = () => async (v, _body, { course } = {}) => {
+  const slot = await resolveSlot(String(v));
+  if (!slot) return { error: 'is not a known class time slot' };
+  if (course && !course.slotIds.includes(slot.slotId)) {
+    return { error: `is not offered for ${course.name}` };
+  }
+  return { value: slot.slotId };
+};
+
+const SESSIONS = [
+  { date: 'classDate', slot: 'slotId', legacySlot: 'time' },
+  { date: 'classDate2', slot: 'slotId2', legacySlot: 'time2' },
+  { date: 'classDate3', slot: 'slotId3', legacySlot: 'time3' },
+];
+
+/**
+ * Cross-field check: each chosen session must pass the scheduling rules
+ * (blackouts, weekdays, notice / advance window).
+ */
+const sessionRules = (sessions) => async (body, errors) => {
+  for (const { date, slot } of sessions) {
+    if (!body[date] || !body[slot] || errors[date] || errors[slot]) continue;
+    const slotDoc = await resolveSlot(body[slot]);
+    if (!slotDoc) continue;
+    const violation = await checkSessionRules(body[date], slotDoc);
+    if (violation) errors[date] = violation.message;
+  }
+};
+
+// ------------------------------------------------------
+// POST /api/intro-to-ai-payment, /api/courses/:courseId/register
+// ------------------------------------------------------
+export const registrationSchema = {
+  fields: {
+    firstName: [required(), string({ max: 100 })],
+    lastName: [required(), string({ max: 100 })],
+    email: [required(), email()],
+    yourCompany: [optional(), string({ max: 200 })],
+    phoneNumber: [optional(), phone()],
+    recaptchaToken: [required('reCAPTCHA token is required'), string()],
+    // the student's own zone, for the times in their emails
+    timeZone: [optional(), timeZone()],
+
+    classDate: [required(), futureDate({ minLeadDays: MIN_LEAD_DAYS })],
+    slotId: [fallbackTo('time'), required(), knownSlot()],
+    classDate2: [optional(), futureDate({ minLeadDays: MIN_LEAD_DAYS })],
+    slotId2: [fallbackTo('time2'), optional(), knownSlot()],
+    classDate3: [optional(), futureDate({ minLeadDays: MIN_LEAD_DAYS })],
+    slotId3: [fallbackTo('time3'), optional(), knownSlot()],
+  },
+  checks: [
+    // A session needs both its date and its slot
+    (body, errors) => {
+      SESSIONS.forEach(({ date, slot }) => {
+        if (errors[date] || errors[slot]) return;
+        if (body[date] && !body[slot]) errors[slot] = 'is required when a date is chosen';
+        if (body[slot] && !body[date]) errors[date] = 'is required when a time is chosen';
+      });
+    },
+    // The chosen class dates must all be different
+    (body, errors) => {
+      const seen = new Map();
+      SESSIONS.forEach(({ date }) => {
+        if (!body[date] || errors[date]) return;
+        if (seen.has(body[date])) {
+          errors[date] = `must be different from ${seen.get(body[date])}`;
+        } else {
+          seen.set(body[date], date);
+        }
+      });
+    },
+    sessionRules(SESSIONS),
+  ],
+};
+
+// ------------------------------------------------------
+// POST /api/check-availability, /api/courses/:courseId/check-availability
+// ------------------------------------------------------
+export const availabilitySchema = {
+  fields: {
+    classDate: [required(), futureDate({ minLeadDays: MIN_LEAD_DAYS })],
+    slotId: [fallbackTo('time'), required(), knownSlot()],
+    // render the session's times in this zone too (or ?tz=)
+    timeZone: [optional(), timeZone()],
+  },
+  checks: [sessionRules([SESSIONS[0]])],
+};
+
+// ------------------------------------------------------
+// POST /api/waitlist, /api/courses/:courseId/waitlist
+// ------------------------------------------------------
+export const waitlistSchema = {
+  fields: {
+    firstName: [required(), string({ max: 100 })],
+    lastName: [required(), string({ max: 100 })],
+    email: [required(), email()],
+    yourCompany: [optional(), string({ max: 200 })],
+    phoneNumber: [optional(), phone()],
+    classDate: [required(), futureDate({ minLeadDays: MIN_LEAD_DAYS })],
+    slotId: [fallbackTo('time'), required(), knownSlot()],
+    // which of the student's sessions (1-3) the seat is for; when left out,
+    // the first one the student has no booking or open waitlist entry for
+    sessionNumber: [
+      optional(),
+      (v) =>
+        [1, 2, 3].includes(Number(v))
+          ? { value: Number(v) }
+          : { error: 'must be 1, 2 or 3' },
+    ],
+  },
+  checks: [sessionRules([SESSIONS[0]])],
+};
+
+// ------------------------------------------------------
+// POST /api/admin/enrollments (one CSV row per student)
+// ------------------------------------------------------
+// Same as a registration minus reCAPTCHA (the uploader is authenticated)
+const enrollmentFields = { ...registrationSchema.fields };
+delete enrollmentFields.recaptchaToken;
+
+export const enrollmentRowSchema = {
+  fields: enrollmentFields,
+  checks: registrationSchema.checks,
+};